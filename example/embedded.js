@@ -0,0 +1,48 @@
+// An https server that rotates its own certificate, with certRotator running
+// in-process instead of as a separate daemon with an 'onreplace' hook.
+//
+//   node example/embedded.js example/example.json
+
+const fs = require("fs");
+const https = require("https");
+const { CertRotator } = require("certrotator");
+
+/**
+ * The TLS options of a certificate as the events carry it.
+ * @param {object} certificate
+ * @returns {{cert: string, key: string}}
+ */
+function tlsOptions(certificate) {
+    return {
+        cert: [certificate.certificate, ...certificate.ca_chain].join("\n"),
+        key: certificate.private_key
+    };
+}
+
+async function main() {
+    const rotator = new CertRotator(JSON.parse(fs.readFileSync(process.argv[2], "utf8")));
+    let server = null;
+
+    rotator.on("replaced", ({ certificate }) => {
+        if (server) {
+            server.setSecureContext(tlsOptions(certificate));
+        }
+    });
+    rotator.on("error", ({ error }) => console.error(`Rotation failed, retrying: ${error}`));
+    rotator.on("fatal", ({ error }) => console.error(`Rotation stopped: ${error.message}`));
+
+    await rotator.start();
+    // Null until the first certificate is installed, e.g. while vault is unreachable at boot.
+    const certificate = rotator.certificate() || (await new Promise((resolve) => {
+        rotator.once("replaced", (event) => resolve(event.certificate));
+    }));
+    server = https.createServer(tlsOptions(certificate), (req, res) => res.end("hello\n"));
+    server.listen(8443);
+
+    process.on("SIGTERM", async () => {
+        server.close();
+        await rotator.stop();
+    });
+}
+
+main();
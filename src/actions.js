@@ -0,0 +1,134 @@
+/**
+ * Built-in hook actions, the alternatives to a 'command' in onstart,
+ * onreplace and onrollback that need no shell:
+ *
+ *   { "signal": { "pidfile": "/run/nginx.pid", "signal": "SIGHUP" } }
+ *   { "http": { "url": "http://localhost/containers/web/kill?signal=HUP", "socket": "/var/run/docker.sock" } }
+ *   { "socket": { "path": "/run/haproxy/admin.sock", "data": "reload\n", "expect": "Success=1" } }
+ *
+ * They get the hook's 'timeout_ms' and 'onfail' like commands do.
+ */
+
+const fs = require("fs");
+const net = require("net");
+const httpRequest = require("./http_request.js");
+
+// The action keys a hook can have instead of 'command'.
+const ACTIONS = ["signal", "http", "socket"];
+
+// When the hook has no 'timeout_ms': requests and socket writes must not hang a rotation.
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * @param {object} hook
+ * @returns {string|undefined} The action key of a hook, undefined for a command.
+ */
+function actionOf(hook) {
+    return ACTIONS.find((key) => Object.prototype.hasOwnProperty.call(hook, key));
+}
+
+/**
+ * How an action reads in logs.
+ * @param {object} hook
+ * @returns {string}
+ */
+function describeAction(hook) {
+    const action = actionOf(hook);
+    const spec = hook[action];
+    switch (action) {
+        case "signal":
+            return `signal ${spec.signal} to the pid in ${spec.pidfile}`;
+        case "http":
+            return `${spec.method} ${spec.url}${spec.socket ? ` via ${spec.socket}` : ""}`;
+        case "socket":
+            return `write to ${spec.path}`;
+    }
+    return action;
+}
+
+/**
+ * Sends a signal to the process of a pidfile.
+ * @param {{pidfile: string, signal: string}} spec
+ */
+async function sendSignal(spec) {
+    const contents = fs.readFileSync(spec.pidfile, "utf8").trim();
+    if (!/^\d+$/.test(contents) || Number(contents) < 2) {
+        throw new Error(`${spec.pidfile} doesn't hold a pid: ${JSON.stringify(contents.slice(0, 40))}`);
+    }
+    process.kill(Number(contents), spec.signal);
+}
+
+/**
+ * Calls an HTTP endpoint, over TCP or a Unix socket.
+ * @param {{url: string, method: string, socket?: string, headers?: object, body?: string, expect_status?: number[]}} spec
+ * @param {number} timeout
+ * @param {function(string, string): void} onOutput
+ */
+async function callEndpoint(spec, timeout, onOutput) {
+    const res = await httpRequest(spec.url, {
+        method: spec.method,
+        headers: spec.headers,
+        body: spec.body,
+        socketPath: spec.socket,
+        timeout
+    });
+    res.body.toString().split(/\r?\n/).filter(Boolean).forEach((line) => onOutput("stdout", line));
+    const expected = spec.expect_status
+        ? spec.expect_status.includes(res.status)
+        : res.status >= 200 && res.status < 300;
+    if (!expected) {
+        throw new Error(`${spec.method} ${spec.url} answered with status ${res.status}`);
+    }
+}
+
+/**
+ * Writes to a Unix socket and reads the answer until the other side closes.
+ * @param {{path: string, data: string, expect?: string}} spec
+ * @param {number} timeout
+ * @param {function(string, string): void} onOutput
+ */
+function writeSocket(spec, timeout, onOutput) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const socket = net.createConnection(spec.path, () => socket.end(spec.data));
+        socket.setTimeout(timeout, () => socket.destroy(new Error(`${spec.path} didn't answer within ${timeout} ms`)));
+        socket.on("data", (chunk) => chunks.push(chunk));
+        socket.on("error", reject);
+        socket.on("close", (hadError) => {
+            if (hadError) {
+                return;
+            }
+            const answer = Buffer.concat(chunks).toString();
+            answer.split(/\r?\n/).filter(Boolean).forEach((line) => onOutput("stdout", line));
+            if (spec.expect !== undefined && !new RegExp(spec.expect).test(answer)) {
+                return reject(new Error(`The answer of ${spec.path} doesn't match /${spec.expect}/`));
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Runs the action of a hook once.
+ * @param {object} hook - A validated hook with one of the ACTIONS.
+ * @param {object} [options]
+ * @param {function(string, string): void} [options.onOutput] - Gets ("stdout", line) for every line of an answer.
+ * @returns {Promise<void>}
+ * @throws If the action fails.
+ */
+async function runAction(hook, options = {}) {
+    const onOutput = options.onOutput || (() => {});
+    const timeout = hook.timeout_ms || DEFAULT_TIMEOUT;
+    const action = actionOf(hook);
+    switch (action) {
+        case "signal":
+            return sendSignal(hook.signal);
+        case "http":
+            return callEndpoint(hook.http, timeout, onOutput);
+        case "socket":
+            return writeSocket(hook.socket, timeout, onOutput);
+    }
+    throw new Error(`Unknown action '${action}'.`);
+}
+
+module.exports = { ACTIONS, actionOf, describeAction, runAction };
@@ -0,0 +1,206 @@
+const EventEmitter = require("events");
+const logger = require("./logger.js");
+const validateConfig = require("./parse_config.js");
+const { restoreState } = require("./state.js");
+const { Rotator, EVENTS, pemOf } = require("./rotator.js");
+const { settlesWithin } = require("./clock.js");
+
+// Checks every certificate against 'notify.expiry_warning_ms' between transitions, as the daemon does.
+const EXPIRY_CHECK_INTERVAL = 3600000;
+
+/**
+ * certRotator inside a Node process: the state machines of a config, without
+ * signal handlers, control socket, metrics server or process.exit(). Files,
+ * state and hooks work as in the daemon; on top, every Rotator event is
+ * re-emitted here:
+ *
+ *   issued       a certificate was fetched and verified (it may only become the backup)
+ *   replaced     a certificate became active ('previous' is null for the first one)
+ *   rolled_back  'onreplace' failed and 'previous' was put back
+ *   fetch_failed, error, recovered, expiring, expired
+ *   fatal        {name, error}: the state machine stopped for good
+ *
+ * Each event carries {name, status, certificate, previous, error}, the
+ * certificates with their PEM material (see pemOf() in rotator.js):
+ *
+ *   const { CertRotator } = require("certrotator");
+ *   const rotator = new CertRotator(config);
+ *   rotator.on("replaced", ({ certificate }) => server.setSecureContext({
+ *       cert: [certificate.certificate, ...certificate.ca_chain].join("\n"),
+ *       key: certificate.private_key
+ *   }));
+ *   await rotator.start();
+ *
+ * Unlike the usual 'error' event, 'error' needs no listener: it is the
+ * "error" status, and nothing is thrown without one. Without a 'fatal'
+ * listener a fatal error is only logged.
+ */
+class CertRotator extends EventEmitter {
+    /**
+     * @param {object} config - As in a config file, with or without 'certificates'. A copy is validated and used.
+     * @param {object} [options]
+     * @param {boolean} [options.strict] - Reject unknown keys.
+     * @param {object} [options.deps] - Passed on to every Rotator: clock, vault, files, runner, deliver.
+     * @throws {ConfigError} Listing every problem of the config.
+     */
+    constructor(config, options = {}) {
+        super();
+        this.config = structuredClone(config);
+        // The unknown keys, when not 'strict'.
+        this.warnings = validateConfig(this.config, { strict: options.strict });
+        if (this.config.logging) {
+            logger.applyConfig(this.config.logging);
+        }
+        this.deps = options.deps || {};
+        // 'name' (undefined for single-certificate configs) => Rotator
+        this.rotators = new Map();
+        this.started = false;
+        this.expiryTimer = null;
+    }
+
+    /**
+     * Starts one state machine per certificate, resuming from the installed
+     * files and state files like the daemon does, and checks them for
+     * 'expiring' and 'expired' every hour.
+     * @returns {Promise<void>} Resolves once the first transitions that were due are done.
+     * @throws If already started.
+     */
+    async start() {
+        if (this.started) {
+            throw new Error("The rotator was started already.");
+        }
+        this.started = true;
+        this.expiryTimer = setInterval(() => this.rotators.forEach((rotator) => rotator.checkExpiry()), EXPIRY_CHECK_INTERVAL);
+        this.expiryTimer.unref();
+        const certificates = this.config.certificates || [this.config];
+        await Promise.all(certificates.map((entry) => {
+            const { current, delay } = restoreState(entry);
+            const rotator = new Rotator(current, entry, this.deps);
+            this.rotators.set(entry.name, rotator);
+            EVENTS.forEach((event) => rotator.on(event, (payload) => this.relay(event, payload)));
+            rotator.on("fatal", (error) => this.fail(rotator, error));
+            return rotator.start(delay);
+        }));
+    }
+
+    /**
+     * Re-emits an event of a Rotator, 'error' only to a listener.
+     * @param {string} event
+     * @param {object} payload
+     */
+    relay(event, payload) {
+        if (event === "error" && this.listenerCount("error") === 0) {
+            return;
+        }
+        this.emit(event, payload);
+    }
+
+    /**
+     * A state machine threw: the daemon would exit, here only that one stops.
+     * @param {Rotator} rotator
+     * @param {Error} error
+     */
+    fail(rotator, error) {
+        const { name } = rotator.config;
+        rotator.halt();
+        this.rotators.delete(name);
+        logger.forCertificate(name).error(`Stopped after a fatal error: ${error.message}`, { event: "fatal", error: error.message });
+        this.emit("fatal", { name: name === undefined ? null : name, error });
+    }
+
+    /**
+     * Stops every state machine: no more timers, running transitions get
+     * 'timeoutMs' to finish, then the state files are saved. Hooks still
+     * running after that are left to finish on their own.
+     * @param {number} [timeoutMs] - 'shutdown.timeout_ms' by default.
+     * @returns {Promise<boolean>} true if everything finished in time and the state was saved.
+     */
+    async stop(timeoutMs = this.config.shutdown.timeout_ms) {
+        clearInterval(this.expiryTimer);
+        const rotators = [...this.rotators.values()];
+        this.rotators.clear();
+        rotators.forEach((rotator) => rotator.halt());
+
+        const inFlight = rotators.filter((rotator) => rotator.running).map((rotator) => rotator.running);
+        let clean = await settlesWithin(Promise.allSettled(inFlight), timeoutMs);
+        rotators.forEach((rotator) => {
+            try {
+                rotator.persist();
+            } catch (e) {
+                clean = false;
+                logger.forCertificate(rotator.config.name).error(`Couldn't save the state file: ${e.message}`, {
+                    event: "state_save_failed",
+                    error: e.message
+                });
+            }
+        });
+        return clean;
+    }
+
+    /**
+     * The state machine of a certificate.
+     * @param {string} [name] - Leave out for a single-certificate config.
+     * @returns {Rotator}
+     * @throws If there is no such state machine.
+     */
+    rotator(name) {
+        const rotator = this.rotators.get(name);
+        if (!rotator) {
+            throw new Error(name === undefined ? "No certificate without a name is running." : `No certificate named '${name}' is running.`);
+        }
+        return rotator;
+    }
+
+    /**
+     * @param {string} [name]
+     * @returns {object|null} The active certificate with its PEM material, see pemOf().
+     */
+    certificate(name) {
+        return pemOf(this.rotator(name).current.active_cert);
+    }
+
+    /**
+     * @returns {object[]} Rotator.describe() of every running state machine.
+     */
+    status() {
+        return [...this.rotators.values()].map((rotator) => rotator.describe());
+    }
+
+    /**
+     * See Rotator.rotateNow().
+     * @param {string} [name]
+     * @returns {Promise<object>}
+     */
+    async rotateNow(name) {
+        return this.rotator(name).rotateNow();
+    }
+
+    /**
+     * See Rotator.swapToBackup().
+     * @param {string} [name]
+     * @returns {Promise<object>}
+     */
+    async swapToBackup(name) {
+        return this.rotator(name).swapToBackup();
+    }
+
+    /**
+     * See Rotator.pause().
+     * @param {string} [name]
+     * @returns {object}
+     */
+    pause(name) {
+        return this.rotator(name).pause();
+    }
+
+    /**
+     * See Rotator.resume().
+     * @param {string} [name]
+     * @returns {object}
+     */
+    resume(name) {
+        return this.rotator(name).resume();
+    }
+}
+
+module.exports = { CertRotator, ConfigError: validateConfig.ConfigError, EVENTS };
@@ -0,0 +1,141 @@
+/**
+ * Minimal DER encoder: just enough ASN.1 to build PKCS#12 files, certificates and CSRs.
+ * Every helper returns a Buffer holding one complete TLV.
+ */
+
+function encodeLength(length) {
+    if (length < 0x80) {
+        return Buffer.from([length]);
+    }
+    const bytes = [];
+    while (length > 0) {
+        bytes.unshift(length & 0xff);
+        length >>= 8;
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+/**
+ * @param {number} tag - The identifier octet.
+ * @param {...Buffer} contents - Encoded contents, concatenated.
+ * @returns {Buffer}
+ */
+function tlv(tag, ...contents) {
+    const body = Buffer.concat(contents);
+    return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+}
+
+const sequence = (...items) => tlv(0x30, ...items);
+const set = (...items) => tlv(0x31, ...items);
+const octetString = (buf) => tlv(0x04, buf);
+const nullValue = () => Buffer.from([0x05, 0x00]);
+const boolean = (value) => Buffer.from([0x01, 0x01, value ? 0xff : 0x00]);
+const utf8String = (str) => tlv(0x0c, Buffer.from(str, "utf8"));
+
+/**
+ * @param {Buffer} buf - The bits, whole bytes.
+ * @param {number} [unusedBits] - Unused bits in the last byte.
+ * @returns {Buffer}
+ */
+function bitString(buf, unusedBits = 0) {
+    return tlv(0x03, Buffer.from([unusedBits]), buf);
+}
+
+/**
+ * UTCTime up to 2049, GeneralizedTime from 2050 on, as RFC 5280 wants.
+ * @param {Date} date
+ * @returns {Buffer}
+ */
+function time(date) {
+    const iso = date.toISOString().replace(/[-:T]/g, "").slice(0, 14) + "Z";
+    if (date.getUTCFullYear() < 2050) {
+        return tlv(0x17, Buffer.from(iso.slice(2), "ascii"));
+    }
+    return tlv(0x18, Buffer.from(iso, "ascii"));
+}
+
+/**
+ * SET OF: DER wants the elements sorted by their encoding.
+ * @param {Buffer[]} items
+ * @returns {Buffer}
+ */
+function setOf(items) {
+    return set(...[...items].sort(Buffer.compare));
+}
+
+/**
+ * Context-specific tag, [n] EXPLICIT (constructed) by default.
+ * @param {number} n
+ * @param {Buffer} content
+ * @param {boolean} [constructed]
+ * @returns {Buffer}
+ */
+function contextTag(n, content, constructed = true) {
+    return tlv((constructed ? 0xa0 : 0x80) | n, content);
+}
+
+/**
+ * @param {number|Buffer} value - A small non-negative number, or big-endian bytes.
+ * @returns {Buffer}
+ */
+function integer(value) {
+    let bytes;
+    if (Buffer.isBuffer(value)) {
+        bytes = value;
+    } else {
+        const hex = value.toString(16);
+        bytes = Buffer.from(hex.length % 2 ? "0" + hex : hex, "hex");
+    }
+    // Keep it positive: prepend a zero if the high bit is set.
+    if (bytes[0] & 0x80) {
+        bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    }
+    return tlv(0x02, bytes);
+}
+
+/**
+ * @param {string} dotted - e.g. "1.2.840.113549.1.7.1"
+ * @returns {Buffer}
+ */
+function oid(dotted) {
+    const parts = dotted.split(".").map(Number);
+    const bytes = [40 * parts[0] + parts[1]];
+    parts.slice(2).forEach((part) => {
+        const chunk = [part & 0x7f];
+        part = Math.floor(part / 128);
+        while (part > 0) {
+            chunk.unshift(0x80 | (part & 0x7f));
+            part = Math.floor(part / 128);
+        }
+        bytes.push(...chunk);
+    });
+    return tlv(0x06, Buffer.from(bytes));
+}
+
+/**
+ * BMPString (UTF-16BE), as PKCS#12 uses for friendly names.
+ * @param {string} str
+ * @returns {Buffer}
+ */
+function bmpString(str) {
+    const buf = Buffer.from(str, "utf16le");
+    buf.swap16();
+    return tlv(0x1e, buf);
+}
+
+module.exports = {
+    tlv,
+    sequence,
+    set,
+    setOf,
+    octetString,
+    nullValue,
+    boolean,
+    utf8String,
+    bitString,
+    time,
+    contextTag,
+    integer,
+    oid,
+    bmpString
+};
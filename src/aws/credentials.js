@@ -0,0 +1,112 @@
+const httpRequest = require("../http_request.js");
+
+const IMDS_HOST = "http://169.254.169.254";
+const ECS_HOST = "http://169.254.170.2";
+// Refresh temporary credentials this long before AWS says they expire.
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+let cached = null;
+
+/**
+ * Reads credentials from the instance metadata service (IMDSv2).
+ * @returns {Promise<object>}
+ */
+async function fromInstanceMetadata() {
+    const tokenRes = await httpRequest(`${IMDS_HOST}/latest/api/token`, {
+        method: "PUT",
+        headers: { "x-aws-ec2-metadata-token-ttl-seconds": "21600" },
+        timeout: 2000
+    });
+    if (tokenRes.status !== 200) {
+        throw new Error(`IMDS token request failed with status ${tokenRes.status}`);
+    }
+    const headers = { "x-aws-ec2-metadata-token": tokenRes.body.toString() };
+
+    const base = `${IMDS_HOST}/latest/meta-data/iam/security-credentials/`;
+    const roleRes = await httpRequest(base, { headers, timeout: 2000 });
+    if (roleRes.status !== 200) {
+        throw new Error(`No IAM role is attached to this instance (status ${roleRes.status})`);
+    }
+    const role = roleRes.body.toString().split("\n")[0].trim();
+
+    const credRes = await httpRequest(base + encodeURIComponent(role), { headers, timeout: 2000 });
+    if (credRes.status !== 200) {
+        throw new Error(`IMDS credentials request failed with status ${credRes.status}`);
+    }
+    return parseTemporaryCredentials(JSON.parse(credRes.body.toString()));
+}
+
+/**
+ * Reads credentials from the ECS container credentials endpoint.
+ * @returns {Promise<object>}
+ */
+async function fromContainer() {
+    const url = process.env.AWS_CONTAINER_CREDENTIALS_FULL_URI ||
+        ECS_HOST + process.env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI;
+    const headers = {};
+    if (process.env.AWS_CONTAINER_AUTHORIZATION_TOKEN) {
+        headers.authorization = process.env.AWS_CONTAINER_AUTHORIZATION_TOKEN;
+    }
+    const res = await httpRequest(url, { headers, timeout: 2000 });
+    if (res.status !== 200) {
+        throw new Error(`Container credentials request failed with status ${res.status}`);
+    }
+    return parseTemporaryCredentials(JSON.parse(res.body.toString()));
+}
+
+function parseTemporaryCredentials(json) {
+    return {
+        accessKeyId: json.AccessKeyId,
+        secretAccessKey: json.SecretAccessKey,
+        sessionToken: json.Token,
+        expiration: json.Expiration ? Date.parse(json.Expiration) : null
+    };
+}
+
+/**
+ * Resolves AWS credentials. Lookup order:
+ *   1) static keys from the given config block (access_key_id / secret_access_key / session_token)
+ *   2) AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY / AWS_SESSION_TOKEN
+ *   3) ECS container credentials
+ *   4) EC2 instance metadata
+ * Temporary credentials are cached until shortly before they expire.
+ *
+ * @param {object} [block] - A config block that may carry static keys.
+ * @returns {Promise<{accessKeyId: string, secretAccessKey: string, sessionToken?: string}>}
+ */
+async function getCredentials(block = {}) {
+    if (block.access_key_id && block.secret_access_key) {
+        return {
+            accessKeyId: block.access_key_id,
+            secretAccessKey: block.secret_access_key,
+            sessionToken: block.session_token
+        };
+    }
+    if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+        return {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            sessionToken: process.env.AWS_SESSION_TOKEN
+        };
+    }
+    if (cached && (!cached.expiration || cached.expiration - REFRESH_MARGIN > Date.now())) {
+        return cached;
+    }
+    if (process.env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI || process.env.AWS_CONTAINER_CREDENTIALS_FULL_URI) {
+        cached = await fromContainer();
+    } else {
+        cached = await fromInstanceMetadata();
+    }
+    return cached;
+}
+
+/**
+ * Picks the region: explicit value, then AWS_REGION / AWS_DEFAULT_REGION, then us-east-1.
+ * @param {string} [region]
+ * @returns {string}
+ */
+function resolveRegion(region) {
+    return region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || "us-east-1";
+}
+
+module.exports = { getCredentials, resolveRegion };
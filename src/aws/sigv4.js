@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+
+function sha256Hex(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+    return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * RFC 3986 encoding as AWS expects it (encodeURIComponent leaves !'()* alone).
+ * @param {string} str
+ * @returns {string}
+ */
+function uriEncode(str) {
+    return encodeURIComponent(str).replace(/[!'()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * Formats a date the way SigV4 wants it: 20240101T000000Z.
+ * @param {Date} date
+ * @returns {string}
+ */
+function amzDate(date) {
+    return date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+/**
+ * Signs a request with AWS Signature Version 4 and returns the headers to send.
+ * The path in `url` must already be encoded the way the service expects it
+ * (S3 wants every segment encoded exactly once).
+ *
+ * @param {object} request
+ * @param {string} request.method - HTTP method.
+ * @param {URL} request.url - Target URL.
+ * @param {object} [request.headers] - Extra headers to sign.
+ * @param {string|Buffer} [request.body] - Request payload.
+ * @param {string} request.service - AWS service name (s3, sts, sns...).
+ * @param {string} request.region - AWS region.
+ * @param {{accessKeyId: string, secretAccessKey: string, sessionToken?: string}} request.credentials
+ * @param {Date} [request.date] - Signing time, defaults to now.
+ * @returns {object} The full set of headers, including Authorization.
+ */
+function signRequest(request) {
+    const date = request.date || new Date();
+    const timestamp = amzDate(date);
+    const day = timestamp.slice(0, 8);
+    const body = request.body === undefined ? "" : request.body;
+    const payloadHash = sha256Hex(body);
+
+    const headers = {};
+    Object.entries(request.headers || {}).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = String(value).trim();
+    });
+    headers.host = request.url.host;
+    headers["x-amz-date"] = timestamp;
+    headers["x-amz-content-sha256"] = payloadHash;
+    if (request.credentials.sessionToken) {
+        headers["x-amz-security-token"] = request.credentials.sessionToken;
+    }
+
+    const signedHeaderNames = Object.keys(headers).sort();
+    const canonicalHeaders = signedHeaderNames.map((name) => `${name}:${headers[name]}\n`).join("");
+    const canonicalQuery = [...request.url.searchParams.entries()]
+        .map(([k, v]) => `${uriEncode(k)}=${uriEncode(v)}`)
+        .sort()
+        .join("&");
+
+    const canonicalRequest = [
+        request.method,
+        request.url.pathname || "/",
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaderNames.join(";"),
+        payloadHash
+    ].join("\n");
+
+    const scope = `${day}/${request.region}/${request.service}/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", timestamp, scope, sha256Hex(canonicalRequest)].join("\n");
+
+    let signingKey = hmac("AWS4" + request.credentials.secretAccessKey, day);
+    signingKey = hmac(signingKey, request.region);
+    signingKey = hmac(signingKey, request.service);
+    signingKey = hmac(signingKey, "aws4_request");
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    headers.authorization =
+        `AWS4-HMAC-SHA256 Credential=${request.credentials.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaderNames.join(";")}, Signature=${signature}`;
+
+    return headers;
+}
+
+module.exports = { signRequest, uriEncode };
@@ -0,0 +1,102 @@
+/**
+ * The filesystem side of the state machine: the installed certificate files
+ * and the state file. A Rotator takes this module as its 'files' dependency.
+ */
+
+const { stageFile, commitFile, discardFile, restoreBackup } = require("./fs_atomic.js");
+const { stageOutputs } = require("./outputs.js");
+const { saveState } = require("./state.js");
+
+/**
+ * Builds the bundle (certificate followed by the private key) that gets installed.
+ * @param {object} certData - The certificate data object.
+ * @returns {string}
+ */
+function buildBundle(certData) {
+    return certData.certificate + "\n" + certData.private_key;
+}
+
+/**
+ * Every file a certificate is installed to: 'tls.cert', 'tls.key' and the 'outputs'.
+ * @param {object} config
+ * @returns {string[]}
+ */
+function installedFiles(config) {
+    return [...new Set([config.tls.cert, config.tls.key, ...(config.outputs || []).map((o) => o.path)])];
+}
+
+/**
+ * Writes the certificate and private key to 'tls.cert' / 'tls.key' (one bundle
+ * if both point to the same file, a separate key gets 'tls.key_mode'), then
+ * every extra file from 'outputs'.
+ * Every file is staged first and only renamed into place once all of them
+ * were written, so a failure on the way leaves the installed files as they
+ * were. The previous files are kept as '.bak'.
+ * @param {object} certData - The certificate data object.
+ * @param {object} config - The configuration object (for file paths).
+ * @param {object} log
+ */
+function writeCertificate(certData, config, log) {
+    const options = { mode: config.tls.mode, uid: config.tls.uid, gid: config.tls.gid, backup: config.tls.backup };
+    const staged = [];
+    try {
+        if (config.tls.cert === config.tls.key) {
+            log.info(`Writing certificate to file: ${config.tls.cert}`, { event: "file_write", path: config.tls.cert });
+            staged.push(stageFile(config.tls.cert, buildBundle(certData), options));
+        } else {
+            log.info(`Writing certificate to file: ${config.tls.cert}`, { event: "file_write", path: config.tls.cert });
+            staged.push(stageFile(config.tls.cert, certData.certificate + "\n", options));
+            log.info(`Writing private key to file: ${config.tls.key}`, { event: "file_write", path: config.tls.key });
+            staged.push(stageFile(config.tls.key, certData.private_key + "\n", { ...options, mode: config.tls.key_mode }));
+        }
+        stageOutputs(certData, config, log, staged);
+    } catch (e) {
+        staged.forEach(discardFile);
+        throw e;
+    }
+
+    const committed = [];
+    try {
+        staged.forEach((file) => {
+            commitFile(file);
+            committed.push(file);
+        });
+    } catch (e) {
+        // A rename failed half-way: put back the files that were replaced already.
+        staged.filter((file) => !committed.includes(file)).forEach(discardFile);
+        committed.forEach((file) => {
+            if (file.backup && restoreBackup(file.file)) {
+                log.info(`Restored ${file.file} from ${file.file}.bak`, { event: "file_restored", path: file.file });
+            } else {
+                log.error(`No backup to restore for ${file.file}, it holds the new certificate.`, { event: "file_restore_missing", path: file.file });
+            }
+        });
+        throw e;
+    }
+    log.info("File write successful!", { event: "files_written", serial: certData.serial_number });
+}
+
+/**
+ * Puts the previous certificate back on disk after a failed replacement.
+ * With backups enabled every file comes back from its '.bak'; otherwise the
+ * previous certificate is written again from memory.
+ * @param {object} previous - The certificate data that was active before.
+ * @param {object} config - The configuration object.
+ * @param {object} log
+ */
+function restoreCertificate(previous, config, log) {
+    if (!config.tls.backup) {
+        log.info("Backups are disabled, re-writing the previous certificate.", { event: "rollback_rewrite" });
+        writeCertificate(previous, config, log);
+        return;
+    }
+    installedFiles(config).forEach((file) => {
+        if (restoreBackup(file)) {
+            log.info(`Restored ${file} from ${file}.bak`, { event: "file_restored", path: file });
+        } else {
+            log.error(`No backup to restore for ${file}, leaving it as is.`, { event: "file_restore_missing", path: file });
+        }
+    });
+}
+
+module.exports = { buildBundle, installedFiles, writeCertificate, restoreCertificate, saveState };
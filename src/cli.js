@@ -0,0 +1,303 @@
+/**
+ * The command line:
+ *
+ *   certrotator [run] <config> [--dry-run]         the daemon (the default)
+ *   certrotator validate <config>                  report every problem of the config
+ *   certrotator issue <config> --once [--dry-run]  rotate every certificate once, then exit
+ *   certrotator status <config>                    show the installed certificates
+ *   certrotator control <config> <command> [name]  talk to the daemon over 'control.socket'
+ *
+ * --dry-run fetches certificates and goes through the state machine, but
+ * writes no files, delivers nothing, revokes nothing and runs no hooks.
+ * --strict (any command) rejects config keys the schema doesn't know,
+ * instead of warning about them.
+ */
+
+const crypto = require("crypto");
+const net = require("net");
+const util = require("util");
+const logger = require("./logger.js");
+const main_thread = require("./main_thread.js");
+const parse_config = require("./parse_config.js");
+const get_config = require("./get_config.js");
+const { restoreState, loadState, readInstalledBundle } = require("./state.js");
+const { COMMANDS: CONTROL_COMMANDS } = require("./control_server.js");
+
+const COMMANDS = ["run", "validate", "issue", "status", "control"];
+
+const USAGE = `Usage:
+  certrotator [run] <config> [--dry-run] [--strict]
+  certrotator validate <config> [--strict]
+  certrotator issue <config> --once [--dry-run] [--strict]
+  certrotator status <config> [--strict]
+  certrotator control <config> <${CONTROL_COMMANDS.join("|")}> [name] [--strict]`;
+
+/**
+ * Parses the command line. A bare config path (the original usage) means 'run'.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {{command: string, config: string, request?: string, once: boolean, dryRun: boolean, strict: boolean, help: boolean}}
+ * @throws On unknown options or a missing config path, with the usage in the message.
+ */
+function parseArguments(argv) {
+    let parsed;
+    try {
+        parsed = util.parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                once: { type: "boolean", default: false },
+                "dry-run": { type: "boolean", default: false },
+                strict: { type: "boolean", default: false },
+                help: { type: "boolean", short: "h", default: false }
+            }
+        });
+    } catch (e) {
+        throw new Error(`${e.message}\n${USAGE}`);
+    }
+    const { values, positionals } = parsed;
+    const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : "run";
+    const options = {
+        command,
+        config: positionals[0],
+        once: values.once,
+        dryRun: values["dry-run"],
+        strict: values.strict,
+        help: values.help
+    };
+    if (options.help) {
+        return options;
+    }
+
+    if (command === "control") {
+        // The config, then the control command and an optional certificate name.
+        if (!CONTROL_COMMANDS.includes(positionals[1]) || positionals.length > 3) {
+            throw new Error(`'control' needs one of ${CONTROL_COMMANDS.join(", ")} after the config.\n${USAGE}`);
+        }
+        options.request = positionals.slice(1).join(" ");
+        positionals.splice(1);
+    }
+    if (!options.config || positionals.length > 1) {
+        throw new Error(`Expected exactly one config file.\n${USAGE}`);
+    }
+    if (command === "issue" && !options.once) {
+        throw new Error(`'issue' needs --once (the daemon is 'run').\n${USAGE}`);
+    }
+    if (command !== "issue" && options.once) {
+        throw new Error(`--once only applies to 'issue'.\n${USAGE}`);
+    }
+    if (options.dryRun && !["run", "issue"].includes(command)) {
+        throw new Error(`--dry-run only applies to 'run' and 'issue'.\n${USAGE}`);
+    }
+    return options;
+}
+
+/**
+ * Reads and validates the config, printing every problem and warning to stderr.
+ * @param {object} options - From parseArguments().
+ * @param {object} [mode]
+ * @param {boolean} [mode.readOnly] - Skip the write permission checks: the command only reads.
+ * @returns {object|null} The validated config, null if it is unusable.
+ */
+function loadConfig(options, mode = {}) {
+    let config;
+    try {
+        config = get_config(options.config);
+    } catch (e) {
+        // get_config() already said what is wrong.
+        return null;
+    }
+    try {
+        const warnings = parse_config(config, { strict: options.strict, readOnly: mode.readOnly });
+        warnings.forEach((message) => console.error(`Warning: ${message}`));
+    } catch (e) {
+        const errors = e.errors || [e.message];
+        errors.forEach((message) => console.error(message));
+        (e.warnings || []).forEach((message) => console.error(`Warning: ${message}`));
+        console.error(`${options.config}: ${errors.length} problem${errors.length === 1 ? "" : "s"} found.`);
+        return null;
+    }
+    return config;
+}
+
+/**
+ * 'validate': checks the config and reports every problem, not just the first.
+ * @param {object} options - From parseArguments().
+ * @returns {number} The exit code.
+ */
+function validate(options) {
+    const config = loadConfig(options);
+    if (!config) {
+        return 1;
+    }
+    const count = (config.certificates || [config]).length;
+    console.log(`${options.config} is valid (${count} certificate${count === 1 ? "" : "s"}).`);
+    return 0;
+}
+
+/**
+ * 'issue --once': issues, installs and runs the hooks of every certificate
+ * one after the other, then returns. For cron and CI.
+ * @param {object} options - From parseArguments().
+ * @returns {Promise<number>} The exit code: 1 if any certificate failed.
+ */
+async function issue(options) {
+    const config = loadConfig(options);
+    if (!config) {
+        return 1;
+    }
+    logger.applyConfig(config.logging);
+    main_thread.setDryRun(options.dryRun);
+    if (options.dryRun) {
+        logger.info("Dry run: no files will be written and no hooks will run.");
+    }
+
+    let failed = 0;
+    for (const entry of config.certificates || [config]) {
+        try {
+            const { current } = restoreState(entry);
+            await main_thread.issueOnce(current, entry);
+        } catch (e) {
+            failed++;
+            logger.forCertificate(entry.name).error(`Couldn't issue the certificate: ${e.message}`, { event: "issue_failed", error: e.message });
+        }
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+/**
+ * "3d 4h", "12m 5s", ... the two largest units of a duration.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const units = [["d", 86400000], ["h", 3600000], ["m", 60000], ["s", 1000]];
+    let rest = Math.abs(ms);
+    const parts = [];
+    units.forEach(([unit, size]) => {
+        const count = Math.floor(rest / size);
+        rest -= count * size;
+        if ((count > 0 || parts.length > 0) && parts.length < 2) {
+            parts.push(`${count}${unit}`);
+        }
+    });
+    return parts.length > 0 ? parts.join(" ") : "0s";
+}
+
+/**
+ * 'status': prints the installed certificate of every entry: subject, SANs,
+ * serial and time to expiry, plus what the state file says.
+ * @param {object} options - From parseArguments().
+ * @returns {number} The exit code: 1 if a certificate is missing or expired.
+ */
+function status(options) {
+    const config = loadConfig(options, { readOnly: true });
+    if (!config) {
+        return 1;
+    }
+
+    let healthy = true;
+    (config.certificates || [config]).forEach((entry, index) => {
+        if (index > 0) {
+            console.log("");
+        }
+        console.log(`${entry.name || "certificate"} (${entry.tls.cert})`);
+        const bundle = readInstalledBundle(entry);
+        if (!bundle) {
+            console.log("  no certificate installed");
+            healthy = false;
+            return;
+        }
+
+        const x509 = new crypto.X509Certificate(bundle.certificate);
+        const left = bundle.expiration * 1000 - Date.now();
+        const expires = new Date(bundle.expiration * 1000).toISOString();
+        console.log(`  subject:  ${x509.subject.replace(/\n/g, ", ")}`);
+        console.log(`  sans:     ${x509.subjectAltName || "none"}`);
+        console.log(`  serial:   ${bundle.serial_number}`);
+        console.log(`  expires:  ${expires} (${left > 0 ? `in ${formatDuration(left)}` : `${formatDuration(left)} ago`})`);
+        if (left <= 0) {
+            healthy = false;
+        }
+
+        const state = loadState(entry);
+        if (state) {
+            const next = state.next_at ? `, next check ${new Date(state.next_at).toISOString()}` : "";
+            console.log(`  state:    ${state.status}${next}`);
+        }
+    });
+    return healthy ? 0 : 1;
+}
+
+/**
+ * Sends one request line to the control socket.
+ * @param {string} socketPath
+ * @param {string} request - e.g. "rotate-now web".
+ * @returns {Promise<object>} The answer of the daemon.
+ * @throws If the daemon can't be reached or answers garbage.
+ */
+function sendControl(socketPath, request) {
+    return new Promise((resolve, reject) => {
+        let answer = "";
+        const socket = net.connect(socketPath, () => socket.write(`${request}\n`));
+        socket.setEncoding("utf8");
+        socket.on("data", (chunk) => {
+            answer += chunk;
+        });
+        socket.on("error", reject);
+        socket.on("end", () => {
+            try {
+                resolve(JSON.parse(answer));
+            } catch (e) {
+                reject(new Error(`Unexpected answer: ${JSON.stringify(answer.slice(0, 200))}`));
+            }
+        });
+    });
+}
+
+/**
+ * 'control': sends a command to the running daemon over 'control.socket' and
+ * prints what it says about every certificate. rotate-now and swap-to-backup
+ * return once the new certificate is installed and 'onreplace' ran.
+ * @param {object} options - From parseArguments().
+ * @returns {Promise<number>} The exit code: 1 if the command failed for any certificate.
+ */
+async function control(options) {
+    const config = loadConfig(options, { readOnly: true });
+    if (!config) {
+        return 1;
+    }
+    if (!config.control) {
+        console.error(`${options.config} has no 'control' socket.`);
+        return 1;
+    }
+
+    let answer;
+    try {
+        answer = await sendControl(config.control.socket, options.request);
+    } catch (e) {
+        console.error(`Couldn't talk to the daemon on ${config.control.socket}: ${e.message}`);
+        return 1;
+    }
+    if (answer.error) {
+        console.error(answer.error);
+    }
+    (answer.certificates || []).forEach((cert, index) => {
+        if (index > 0) {
+            console.log("");
+        }
+        console.log(cert.name || "certificate");
+        if (!cert.ok) {
+            console.log(`  failed:   ${cert.error}`);
+            return;
+        }
+        const describeCert = (data) => (data ? `${data.serial} (expires ${data.expires_at})` : "none");
+        const next = cert.paused ? "paused" : cert.next_at || "none";
+        console.log(`  state:    ${cert.status}${cert.busy ? ", transition running" : ""}`);
+        console.log(`  active:   ${describeCert(cert.active)}`);
+        console.log(`  backup:   ${describeCert(cert.backup)}`);
+        console.log(`  next:     ${next}`);
+    });
+    return answer.ok ? 0 : 1;
+}
+
+module.exports = { USAGE, parseArguments, validate, issue, status, control };
@@ -0,0 +1,28 @@
+/**
+ * The real clock. The state machine and the hook retries read the time and
+ * set their timers through an object like this one, so tests can hand them a
+ * fake one and run hours of rotations without waiting.
+ */
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+/**
+ * Resolves after 'ms' (real time), or earlier if the promise settles first.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise<boolean>} true if the promise settled in time.
+ */
+function settlesWithin(promise, ms) {
+    let timer;
+    return Promise.race([
+        promise.then(() => true, () => true),
+        new Promise((resolve) => {
+            timer = setTimeout(() => resolve(false), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { systemClock, settlesWithin };
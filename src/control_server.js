@@ -0,0 +1,160 @@
+const fs = require("fs");
+const net = require("net");
+const logger = require("./logger.js");
+const main_thread = require("./main_thread.js");
+
+/**
+ * The commands of the control socket. Without a certificate name they apply
+ * to every certificate.
+ */
+const COMMANDS = {
+    status: () => main_thread.status(),
+    "rotate-now": (name) => main_thread.rotateNow(name),
+    "swap-to-backup": (name) => main_thread.swapToBackup(name),
+    pause: (name) => main_thread.pause(name),
+    resume: (name) => main_thread.resume(name)
+};
+
+// Longest request line we read, anything longer is refused.
+const MAX_REQUEST = 1024;
+
+/**
+ * Runs one request line, e.g. "rotate-now web".
+ * @param {string} line
+ * @returns {Promise<object>} The answer: {ok, certificates: [...]} or {ok: false, error}.
+ */
+async function handle(line) {
+    const [command, name, ...rest] = line.trim().split(/\s+/);
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command) || rest.length > 0) {
+        return { ok: false, error: `Unknown command '${line.trim()}'. Expected one of: ${Object.keys(COMMANDS).join(", ")}, followed by an optional certificate name.` };
+    }
+    if (command === "status") {
+        const certificates = COMMANDS.status()
+            .filter((cert) => name === undefined || cert.name === name)
+            .map((cert) => ({ ok: true, ...cert }));
+        if (name !== undefined && certificates.length === 0) {
+            return { ok: false, error: `No certificate named '${name}' is running.` };
+        }
+        return { ok: true, certificates };
+    }
+
+    const names = name !== undefined ? [name] : main_thread.running();
+    const certificates = await Promise.all(names.map(async (each) => {
+        try {
+            return { ok: true, ...(await COMMANDS[command](each)) };
+        } catch (e) {
+            return { ok: false, name: each === undefined ? null : each, error: e.message };
+        }
+    }));
+    return { ok: certificates.every((cert) => cert.ok), certificates };
+}
+
+/**
+ * Serves one connection: reads a request line, writes the answer as one line
+ * of JSON and closes.
+ * @param {net.Socket} socket
+ */
+function serve(socket) {
+    let request = "";
+    socket.setEncoding("utf8");
+    socket.on("error", () => {});
+    socket.on("data", async (chunk) => {
+        request += chunk;
+        const end = request.indexOf("\n");
+        if (end === -1 && request.length <= MAX_REQUEST) {
+            return;
+        }
+        socket.removeAllListeners("data");
+        const line = end === -1 ? "" : request.slice(0, end);
+        if (end === -1 || end > MAX_REQUEST) {
+            return socket.end(`${JSON.stringify({ ok: false, error: "Request too long." })}\n`);
+        }
+
+        logger.info(`Control request: ${line.trim()}`, { event: "control_request", request: line.trim() });
+        const answer = await handle(line);
+        if (!answer.ok) {
+            const errors = answer.error ? [answer.error] : answer.certificates.filter((cert) => !cert.ok).map((cert) => cert.error);
+            logger.warn(`Control request '${line.trim()}' failed: ${errors.join(" ")}`, { event: "control_failed", request: line.trim(), errors });
+        }
+        socket.end(`${JSON.stringify(answer)}\n`);
+    });
+}
+
+/**
+ * Listens on the socket path under a umask, so the socket file is created
+ * with no more than 'mode' and nobody else can connect before it is chowned.
+ * @param {net.Server} server
+ * @param {{socket: string, mode: number, uid?: number, gid?: number}} control
+ */
+function listen(server, control) {
+    const umask = process.umask(0o777 & ~control.mode);
+    try {
+        server.listen(control.socket);
+    } finally {
+        process.umask(umask);
+    }
+}
+
+/**
+ * Starts the control socket, a Unix socket that takes one command per
+ * connection and answers with one line of JSON:
+ *
+ *   status [name]          the state of every certificate
+ *   rotate-now [name]      issue, install and run 'onreplace' now
+ *   swap-to-backup [name]  install the prefetched backup certificate now
+ *   pause [name]           stop scheduling transitions
+ *   resume [name]          schedule them again
+ *
+ * e.g. `echo rotate-now web | socat - UNIX-CONNECT:/run/certrotator.sock`,
+ * or `certrotator control <config> rotate-now web`. Who may connect is up to
+ * the file mode and owner of the socket.
+ *
+ * @param {{socket: string, mode: number, uid?: number, gid?: number}} control - The validated 'control' section.
+ * @returns {net.Server}
+ */
+function startControlServer(control) {
+    const server = net.createServer(serve);
+    let retried = false;
+
+    server.on("error", (err) => {
+        if (err.code !== "EADDRINUSE" || retried) {
+            logger.error(`Control socket ${control.socket} failed: ${err.message}`, { event: "control_failed", error: err.message });
+            return;
+        }
+        // Someone still listening, or a socket file left behind by a crash?
+        retried = true;
+        const probe = net.connect(control.socket, () => {
+            probe.destroy();
+            logger.error(`Control socket ${control.socket} is in use by another process.`, { event: "control_failed" });
+        });
+        probe.on("error", () => {
+            const stat = fs.lstatSync(control.socket, { throwIfNoEntry: false });
+            if (!stat || !stat.isSocket()) {
+                logger.error(`Control socket ${control.socket} exists and is not a socket.`, { event: "control_failed" });
+                return;
+            }
+            fs.rmSync(control.socket, { force: true });
+            listen(server, control);
+        });
+    });
+    server.on("listening", () => {
+        try {
+            fs.chmodSync(control.socket, control.mode);
+            if (control.uid !== undefined) {
+                fs.chownSync(control.socket, control.uid, control.gid);
+            }
+        } catch (e) {
+            logger.error(`Couldn't set the mode and owner of ${control.socket}, closing it: ${e.message}`, { event: "control_failed", error: e.message });
+            return server.close();
+        }
+        logger.info(`Listening for control commands on ${control.socket}`, { event: "control_listening", path: control.socket });
+    });
+
+    // Stays ref'd: with every certificate paused there is no timer left, and
+    // the daemon has to keep running for the 'resume'. shutdown() closes it.
+    listen(server, control);
+    return server;
+}
+
+module.exports = startControlServer;
+module.exports.COMMANDS = Object.keys(COMMANDS);
@@ -0,0 +1,66 @@
+const logger = require("../logger.js");
+const { retryDelay, retryWait, retriesCancelled } = require("../retry.js");
+
+/**
+ * Delivery targets, keyed by the suffix used in the config 'type'.
+ * "vault" writes only the local file, "vault/s3" also uploads to S3, etc.
+ * Each target reads its settings from the config block of the same name.
+ */
+const targets = {
+    s3: require("./s3.js")
+};
+
+/**
+ * Lists the delivery targets a config 'type' asks for.
+ * @param {string} [type] - e.g. "vault" or "vault/s3".
+ * @returns {string[]}
+ */
+function targetsFor(type) {
+    return (type || "vault").split("/").slice(1);
+}
+
+/**
+ * Runs one delivery with its own retry loop. A shutdown cuts the delay
+ * before the next attempt short, see cancelRetries() in retry.js.
+ * @param {string} name - Target name (for logging).
+ * @param {function(): Promise<void>} fn - The delivery itself.
+ * @param {{retry_every: number, retry_num: number, backoff: number, max_delay?: number, jitter: number}} onfail
+ * @param {object} log - Logger to use.
+ * @returns {Promise<void>}
+ * @throws Once all attempts are exhausted, or a shutdown began.
+ */
+async function withRetries(name, fn, onfail, log) {
+    for (let attempt = 1; ; attempt++) {
+        log.info(`Delivering certificate to '${name}' (attempt #${attempt})...`, { event: "delivery_attempt", target: name, attempt });
+        try {
+            await fn();
+            log.info(`Delivery to '${name}' succeeded.`, { event: "delivery_succeeded", target: name, attempt });
+            return;
+        } catch (err) {
+            log.error(`Delivery to '${name}' failed: ${err.message}`, { event: "delivery_failed", target: name, attempt, error: err.message });
+            if (attempt >= onfail.retry_num) {
+                throw new Error(`Delivery to '${name}' failed after ${attempt} attempts.`);
+            }
+            await retryWait(retryDelay(onfail, attempt));
+            if (retriesCancelled()) {
+                throw new Error(`Delivery to '${name}' was not retried, shutting down.`);
+            }
+        }
+    }
+}
+
+/**
+ * Sends the bundle to every delivery target of the config 'type'.
+ * @param {string} bundle - The PEM bundle.
+ * @param {object} config - The configuration object.
+ * @returns {Promise<void>}
+ */
+async function deliverCertificate(bundle, config) {
+    const log = logger.forCertificate(config.name);
+    for (const name of targetsFor(config.type)) {
+        const block = config[name];
+        await withRetries(name, () => targets[name].deliver(bundle, block), block.onfail, log);
+    }
+}
+
+module.exports = { deliverCertificate, targetsFor, targets };
@@ -0,0 +1,174 @@
+/**
+ * A local stand-in for S3, for tests and for trying an 's3' config without
+ * AWS. It takes path-style PutObject calls (set 'force_path_style'), checks
+ * their Signature Version 4 on its own, and keeps what was uploaded.
+ *
+ *   const s3 = await startMockS3({ buckets: ["certs"] });
+ *   // { endpoint: s3.address, force_path_style: true, bucket: "certs",
+ *   //   access_key_id: s3.accessKeyId, secret_access_key: s3.secretAccessKey, ... }
+ *   s3.failNext(503, "SlowDown");
+ *   ...
+ *   await s3.close();
+ *
+ * Run directly (node src/delivery/mock_server.js [port]) it listens until
+ * killed and prints every upload to stdout.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+/**
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+function sha256Hex(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Checks the Authorization header of a request the way S3 does.
+ * @param {http.IncomingMessage} req
+ * @param {Buffer} body
+ * @param {{accessKeyId: string, secretAccessKey: string, region: string}} expected
+ * @returns {string|null} The S3 error code, null if the signature is good.
+ */
+function checkSignature(req, body, expected) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([a-z0-9;-]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization || "");
+    if (!match) {
+        return "AuthorizationHeaderMalformed";
+    }
+    const [, accessKeyId, day, region, signedHeaders, signature] = match;
+    if (accessKeyId !== expected.accessKeyId) {
+        return "InvalidAccessKeyId";
+    }
+    if (region !== expected.region) {
+        return "AuthorizationHeaderMalformed";
+    }
+    const timestamp = req.headers["x-amz-date"] || "";
+    const names = signedHeaders.split(";");
+    if (!timestamp.startsWith(day) || !names.includes("host") || !names.includes("x-amz-date")) {
+        return "AccessDenied";
+    }
+    if (req.headers["x-amz-content-sha256"] !== sha256Hex(body)) {
+        return "XAmzContentSHA256Mismatch";
+    }
+
+    const [pathname, query = ""] = req.url.split("?");
+    const canonicalQuery = query.split("&").filter(Boolean).sort().join("&");
+    const canonicalHeaders = names.map((name) => `${name}:${String(req.headers[name] || "").trim()}\n`).join("");
+    const canonicalRequest = [req.method, pathname, canonicalQuery, canonicalHeaders, signedHeaders, req.headers["x-amz-content-sha256"]].join("\n");
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", timestamp, scope, sha256Hex(canonicalRequest)].join("\n");
+
+    const key = [day, region, "s3", "aws4_request"].reduce(
+        (k, part) => crypto.createHmac("sha256", k).update(part).digest(),
+        `AWS4${expected.secretAccessKey}`
+    );
+    const expectedSignature = crypto.createHmac("sha256", key).update(stringToSign).digest("hex");
+    return expectedSignature === signature ? null : "SignatureDoesNotMatch";
+}
+
+/**
+ * Starts the S3 stand-in.
+ * @param {object} [options]
+ * @param {number} [options.port] - Defaults to a random free port.
+ * @param {string[]} [options.buckets] - The buckets that exist, default ["certs"].
+ * @param {string} [options.region] - The region requests must be signed for, default "us-east-1".
+ * @returns {Promise<object>} The handle: address, accessKeyId, secretAccessKey, requests, objects, failNext(), close().
+ */
+async function startMockS3(options = {}) {
+    const buckets = options.buckets || ["certs"];
+    const region = options.region || "us-east-1";
+    const failures = [];
+
+    const handle = {
+        address: null,
+        accessKeyId: "AKIDMOCKS3",
+        secretAccessKey: crypto.randomBytes(20).toString("base64"),
+        // Every request: {method, path, headers, body (string), error}
+        requests: [],
+        // "bucket/key" => {body (string), headers}
+        objects: new Map(),
+
+        /**
+         * Answers the next signed request(s) with this error.
+         * @param {number} status
+         * @param {string} code - The S3 error code, e.g. "SlowDown".
+         * @param {number} [times]
+         */
+        failNext(status, code, times = 1) {
+            for (let i = 0; i < times; i++) {
+                failures.push([status, code]);
+            }
+        },
+
+        close: null
+    };
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {Buffer} body
+     * @returns {[number, string|null]} The status and the S3 error code.
+     */
+    function route(req, body) {
+        if (req.method !== "PUT") {
+            return [405, "MethodNotAllowed"];
+        }
+        const signatureError = checkSignature(req, body, { ...handle, region });
+        if (signatureError) {
+            return [signatureError === "AuthorizationHeaderMalformed" ? 400 : 403, signatureError];
+        }
+        if (failures.length > 0) {
+            return failures.shift();
+        }
+        const [, bucket, ...key] = req.url.split("?")[0].split("/");
+        if (!buckets.includes(decodeURIComponent(bucket))) {
+            return [404, "NoSuchBucket"];
+        }
+        if (key.length === 0 || key.join("") === "") {
+            return [400, "InvalidRequest"];
+        }
+        const name = [bucket, ...key].map(decodeURIComponent).join("/");
+        handle.objects.set(name, { body: body.toString(), headers: req.headers });
+        return [200, null];
+    }
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            const body = Buffer.concat(chunks);
+            const [status, error] = route(req, body);
+            handle.requests.push({ method: req.method, path: req.url, headers: req.headers, body: body.toString(), error });
+            if (error) {
+                res.writeHead(status, { "content-type": "application/xml" });
+                res.end(`<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${error}</Code><Message>${error}</Message></Error>`);
+                return;
+            }
+            res.writeHead(200, { etag: `"${crypto.createHash("md5").update(body).digest("hex")}"` });
+            res.end();
+        });
+    });
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port || 0, "127.0.0.1", resolve);
+    });
+    handle.address = `http://127.0.0.1:${server.address().port}`;
+    handle.close = () => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+    return handle;
+}
+
+module.exports = { startMockS3 };
+
+if (require.main === module) {
+    startMockS3({ port: Number(process.argv[2]) || 9000 }).then((s3) => {
+        process.stderr.write(`Mock S3 listening on ${s3.address} (bucket "certs"), access key ${s3.accessKeyId}, secret key ${s3.secretAccessKey}\n`);
+        setInterval(() => {
+            s3.requests.splice(0).forEach((request) => process.stdout.write(`${request.method} ${request.path} ${request.error || "OK"}\n${request.body}\n`));
+        }, 200);
+    });
+}
@@ -0,0 +1,58 @@
+const httpRequest = require("../http_request.js");
+const { signRequest, uriEncode } = require("../aws/sigv4.js");
+const { getCredentials, resolveRegion } = require("../aws/credentials.js");
+
+/**
+ * Builds the PutObject URL. With a custom endpoint (MinIO, localstack...) the
+ * bucket goes into the path when force_path_style is set, otherwise into the host.
+ * @param {object} s3 - The validated 's3' config block.
+ * @returns {URL}
+ */
+function objectUrl(s3) {
+    const key = s3.file.replace(/^\/+/, "").split("/").map(uriEncode).join("/");
+    if (s3.endpoint) {
+        const base = new URL(s3.endpoint);
+        if (s3.force_path_style) {
+            return new URL(`${base.origin}/${uriEncode(s3.bucket)}/${key}`);
+        }
+        return new URL(`${base.protocol}//${s3.bucket}.${base.host}/${key}`);
+    }
+    return new URL(`https://${s3.bucket}.s3.${resolveRegion(s3.region)}.amazonaws.com/${key}`);
+}
+
+/**
+ * Uploads the certificate bundle to the configured S3 object.
+ * @param {string} bundle - The PEM bundle, exactly as written to 'tls.cert'.
+ * @param {object} s3 - The validated 's3' config block.
+ * @returns {Promise<void>}
+ * @throws If S3 answers with anything but 200.
+ */
+async function deliver(bundle, s3) {
+    const url = objectUrl(s3);
+    const headers = { "content-type": "application/x-pem-file" };
+    if (s3.sse) {
+        headers["x-amz-server-side-encryption"] = s3.sse;
+        if (s3.kms_key_id) {
+            headers["x-amz-server-side-encryption-aws-kms-key-id"] = s3.kms_key_id;
+        }
+    }
+
+    const signed = signRequest({
+        method: "PUT",
+        url,
+        headers,
+        body: bundle,
+        service: "s3",
+        region: resolveRegion(s3.region),
+        credentials: await getCredentials(s3)
+    });
+
+    const res = await httpRequest(url, { method: "PUT", headers: signed, body: bundle, timeout: 30000 });
+    if (res.status !== 200) {
+        const code = /<Code>([^<]+)<\/Code>/.exec(res.body.toString());
+        throw new Error(`S3 upload to s3://${s3.bucket}/${s3.file} failed with status ${res.status}` +
+            (code ? ` (${code[1]})` : ""));
+    }
+}
+
+module.exports = { deliver, objectUrl };
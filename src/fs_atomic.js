@@ -0,0 +1,163 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+function tempPath(file, suffix) {
+    return path.join(
+        path.dirname(path.resolve(file)),
+        `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.${suffix}`
+    );
+}
+
+function fsyncDir(dir) {
+    // Persist the rename itself. Not every platform lets us fsync a directory.
+    try {
+        const dirFd = fs.openSync(dir, "r");
+        fs.fsyncSync(dirFd);
+        fs.closeSync(dirFd);
+    } catch (e) {
+        // best effort
+    }
+}
+
+/**
+ * Keeps the current contents of 'file' as '<file>.bak'. The backup is a hard
+ * link to the old inode, so it keeps its mode and owner, and the subsequent
+ * rename over 'file' leaves it untouched.
+ * @param {string} file
+ */
+function backupFile(file) {
+    const tmp = tempPath(file, "bak");
+    try {
+        fs.linkSync(file, tmp);
+    } catch (e) {
+        // Some filesystems have no hard links.
+        fs.copyFileSync(file, tmp);
+        const stat = fs.statSync(file);
+        fs.chmodSync(tmp, stat.mode & 0o7777);
+        try {
+            fs.chownSync(tmp, stat.uid, stat.gid);
+        } catch (chownErr) {
+            // best effort when not running as root
+        }
+    }
+    fs.renameSync(tmp, `${file}.bak`);
+}
+
+/**
+ * First half of an atomic write: the data goes to a temp file in the same
+ * directory, gets fsynced and has its mode and owner applied. Nothing is
+ * replaced until commitFile().
+ *
+ * Mode and owner default to those of the file being replaced, so a write
+ * never loosens permissions that were set by hand.
+ *
+ * @param {string} file - Destination path.
+ * @param {string|Buffer} data - Contents to write.
+ * @param {object} [options]
+ * @param {number} [options.mode] - File mode (default: the existing file's, else 0600).
+ * @param {number} [options.uid] - Owner (default: the existing file's).
+ * @param {number} [options.gid] - Group (default: the existing file's, -1 keeps it).
+ * @param {boolean} [options.backup] - Keep the replaced file as '<file>.bak'.
+ * @returns {{file: string, tmp: string, backup: boolean}} For commitFile() or discardFile().
+ */
+function stageFile(file, data, options = {}) {
+    let existing = null;
+    try {
+        existing = fs.statSync(file);
+    } catch (e) {
+        if (e.code !== "ENOENT") {
+            throw e;
+        }
+    }
+
+    let mode = options.mode;
+    if (mode === undefined) {
+        mode = existing ? existing.mode & 0o7777 : 0o600;
+    }
+    const configuredOwner = options.uid !== undefined;
+    const uid = configuredOwner ? options.uid : existing && existing.uid;
+    const gid = configuredOwner ? options.gid : existing && existing.gid;
+
+    const tmp = tempPath(file, "tmp");
+    let fd = fs.openSync(tmp, "wx", 0o600);
+    try {
+        fs.writeFileSync(fd, data);
+        fs.fsyncSync(fd);
+        if (uid !== null && uid !== undefined) {
+            try {
+                fs.fchownSync(fd, uid, gid);
+            } catch (e) {
+                // Preserving someone else's ownership needs root; a configured owner is a hard requirement.
+                if (configuredOwner) {
+                    throw e;
+                }
+            }
+        }
+        // chmod after chown: chown clears the setuid/setgid bits.
+        fs.fchmodSync(fd, mode);
+        fs.closeSync(fd);
+        fd = null;
+    } catch (e) {
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+        fs.rmSync(tmp, { force: true });
+        throw e;
+    }
+    return { file, tmp, backup: Boolean(options.backup && existing) };
+}
+
+/**
+ * Second half of an atomic write: keeps the old file as '.bak' if asked to
+ * and renames the staged file over it. Readers see either the old contents
+ * or the new ones, never a half-written file.
+ * @param {{file: string, tmp: string, backup: boolean}} staged - From stageFile().
+ */
+function commitFile(staged) {
+    try {
+        if (staged.backup) {
+            backupFile(staged.file);
+        }
+        fs.renameSync(staged.tmp, staged.file);
+    } catch (e) {
+        discardFile(staged);
+        throw e;
+    }
+    fsyncDir(path.dirname(path.resolve(staged.file)));
+}
+
+/**
+ * Drops a staged file that won't be committed.
+ * @param {{tmp: string}} staged - From stageFile().
+ */
+function discardFile(staged) {
+    fs.rmSync(staged.tmp, { force: true });
+}
+
+/**
+ * Writes a file atomically, see stageFile() and commitFile().
+ * @param {string} file - Destination path.
+ * @param {string|Buffer} data - Contents to write.
+ * @param {object} [options] - See stageFile().
+ */
+function writeFileAtomic(file, data, options = {}) {
+    commitFile(stageFile(file, data, options));
+}
+
+/**
+ * Puts '<file>.bak' back in place of 'file'.
+ * @param {string} file
+ * @returns {boolean} false if there was no backup to restore.
+ */
+function restoreBackup(file) {
+    const bak = `${file}.bak`;
+    if (!fs.existsSync(bak)) {
+        return false;
+    }
+    fs.renameSync(bak, file);
+    fsyncDir(path.dirname(path.resolve(file)));
+    return true;
+}
+
+module.exports = { writeFileAtomic, stageFile, commitFile, discardFile, restoreBackup };
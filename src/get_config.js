@@ -1,29 +1,221 @@
 const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
 const logger = require("./logger.js");
+const { formatPath } = require("./json_schema.js");
 
-function main() {
-    const path = process.argv[2];
-    if (!path) {
-        logger.error("Looks like you didn't provide the configuration file, aborting.");
-        throw new Error("No config file in the argument");
+// ${NAME} is an environment variable, ${file:/path} the contents of a file
+// (relative paths are relative to the config file), $${...} a literal "${...}".
+const REFERENCE = /\$(\$?)\{([^}]*)\}/g;
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Parses one file: YAML for .yaml/.yml, JSON otherwise.
+ * @param {string} file
+ * @returns {*}
+ */
+function parseFile(file) {
+    let contents;
+    try {
+        contents = fs.readFileSync(file, 'utf8');
+    }
+    catch (e) {
+        throw new Error(`Can't read ${file}: ${e.message}`);
+    }
+    if (/\.ya?ml$/i.test(file)) {
+        const document = YAML.parseDocument(contents, { prettyErrors: true });
+        if (document.errors.length > 0) {
+            throw new Error(`${file} is not valid YAML: ${document.errors[0].message}`);
+        }
+        return document.toJS();
     }
     try {
-        var contents = fs.readFileSync(path, 'utf8');
+        return JSON.parse(contents);
     }
     catch (e) {
-        logger.error("Can't read the file at a given location.");
-        throw e;
+        throw new Error(`${file} is not valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Calls 'replace' for every string value, in place.
+ * @param {*} value
+ * @param {Array<string|number>} at - Path of the value.
+ * @param {function(string, Array<string|number>): string} replace
+ * @returns {*} The value with its strings replaced.
+ */
+function mapStrings(value, at, replace) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => mapStrings(item, [...at, index], replace));
+    }
+    if (value !== null && typeof value === "object") {
+        Object.keys(value).forEach((key) => {
+            value[key] = mapStrings(value[key], [...at, key], replace);
+        });
+        return value;
+    }
+    return typeof value === "string" ? replace(value, at) : value;
+}
+
+/**
+ * Makes the ${file:...} references of one file absolute, in place, so they
+ * still point to the right place once merged with files from elsewhere.
+ * @param {*} value
+ * @param {string} dir - Directory of the file the value comes from.
+ * @returns {*}
+ */
+function anchorFiles(value, dir) {
+    return mapStrings(value, [], (string) => string.replace(REFERENCE, (whole, escaped, reference) => {
+        if (escaped || !reference.startsWith("file:")) {
+            return whole;
+        }
+        return `\${file:${path.resolve(dir, reference.slice("file:".length))}}`;
+    }));
+}
+
+/**
+ * Replaces the ${...} references of every string value, in place.
+ * @param {*} value - With absolute ${file:...} paths, see anchorFiles().
+ * @param {string[]} errors - Every unresolvable reference is added here.
+ * @returns {*} The interpolated value.
+ */
+function interpolate(value, errors) {
+    return mapStrings(value, [], (string, at) => string.replace(REFERENCE, (whole, escaped, reference) => {
+        if (escaped) {
+            return whole.slice(1);
+        }
+        const where = `'${formatPath(at)}'`;
+        if (reference.startsWith("file:")) {
+            const file = reference.slice("file:".length);
+            try {
+                return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, "");
+            }
+            catch (e) {
+                errors.push(`${where} refers to ${file}, which can't be read: ${e.message}`);
+                return whole;
+            }
+        }
+        if (!ENV_NAME.test(reference)) {
+            errors.push(`${where} has an invalid reference ${whole}, expected \${ENV_VAR} or \${file:/path}.`);
+            return whole;
+        }
+        if (process.env[reference] === undefined) {
+            errors.push(`${where} refers to the environment variable ${reference}, which is not set.`);
+            return whole;
+        }
+        return process.env[reference];
+    }));
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Lays 'override' over 'base': objects are merged key by key, 'certificates'
+ * entries by name (so an override can change one certificate of the base),
+ * anything else is replaced. So is 'vault.auth': the fields of one auth
+ * method mean nothing to another.
+ * @param {*} base
+ * @param {*} override
+ * @param {string} [key] - The key both values are under.
+ * @returns {*}
+ */
+function merge(base, override, key) {
+    if (isPlainObject(base) && isPlainObject(override) && key !== "auth") {
+        const merged = { ...base };
+        Object.keys(override).forEach((name) => {
+            merged[name] = Object.prototype.hasOwnProperty.call(base, name)
+                ? merge(base[name], override[name], name)
+                : override[name];
+        });
+        return merged;
+    }
+    if (key === "certificates" && Array.isArray(base) && Array.isArray(override)) {
+        const merged = [...base];
+        override.forEach((entry) => {
+            const index = isPlainObject(entry) && entry.name !== undefined
+                ? merged.findIndex((other) => isPlainObject(other) && other.name === entry.name)
+                : -1;
+            if (index === -1) {
+                merged.push(entry);
+            } else {
+                merged[index] = merge(merged[index], entry);
+            }
+        });
+        return merged;
+    }
+    return override;
+}
+
+/**
+ * Loads a file and everything it includes: the 'include'd files (one path or
+ * a list, relative to the including file) are merged in order, then the
+ * file's own settings over them.
+ * The ${...} references are left for after the merge, see main().
+ * @param {string} file
+ * @param {string[]} chain - The files that led here, to catch include loops.
+ * @returns {*}
+ */
+function load(file, chain) {
+    if (chain.includes(file)) {
+        throw new Error(`Include loop: ${[...chain, file].join(" -> ")}`);
+    }
+    const dir = path.dirname(file);
+    const contents = anchorFiles(parseFile(file), dir);
+    if (!isPlainObject(contents) || !Object.prototype.hasOwnProperty.call(contents, "include")) {
+        return contents;
     }
+
+    const includes = [].concat(contents.include);
+    delete contents.include;
+    if (includes.some((include) => typeof include !== "string" || include === "")) {
+        throw new Error(`'include' in ${file} must be a path or a list of paths.`);
+    }
+    const base = includes.reduce((merged, include) => {
+        const included = load(path.resolve(dir, include), [...chain, file]);
+        if (!isPlainObject(included)) {
+            throw new Error(`${include}, included by ${file}, must hold an object.`);
+        }
+        return merge(merged, included);
+    }, {});
+    return merge(base, contents);
+}
+
+/**
+ * Reads the config file (JSON, or YAML for .yaml/.yml), resolves its includes
+ * and ${ENV_VAR} / ${file:/path} references. The references are resolved
+ * once everything is merged, so only the values that made it count.
+ * @param {string} configPath
+ * @returns {object}
+ */
+function main(configPath) {
+    if (!configPath) {
+        logger.error("Looks like you didn't provide the configuration file, aborting.");
+        throw new Error("No config file in the argument");
+    }
+    const errors = [];
+    let config;
     try {
-        var json = JSON.parse(contents);
+        config = interpolate(load(path.resolve(configPath), []), errors);
     }
     catch (e) {
-        logger.error("Your file is not a valid JSON");
+        logger.error(e.message);
         throw e;
     }
+    if (errors.length > 0) {
+        errors.forEach((message) => logger.error(message));
+        const error = new Error(errors.join("\n"));
+        error.errors = errors;
+        throw error;
+    }
 
-    return json;
+    return config;
 
 }
 
-module.exports = main;
\ No newline at end of file
+module.exports = main;
@@ -0,0 +1,355 @@
+const { spawn } = require("child_process");
+const readline = require("readline");
+const logger = require("./logger.js");
+const metrics = require("./metrics.js");
+const { retryDelay, retryWait, retriesCancelled } = require("./retry.js");
+const { systemClock } = require("./clock.js");
+const { actionOf, describeAction, runAction } = require("./actions.js");
+const notify = require("./notify/index.js");
+
+// Hook commands that are still running, so a shutdown can wait for them or kill them.
+const children = new Set();
+// --dry-run: log the commands instead of running them.
+let dryRun = false;
+
+// How long a command gets between SIGTERM and SIGKILL, after its 'timeout_ms' or a shutdown timeout.
+const KILL_GRACE = 5000;
+// How long the output of a command that exited is still read, in case something
+// it left running in the background holds it open.
+const OUTPUT_GRACE = 1000;
+
+/**
+ * Sends a signal to a hook command and everything it started.
+ * @param {ChildProcess} child
+ * @param {string} signal
+ */
+function killChild(child, signal) {
+    try {
+        process.kill(-child.pid, signal);
+    } catch (e) {
+        // Already gone.
+    }
+}
+
+/**
+ * How a hook reads in logs: its command, or what its action does.
+ * @param {object} hook
+ * @returns {string}
+ */
+function display(hook) {
+    if (actionOf(hook)) {
+        return describeAction(hook);
+    }
+    const { command } = hook;
+    return Array.isArray(command) ? command.map((arg) => (/[\s"']/.test(arg) ? JSON.stringify(arg) : arg)).join(" ") : command;
+}
+
+/**
+ * Runs a command asynchronously: a string goes through the shell, an array
+ * is run as is (program and arguments).
+ * @param {string|string[]} command
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Kill the command (SIGTERM, then SIGKILL) once it runs longer.
+ * @param {string} [options.cwd]
+ * @param {object} [options.env] - The whole environment of the command.
+ * @param {number} [options.uid]
+ * @param {number} [options.gid]
+ * @param {function(string, string): void} [options.onOutput] - Gets ("stdout"|"stderr", line) for every
+ *     line the command prints. Without it the output goes to ours.
+ * @returns {Promise<void>} Resolves when the command finishes successfully, after its last line of output.
+ * @throws If the process exits with a non-zero code or overruns its timeout.
+ */
+async function runCommand(command, options = {}) {
+    return new Promise((resolve, reject) => {
+        const spawnOptions = {
+            cwd: options.cwd,
+            env: options.env,
+            stdio: options.onOutput ? ["ignore", "pipe", "pipe"] : "inherit",
+            // Own process group, so a timeout or a shutdown can stop the command and whatever it started.
+            detached: true
+        };
+        if (options.uid !== undefined) {
+            spawnOptions.uid = options.uid;
+        }
+        if (options.gid !== undefined && options.gid !== -1) {
+            spawnOptions.gid = options.gid;
+        }
+        const child = Array.isArray(command)
+            ? spawn(command[0], command.slice(1), spawnOptions)
+            : spawn(command, { ...spawnOptions, shell: true });
+        children.add(child);
+
+        if (options.onOutput) {
+            ["stdout", "stderr"].forEach((stream) => {
+                readline.createInterface({ input: child[stream], crlfDelay: Infinity })
+                    .on("line", (line) => options.onOutput(stream, line));
+            });
+        }
+
+        const { timeoutMs } = options;
+        let timedOut = false;
+        let killTimer = null;
+        const timer = timeoutMs ? setTimeout(() => {
+            timedOut = true;
+            killChild(child, "SIGTERM");
+            killTimer = setTimeout(() => killChild(child, "SIGKILL"), KILL_GRACE);
+        }, timeoutMs) : null;
+        let outputTimer = null;
+        const exited = () => {
+            children.delete(child);
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+        };
+
+        child.on("error", (err) => {
+            exited();
+            reject(new Error(`Failed to start command: ${err.message}`));
+        });
+
+        // The result comes on 'close', once the output is read to the end. Something
+        // the command left running in the background may keep its output open for
+        // much longer, so after OUTPUT_GRACE we stop reading.
+        child.on("exit", () => {
+            exited();
+            outputTimer = setTimeout(() => [child.stdout, child.stderr].forEach((stream) => stream && stream.destroy()), OUTPUT_GRACE);
+        });
+        child.on("close", (code, signal) => {
+            clearTimeout(outputTimer);
+            if (timedOut) {
+                reject(new Error(`Command timed out after ${timeoutMs} ms`));
+            } else if (signal) {
+                reject(new Error(`Command was killed by ${signal}`));
+            } else if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`Command exited with code ${code}`));
+            }
+        });
+    });
+}
+
+/**
+ * The environment variables that tell a hook about the rotation.
+ * @param {object} config - The configuration object.
+ * @param {{certData?: object, previous?: object}} context
+ * @param {string} label - e.g. "onreplace[1]".
+ * @param {number} attempt
+ * @returns {object}
+ */
+function rotationEnv(config, context, label, attempt) {
+    const { certData, previous } = context;
+    const env = {
+        CERTROTATOR_HOOK: label,
+        CERTROTATOR_ATTEMPT: String(attempt),
+        CERTROTATOR_CERT_PATH: config.tls.cert,
+        CERTROTATOR_KEY_PATH: config.tls.key
+    };
+    if (config.name !== undefined) {
+        env.CERTROTATOR_NAME = config.name;
+    }
+    if (certData) {
+        env.CERTROTATOR_SERIAL = certData.serial_number;
+        env.CERTROTATOR_NOT_AFTER = new Date(certData.expiration * 1000).toISOString();
+    }
+    if (previous) {
+        env.CERTROTATOR_PREVIOUS_SERIAL = previous.serial_number;
+    }
+    return env;
+}
+
+/**
+ * Runs one attempt of a hook: its action, or its command with the hook's
+ * 'timeout_ms', 'cwd', 'env' and user. The default hook runner.
+ * @param {object} hook - A validated hook.
+ * @param {object} options
+ * @param {object} options.env - The CERTROTATOR_* variables, see rotationEnv().
+ * @param {function(string, string): void} options.onOutput - Gets ("stdout"|"stderr", line).
+ * @returns {Promise<void>}
+ * @throws If the attempt failed.
+ */
+async function runAttempt(hook, options) {
+    if (actionOf(hook)) {
+        return runAction(hook, { onOutput: options.onOutput });
+    }
+    return runCommand(hook.command, {
+        timeoutMs: hook.timeout_ms,
+        cwd: hook.cwd,
+        env: { ...process.env, ...options.env, ...hook.env },
+        uid: hook.uid,
+        gid: hook.gid,
+        onOutput: options.onOutput
+    });
+}
+
+/**
+ * Runs one hook (a command or an action) until it succeeds or runs out of attempts.
+ * @param {object} hook - A validated hook.
+ * @param {string} label - e.g. "onreplace[1]", for logging and metrics.
+ * @param {object} config - The configuration object.
+ * @param {{certData?: object, previous?: object}} context - See runHookCommands().
+ * @param {{runner: function, clock: object}} options - See runHookCommands().
+ * @returns {Promise<void>}
+ * @throws Once every attempt failed.
+ */
+async function runHook(hook, label, config, context, options) {
+    const log = logger.forCertificate(config.name);
+    const command = display(hook);
+    if (dryRun) {
+        log.info(`[dry-run] Would run [${command}]`, { event: "dry_run", hook: label, command });
+        return;
+    }
+    if (hook.description) {
+        log.info(`(${label}) ${hook.description}`, { event: "hook_description", hook: label });
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        log.info(`Attempting command [${command}] (attempt #${attempt})...`, {
+            event: "hook_attempt",
+            hook: label,
+            attempt,
+            command
+        });
+
+        const onOutput = (stream, line) => {
+            const level = stream === "stderr" ? "warn" : "info";
+            log[level](`(${label}) ${line}`, { event: "hook_output", hook: label, stream, attempt });
+        };
+        const { clock } = options;
+        const startedAt = clock.now();
+        try {
+            await options.runner(hook, { env: rotationEnv(config, context, label, attempt), onOutput });
+            metrics.hookAttempted(config, label, clock.now() - startedAt, true);
+            log.info(`Command succeeded [${command}]`, {
+                event: "hook_succeeded",
+                hook: label,
+                attempt,
+                duration_ms: clock.now() - startedAt
+            });
+            return;
+        } catch (err) {
+            metrics.hookAttempted(config, label, clock.now() - startedAt, false);
+            log.error(`Command failed [${command}]: ${err.message}`, {
+                event: "hook_failed",
+                hook: label,
+                attempt,
+                duration_ms: clock.now() - startedAt,
+                error: err.message
+            });
+            if (attempt >= hook.onfail.retry_num) {
+                throw new Error(`Command [${command}] failed after ${attempt} attempts.`);
+            }
+            await retryWait(retryDelay(hook.onfail, attempt), clock);
+            if (retriesCancelled()) {
+                throw new Error(`Command [${command}] was not retried, shutting down.`);
+            }
+        }
+    }
+}
+
+/**
+ * Runs the commands of one hook list. Commands run in parallel, except that
+ * a command with 'depends_on' waits until the named commands have succeeded
+ * (and is skipped if one of them failed). Each command has its own retries.
+ * Resolves once every command is done; fails if a command without
+ * 'continue_on_failure' failed all its attempts.
+ *
+ * Every command gets the CERTROTATOR_* variables of rotationEnv() in its
+ * environment, and its output is logged line by line.
+ *
+ * @param {Array<{command: string|string[], name?: string, depends_on?: string|string[], timeout_ms?: number,
+ *     continue_on_failure: boolean, cwd?: string, env?: object, uid?: number, gid?: number, onfail: object}>} hookArray
+ * @param {string} hookName - "onstart", "onreplace" or "onrollback" (for logging and metrics).
+ * @param {object} config - The configuration object.
+ * @param {object} [context]
+ * @param {object} [context.certData] - The certificate the hooks are about (the installed one).
+ * @param {object} [context.previous] - The certificate it replaced (or, for 'onrollback', the one that failed).
+ * @param {object} [options]
+ * @param {function(object, object): Promise<void>} [options.runner] - Runs one attempt of a hook, runAttempt() by default.
+ * @param {object} [options.clock] - Times the attempts and the retry delays, see clock.js.
+ * @returns {Promise<void>}
+ */
+async function runHookCommands(hookArray, hookName, config, context = {}, options = {}) {
+    const runOptions = { runner: options.runner || runAttempt, clock: options.clock || systemClock };
+    const log = logger.forCertificate(config.name);
+    if (!Array.isArray(hookArray) || hookArray.length === 0) {
+        log.info(`No '${hookName}' commands to run.`, { event: "hooks_skipped", hook: hookName });
+        return;
+    }
+
+    // index => Promise<boolean>, true once the command succeeded. parse_config
+    // made sure every 'depends_on' names a command of this list, without cycles.
+    const outcomes = new Map();
+    const indexOf = new Map(hookArray.map((hook, index) => [hook.name, index]));
+    let fatal = null;
+
+    const outcome = (index) => {
+        if (!outcomes.has(index)) {
+            outcomes.set(index, run(hookArray[index], index));
+        }
+        return outcomes.get(index);
+    };
+    const run = async (hook, index) => {
+        const label = `${hookName}[${index}]`;
+        const needs = [].concat(hook.depends_on || []);
+        const ready = await Promise.all(needs.map((name) => outcome(indexOf.get(name))));
+        if (ready.includes(false)) {
+            const failed = needs.filter((name, i) => !ready[i]);
+            log.warn(`Skipping [${display(hook)}], it depends on ${failed.map((name) => `'${name}'`).join(", ")}, which did not succeed.`, {
+                event: "hook_skipped",
+                hook: label,
+                depends_on: failed
+            });
+            return false;
+        }
+        try {
+            await runHook(hook, label, config, context, runOptions);
+            return true;
+        } catch (err) {
+            if (!retriesCancelled()) {
+                notify.notify(config, "hook_exhausted", { certData: context.certData, error: err.message });
+            }
+            if (hook.continue_on_failure) {
+                log.warn(`${err.message} Continuing, it is allowed to fail.`, { event: "hook_ignored", hook: label, error: err.message });
+            } else if (!fatal) {
+                fatal = err;
+            }
+            return false;
+        }
+    };
+
+    await Promise.all(hookArray.map((hook, index) => outcome(index)));
+    if (fatal) {
+        throw fatal;
+    }
+    log.info(`All '${hookName}' commands completed.`, { event: "hooks_completed", hook: hookName });
+}
+
+/**
+ * Turns the dry run mode on or off.
+ * @param {boolean} enabled
+ */
+function setDryRun(enabled) {
+    dryRun = enabled;
+}
+
+/**
+ * @returns {number} How many hook commands are running.
+ */
+function runningCount() {
+    return children.size;
+}
+
+/**
+ * Terminates every running hook command: SIGTERM, then SIGKILL for those
+ * still alive after KILL_GRACE.
+ * @returns {Promise<void>} Resolves once they are all gone.
+ */
+async function killAll() {
+    const killed = [...children].map((child) => new Promise((resolve) => child.once("exit", resolve)));
+    children.forEach((child) => killChild(child, "SIGTERM"));
+    const timer = setTimeout(() => children.forEach((child) => killChild(child, "SIGKILL")), KILL_GRACE);
+    await Promise.all(killed);
+    clearTimeout(timer);
+}
+
+module.exports = { runHookCommands, runAttempt, runCommand, setDryRun, runningCount, killAll };
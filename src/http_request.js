@@ -0,0 +1,76 @@
+const http = require("http");
+const https = require("https");
+
+/**
+ * Performs a single HTTP(S) request and buffers the whole response.
+ * @param {string|URL} url - The target URL.
+ * @param {object} [options]
+ * @param {string} [options.method] - HTTP method, defaults to GET.
+ * @param {object} [options.headers] - Request headers.
+ * @param {string|Buffer} [options.body] - Request body.
+ * @param {number} [options.timeout] - Abort the request if it isn't done, reply included, after this many ms.
+ * @param {string} [options.socketPath] - Talk to a Unix socket instead of host:port.
+ * @param {object} [options.tls] - Extra TLS options (ca, cert, key) for https.
+ * @returns {Promise<{status: number, headers: object, body: Buffer}>}
+ */
+function httpRequest(url, options = {}) {
+    const target = url instanceof URL ? url : new URL(url);
+    const transport = target.protocol === "https:" ? https : http;
+
+    const requestOptions = {
+        method: options.method || "GET",
+        headers: { ...(options.headers || {}) },
+        ...(options.tls || {})
+    };
+    if (options.socketPath) {
+        requestOptions.socketPath = options.socketPath;
+        requestOptions.path = target.pathname + target.search;
+    }
+    if (options.body !== undefined && requestOptions.headers["content-length"] === undefined) {
+        requestOptions.headers["content-length"] = Buffer.byteLength(options.body);
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = options.socketPath
+            ? transport.request(requestOptions)
+            : transport.request(target, requestOptions);
+
+        let timer = null;
+        const fail = (err) => {
+            clearTimeout(timer);
+            reject(err);
+        };
+        if (options.timeout) {
+            // A deadline for the whole exchange rather than an idle timeout:
+            // a server that trickles its reply can't hold us up past it.
+            timer = setTimeout(() => {
+                const err = new Error(`Request to ${target.host} timed out after ${options.timeout} ms`);
+                err.code = "ETIMEDOUT";
+                req.destroy(err);
+                fail(err);
+            }, options.timeout);
+        }
+
+        req.on("error", fail);
+        req.on("response", (res) => {
+            const chunks = [];
+            res.on("data", (chunk) => chunks.push(chunk));
+            res.on("error", fail);
+            res.on("end", () => {
+                clearTimeout(timer);
+                resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks)
+                });
+            });
+        });
+
+        if (options.body !== undefined) {
+            req.write(options.body);
+        }
+        req.end();
+    });
+}
+
+module.exports = httpRequest;
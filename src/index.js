@@ -1,28 +1,57 @@
-const aws = require("aws-ahh-sdk");
+#!/usr/bin/env node
 const logger = require("./logger.js");
+const cli = require("./cli.js");
 const main_thread = require("./main_thread.js");
 const parse_config = require("./parse_config.js");
+const { restoreState } = require("./state.js");
+const start_metrics_server = require("./metrics_server.js");
+const start_control_server = require("./control_server.js");
 
 const get_config = require("./get_config.js");
 
+let options = null;
+let activeConfig = null;
+let metricsServer = null;
+let controlServer = null;
+let stopping = false;
+
 function main() {
     try {
-        const config = get_config();
+        const config = get_config(options.config);
+        let warnings;
         try {
-            parse_config(config);
+            warnings = parse_config(config, { strict: options.strict });
         }
         catch (e) {
             logger.error("Your config is bullshit.");
-            logger.error(e.message);
+            (e.errors || [e.message]).forEach((message) => logger.error(message));
+            (e.warnings || []).forEach((message) => logger.warn(message));
             process.exit(1);
         }
 
+        logger.applyConfig(config.logging);
+        warnings.forEach((message) => logger.warn(message));
         logger.info("The config is legit.");
+        activeConfig = config;
+
+        main_thread.setDryRun(options.dryRun);
+        if (options.dryRun) {
+            logger.info("Dry run: no files will be written and no hooks will run.");
+        }
 
-        const tls = config.tls;
-        aws.setTLS(tls);
+        if (config.metrics) {
+            metricsServer = start_metrics_server(config.metrics);
+        }
+        if (config.control) {
+            controlServer = start_control_server(config.control);
+        }
 
-        main_thread({status:"start"}, config);
+        // One independent state machine per certificate.
+        const certificates = config.certificates || [config];
+        certificates.forEach((entry) => {
+            const { current, delay } = restoreState(entry);
+            main_thread.start(current, entry, delay);
+        });
     }
     catch (e) {
         logger.error("Some fatal error occured. Aborting.");
@@ -30,24 +59,128 @@ function main() {
     }
 }
 
-main();
+/**
+ * Re-reads and re-validates the config. An invalid config is ignored and the
+ * old one stays in effect; a valid one is swapped in for every certificate,
+ * certificates that were added are started and the removed ones stopped.
+ */
+function reload() {
+    let config;
+    let warnings;
+    try {
+        config = get_config(options.config);
+        warnings = parse_config(config, { strict: options.strict });
+    }
+    catch (e) {
+        logger.error("The new config is invalid, keeping the current one:");
+        (e.errors || [e.message]).forEach((message) => logger.error(message));
+        (e.warnings || []).forEach((message) => logger.warn(message));
+        return;
+    }
 
-process.on('SIGINT', () => {
-    logger.info('SIGINT was received, shutting down...');
+    logger.applyConfig(config.logging);
+    warnings.forEach((message) => logger.warn(message));
 
-    setTimeout(()=>{
-        process.exit(0);
+    if (JSON.stringify(config.metrics) !== JSON.stringify(activeConfig.metrics)) {
+        if (metricsServer) {
+            metricsServer.close();
+            metricsServer = null;
+        }
+        if (config.metrics) {
+            metricsServer = start_metrics_server(config.metrics);
+        }
+    }
+    if (JSON.stringify(config.control) !== JSON.stringify(activeConfig.control)) {
+        if (controlServer) {
+            controlServer.close();
+            controlServer = null;
+        }
+        if (config.control) {
+            controlServer = start_control_server(config.control);
+        }
+    }
 
-    }, 100);
+    const certificates = config.certificates || [config];
+    const names = certificates.map((entry) => entry.name);
+    main_thread.running()
+        .filter((name) => !names.includes(name))
+        .forEach((name) => main_thread.stop(name));
+    certificates.forEach((entry) => {
+        if (!main_thread.reconfigure(entry)) {
+            const { current, delay } = restoreState(entry);
+            main_thread.start(current, entry, delay);
+        }
+    });
 
-});
+    activeConfig = config;
+    logger.info("The new config is legit and in effect.");
+}
 
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM was received, shutting down...');
+/**
+ * Stops on SIGINT/SIGTERM once running writes and hooks are done (or killed
+ * after 'shutdown.timeout_ms'). Exits 0 only if the shutdown was clean.
+ * A second signal exits right away.
+ * @param {string} signal
+ */
+async function shutdown(signal) {
+    if (stopping) {
+        logger.error(`${signal} was received again, exiting now.`);
+        process.exit(1);
+    }
+    stopping = true;
+    logger.info(`${signal} was received, shutting down...`);
+    if (controlServer) {
+        controlServer.close();
+    }
+
+    const clean = await main_thread.shutdown(activeConfig.shutdown.timeout_ms);
+    if (metricsServer) {
+        metricsServer.close();
+    }
+    if (clean) {
+        logger.info("Shutdown complete.");
+    } else {
+        logger.error("Shutdown was not clean.");
+    }
 
     setTimeout(()=>{
-        process.exit(0);
+        process.exit(clean ? 0 : 1);
 
     }, 100);
+}
+
+try {
+    options = cli.parseArguments(process.argv.slice(2));
+}
+catch (e) {
+    console.error(e.message);
+    process.exit(2);
+}
+
+if (options.help) {
+    console.log(cli.USAGE);
+}
+else if (options.command !== 'run') {
+    // One-off commands: exit once their work (and any background revocation) is done.
+    Promise.resolve(cli[options.command](options)).then((code) => {
+        process.exitCode = code;
+    }).catch((e) => {
+        logger.error(`'${options.command}' failed: ${e.message}`);
+        process.exitCode = 1;
+    });
+}
+else {
+    main();
 
-});
\ No newline at end of file
+    process.on('SIGHUP', () => {
+        if (stopping) {
+            return;
+        }
+        logger.info('SIGHUP was received, reloading the config...');
+        reload();
+    });
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
@@ -0,0 +1,309 @@
+/**
+ * A small JSON Schema (draft-07) validator, just enough for
+ * schema/config.schema.json: $ref (within the schema), type, enum, const,
+ * minimum/maximum (and the exclusive forms), minLength, pattern, minItems,
+ * items, properties, required, additionalProperties, allOf/anyOf/oneOf,
+ * if/then/else and default.
+ *
+ * Every problem is collected instead of stopping at the first one. Keys that
+ * 'additionalProperties: false' does not allow are reported apart, so the
+ * caller decides whether they are errors or warnings.
+ */
+
+const TYPE_NAMES = {
+    string: "a string",
+    number: "a number",
+    integer: "an integer",
+    boolean: "a boolean",
+    object: "an object",
+    array: "an array",
+    null: "null"
+};
+
+/**
+ * @param {*} value
+ * @returns {string} The JSON type of a value ("integer" for whole numbers).
+ */
+function typeOf(value) {
+    if (value === null) {
+        return "null";
+    }
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    if (typeof value === "number") {
+        return Number.isInteger(value) ? "integer" : "number";
+    }
+    return typeof value;
+}
+
+/**
+ * @param {string} type - A JSON Schema type.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasType(type, value) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer" && Number.isFinite(value));
+}
+
+/**
+ * "vault.auth.method", "onstart[0].command", ... for messages.
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+function formatPath(segments) {
+    return segments.reduce((out, segment) => {
+        if (typeof segment === "number") {
+            return `${out}[${segment}]`;
+        }
+        return out ? `${out}.${segment}` : segment;
+    }, "");
+}
+
+/**
+ * Levenshtein distance, to suggest the key that was probably meant.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Looks up a "#/definitions/..." reference.
+ * @param {object} root
+ * @param {string} ref
+ * @returns {object}
+ */
+function resolve(root, ref) {
+    if (!ref.startsWith("#")) {
+        throw new Error(`Only local $refs are supported, got '${ref}'.`);
+    }
+    return ref.slice(1).split("/").filter(Boolean).reduce((node, token) => {
+        const key = token.replace(/~1/g, "/").replace(/~0/g, "~");
+        if (!node || !Object.prototype.hasOwnProperty.call(node, key)) {
+            throw new Error(`Unresolvable $ref '${ref}'.`);
+        }
+        return node[key];
+    }, root);
+}
+
+/**
+ * How a branch of anyOf/oneOf reads in a message: "true", "an object", ...
+ * @param {object} root
+ * @param {object} schema
+ * @returns {string[]}
+ */
+function describe(root, schema) {
+    if (schema.$ref) {
+        return describe(root, resolve(root, schema.$ref));
+    }
+    if (schema.const !== undefined) {
+        return [JSON.stringify(schema.const)];
+    }
+    if (schema.type !== undefined) {
+        return [].concat(schema.type).map((type) => TYPE_NAMES[type]);
+    }
+    return [];
+}
+
+/**
+ * "a or b", "a, b or c".
+ * @param {string[]} items
+ * @returns {string}
+ */
+function either(items) {
+    return items.length < 2 ? items.join("") : `${items.slice(0, -1).join(", ")} or ${items[items.length - 1]}`;
+}
+
+/**
+ * The default of a property schema, looking through $ref.
+ * @param {object} root
+ * @param {object} schema
+ * @returns {*} undefined if there is none.
+ */
+function defaultOf(root, schema) {
+    if (schema.default !== undefined) {
+        return schema.default;
+    }
+    return schema.$ref ? defaultOf(root, resolve(root, schema.$ref)) : undefined;
+}
+
+/**
+ * Validates one value against one schema, recording problems in 'ctx'.
+ * @param {object} schema
+ * @param {*} value
+ * @param {Array<string|number>} at - Path of the value.
+ * @param {{root: object, defaults: boolean, errors: object[], unknown: object[]}} ctx
+ */
+function check(schema, value, at, ctx) {
+    const where = () => `'${formatPath(at) || "the config"}'`;
+    const fail = (keyword, message) => ctx.errors.push({ path: formatPath(at), keyword, message });
+
+    if (schema === true || schema === undefined) {
+        return;
+    }
+    if (schema.$ref) {
+        check(resolve(ctx.root, schema.$ref), value, at, ctx);
+    }
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some((type) => hasType(type, value))) {
+            fail("type", `${where()} must be ${either(types.map((type) => TYPE_NAMES[type]))}, got ${TYPE_NAMES[typeOf(value)]}.`);
+            return;
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        fail("const", `${where()} must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}.`);
+        return;
+    }
+    if (schema.enum !== undefined && !schema.enum.includes(value)) {
+        fail("enum", `${where()} must be one of: ${schema.enum.join(", ")}. Got ${JSON.stringify(value)}.`);
+        return;
+    }
+
+    if (typeof value === "number") {
+        const low = schema.minimum !== undefined ? schema.minimum : schema.exclusiveMinimum;
+        const high = schema.maximum !== undefined ? schema.maximum : schema.exclusiveMaximum;
+        const tooLow = (schema.minimum !== undefined && value < schema.minimum)
+            || (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum);
+        const tooHigh = (schema.maximum !== undefined && value > schema.maximum)
+            || (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum);
+        if (tooLow || tooHigh) {
+            if (low !== undefined && high !== undefined) {
+                const open = schema.minimum !== undefined ? "[" : "(";
+                const close = schema.maximum !== undefined ? "]" : ")";
+                fail("range", `${where()} must be in range ${open}${low}, ${high}${close}. Got ${value}.`);
+            } else if (tooLow) {
+                fail("range", `${where()} must be ${schema.minimum !== undefined ? ">=" : ">"} ${low}. Got ${value}.`);
+            } else {
+                fail("range", `${where()} must be ${schema.maximum !== undefined ? "<=" : "<"} ${high}. Got ${value}.`);
+            }
+        }
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail("minLength", schema.minLength === 1
+                ? `${where()} must not be empty.`
+                : `${where()} must be at least ${schema.minLength} characters long.`);
+        } else if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            const example = schema.examples ? ` (e.g. ${JSON.stringify(schema.examples[0])})` : "";
+            fail("pattern", `${where()} is not in the expected format${example}. Got ${JSON.stringify(value)}.`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail("minItems", schema.minItems === 1
+                ? `${where()} must not be empty.`
+                : `${where()} must have at least ${schema.minItems} elements.`);
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => check(schema.items, item, [...at, index], ctx));
+        }
+    }
+
+    if (typeOf(value) === "object") {
+        (schema.required || []).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                ctx.errors.push({ path: formatPath([...at, key]), keyword: "required", message: `'${formatPath([...at, key])}' is mandatory.` });
+            }
+        });
+        const properties = schema.properties || {};
+        Object.entries(properties).forEach(([key, sub]) => {
+            if (!Object.prototype.hasOwnProperty.call(value, key) && ctx.defaults) {
+                const fallback = defaultOf(ctx.root, sub);
+                if (fallback !== undefined) {
+                    value[key] = structuredClone(fallback);
+                }
+            }
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                check(sub, value[key], [...at, key], ctx);
+            }
+        });
+        if (schema.additionalProperties !== undefined) {
+            Object.keys(value).filter((key) => !Object.prototype.hasOwnProperty.call(properties, key)).forEach((key) => {
+                if (schema.additionalProperties === false) {
+                    const known = Object.keys(properties);
+                    const close = known.find((other) => distance(key, other) <= Math.max(1, Math.floor(other.length / 4)));
+                    ctx.unknown.push({
+                        path: formatPath([...at, key]),
+                        keyword: "additionalProperties",
+                        message: `'${formatPath([...at, key])}' is not a known setting${close ? `, did you mean '${close}'?` : "."}`
+                    });
+                } else {
+                    check(schema.additionalProperties, value[key], [...at, key], ctx);
+                }
+            });
+        }
+    }
+
+    (schema.allOf || []).forEach((sub) => check(sub, value, at, ctx));
+
+    const branches = schema.anyOf || schema.oneOf;
+    if (branches) {
+        // Try every branch without side effects, then apply the one that fits for real.
+        const fits = branches.filter((sub) => {
+            const trial = { ...ctx, defaults: false, errors: [], unknown: [] };
+            check(sub, value, at, trial);
+            return trial.errors.length === 0;
+        });
+        if (schema.oneOf && fits.length > 1) {
+            fail("oneOf", `${where()} matches more than one of the allowed forms.`);
+        } else if (fits.length > 0) {
+            check(fits[0], value, at, ctx);
+        } else {
+            // Report the problems of the branch of the right type, if there is one.
+            const sameType = branches.find((sub) => {
+                const types = describe(ctx.root, sub);
+                return types.length === 0 || types.includes(TYPE_NAMES[typeOf(value)])
+                    || (typeOf(value) === "integer" && types.includes(TYPE_NAMES.number));
+            });
+            if (sameType) {
+                check(sameType, value, at, ctx);
+            } else {
+                const allowed = [...new Set(branches.flatMap((sub) => describe(ctx.root, sub)))];
+                fail("type", `${where()} must be ${either(allowed)}, got ${TYPE_NAMES[typeOf(value)]}.`);
+            }
+        }
+    }
+
+    if (schema.if !== undefined) {
+        const trial = { ...ctx, defaults: false, errors: [], unknown: [] };
+        check(schema.if, value, at, trial);
+        const next = trial.errors.length === 0 ? schema.then : schema.else;
+        if (next !== undefined) {
+            check(next, value, at, ctx);
+        }
+    }
+}
+
+/**
+ * Validates a value against a schema (or one of its definitions).
+ * @param {object} root - The whole schema document.
+ * @param {*} value - Validated in place: with 'defaults', missing properties get their default.
+ * @param {object} [options]
+ * @param {string} [options.ref] - Validate against this part of the schema, e.g. "#/definitions/vault".
+ * @param {boolean} [options.defaults] - Fill in defaults.
+ * @param {Array<string|number>} [options.at] - Path of 'value' in the document, for messages.
+ * @returns {{errors: object[], unknown: object[]}} Both lists hold {path, keyword, message}.
+ */
+function validate(root, value, options = {}) {
+    const ctx = { root, defaults: !!options.defaults, errors: [], unknown: [] };
+    check(resolve(root, options.ref || "#"), value, options.at || [], ctx);
+    return { errors: ctx.errors, unknown: ctx.unknown };
+}
+
+module.exports = { validate, formatPath };
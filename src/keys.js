@@ -0,0 +1,92 @@
+/**
+ * Local private keys, for the 'key' setting: vault only signs a CSR and the
+ * private key never leaves the host.
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { buildCsr } = require("./x509.js");
+const { listOf } = require("./verify.js");
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+/**
+ * What kind of key the 'key' setting asks for, e.g. "ec P-256" or "rsa 4096".
+ * A stored key of another kind is not reused.
+ * @param {object} [keyConfig] - The validated 'key' section.
+ * @returns {string|null} null without a 'key' section (vault generates the key).
+ */
+function describeKey(keyConfig) {
+    if (!keyConfig) {
+        return null;
+    }
+    return keyConfig.type === "rsa" ? `rsa ${keyConfig.bits}` : `ec ${keyConfig.curve}`;
+}
+
+/**
+ * The key for the next certificate: the stored one ('current.key') while it
+ * is of the configured kind and has uses left, a new one otherwise.
+ * @param {object} current - The state object.
+ * @param {object} keyConfig - The validated 'key' section.
+ * @returns {Promise<{privateKey: crypto.KeyObject, stored: object|null, reused: boolean}>} 'stored' is
+ *     what 'current.key' becomes once the certificate was signed: {kind, private_key, uses}, or null
+ *     if the key is used only once.
+ */
+async function nextKey(current, keyConfig) {
+    const kind = describeKey(keyConfig);
+    const stored = current.key;
+    if (stored && stored.kind === kind && stored.uses < keyConfig.max_uses) {
+        return {
+            privateKey: crypto.createPrivateKey(stored.private_key),
+            stored: { ...stored, uses: stored.uses + 1 },
+            reused: true
+        };
+    }
+    const { privateKey } = keyConfig.type === "rsa"
+        ? await generateKeyPair("rsa", { modulusLength: keyConfig.bits })
+        : await generateKeyPair("ec", { namedCurve: keyConfig.curve });
+    return {
+        privateKey,
+        stored: keyConfig.max_uses > 1 ? { kind, private_key: privateKey.export({ type: "pkcs8", format: "pem" }), uses: 1 } : null,
+        reused: false
+    };
+}
+
+/**
+ * The CSR for the 'cert' request: the common name as subject, alt_names,
+ * ip_sans and uri_sans as SANs.
+ * @param {object} cert - The 'cert' section.
+ * @param {crypto.KeyObject} privateKey
+ * @returns {string} PEM.
+ */
+function buildRequest(cert, privateKey) {
+    const dnsNames = listOf(cert.alt_names);
+    if (cert.common_name && !cert.exclude_cn_from_sans) {
+        dnsNames.unshift(cert.common_name);
+    }
+    return buildCsr({
+        subject: cert.common_name || "",
+        publicKey: crypto.createPublicKey(privateKey),
+        signingKey: privateKey,
+        dnsNames: [...new Set(dnsNames)],
+        ipAddresses: listOf(cert.ip_sans),
+        uris: listOf(cert.uri_sans)
+    });
+}
+
+/**
+ * The private key as vault's 'issue' would have returned it: PKCS#8 for
+ * 'private_key_format: pkcs8', SEC1 (ec) or PKCS#1 (rsa) otherwise.
+ * @param {crypto.KeyObject} privateKey
+ * @param {string} [format] - 'cert.private_key_format'.
+ * @returns {string} PEM.
+ */
+function exportKey(privateKey, format) {
+    let type = privateKey.asymmetricKeyType === "rsa" ? "pkcs1" : "sec1";
+    if (format === "pkcs8") {
+        type = "pkcs8";
+    }
+    return privateKey.export({ type, format: "pem" }).trim();
+}
+
+module.exports = { describeKey, nextKey, buildRequest, exportKey };
@@ -1,4 +1,5 @@
 const { createLogger, format, transports } = require('winston');
+const SyslogTransport = require('./syslog_transport.js');
 
 // Helper to get local timezone offset in (+HH:MM) format
 function getUTCOffsetString() {
@@ -10,17 +11,113 @@ function getUTCOffsetString() {
     return `UTC${sign}${hours}:${minutes}`;
 }
 
-const logger = createLogger({
-    level: process.env.LOG_LEVEL || 'info',
-    format: format.combine(
-        format.colorize({ all: true }),
+// Colors only make sense on a terminal.
+function useColors() {
+    return Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+}
+
+/**
+ * The human-readable line format. Structured fields (event, hook, serial...)
+ * are left out here, the message carries the same information in prose.
+ * @param {boolean} colors
+ */
+function textFormat(colors) {
+    return format.combine(
+        ...(colors ? [format.colorize({ all: true })] : []),
         format.timestamp({ format: () => new Date().toISOString() }), // UTC ISO format
-        format.printf(({ timestamp, level, message }) => {
+        format.printf(({ timestamp, level, message, certificate }) => {
             const offset = getUTCOffsetString();
-            return `[${level}] ${timestamp} (${offset}): ${message}`;
+            const prefix = certificate ? `[${certificate}] ` : '';
+            return `[${level}] ${timestamp} (${offset}): ${prefix}${message}`;
         })
-    ),
+    );
+}
+
+/**
+ * One JSON object per line: timestamp, level, message, plus every structured
+ * field of the call site (event, status, hook, attempt, serial, expires_at...).
+ */
+function jsonFormat() {
+    return format.combine(
+        format.timestamp({ format: () => new Date().toISOString() }),
+        format.json()
+    );
+}
+
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: textFormat(useColors()),
     transports: [new transports.Console()],
 });
 
-module.exports = logger;
\ No newline at end of file
+/**
+ * Builds the transport of one 'logging.sinks' entry.
+ * @param {object} sink - A validated sink: {type: "console"|"file"|"syslog", ...}.
+ * @param {string} defaultFormat - 'logging.format', used when the sink has none.
+ */
+function buildTransport(sink, defaultFormat) {
+    const kind = sink.format || defaultFormat;
+    switch (sink.type) {
+        case 'console':
+            return new transports.Console({
+                format: kind === 'json' ? jsonFormat() : textFormat(useColors()),
+            });
+        case 'file':
+            return new transports.File({
+                filename: sink.path,
+                maxsize: sink.max_size,
+                maxFiles: sink.max_files,
+                tailable: true,
+                format: kind === 'json' ? jsonFormat() : textFormat(false),
+            });
+        case 'syslog':
+            return new SyslogTransport({
+                ...sink,
+                format: kind === 'json' ? jsonFormat() : format.printf(({ message }) => message),
+            });
+        default:
+            throw new Error(`Unknown log sink type '${sink.type}'.`);
+    }
+}
+
+/**
+ * Applies the validated 'logging' config section. Until this runs (or when
+ * there is no such section), logs go to the console as colorized text.
+ * @param {object} [logging] - {level, format: "text"|"json", sinks: [...]}.
+ */
+logger.applyConfig = (logging) => {
+    if (!logging) {
+        // Back to the defaults, a reload may have dropped the section.
+        logger.configure({
+            level: process.env.LOG_LEVEL || 'info',
+            format: textFormat(useColors()),
+            transports: [new transports.Console()],
+        });
+        return;
+    }
+    logger.configure({
+        level: process.env.LOG_LEVEL || logging.level,
+        // Formatting moves to the transports, each sink can have its own.
+        format: format((info) => info)(),
+        transports: logging.sinks.map((sink) => buildTransport(sink, logging.format)),
+    });
+};
+
+const children = new Map();
+
+/**
+ * Returns a logger that prefixes every message with the certificate name.
+ * Without a name (single-certificate configs) this is the plain logger.
+ * @param {string} [name] - The 'name' of a 'certificates' entry.
+ */
+logger.forCertificate = (name) => {
+    if (!name) {
+        return logger;
+    }
+    if (!children.has(name)) {
+        children.set(name, logger.child({ certificate: name }));
+    }
+    return children.get(name);
+};
+
+module.exports = logger;
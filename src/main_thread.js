@@ -1,372 +1,241 @@
-const aws = require("aws-ahh-sdk");
-const { spawn } = require("child_process");
 const logger = require("./logger");
-const fs = require("fs");
+const hooks = require("./hooks.js");
+const notify = require("./notify/index.js");
+const { Rotator } = require("./rotator.js");
+const { settlesWithin } = require("./clock.js");
+const { cancelRetries, skippedRetries } = require("./retry.js");
+
+// 'name' (undefined for single-certificate configs) => the Rotator of every
+// running state machine. Its config is the one to use for the next
+// transition, a SIGHUP reload swaps it.
+const rotators = new Map();
+
+// Set once a shutdown begins: no new timers, no more retries.
+let shuttingDown = false;
+// Checks every certificate against 'notify.expiry_warning_ms' between transitions.
+let expiryTimer = null;
+const EXPIRY_CHECK_INTERVAL = 3600000;
+
+// --dry-run: certificates are still fetched and the state machine runs as
+// usual, but nothing is written, delivered, revoked or executed.
+let dryRun = false;
 
 /**
- * Runs a shell command asynchronously.
- * @param {string} fullCommand - The full shell command to run.
- * @returns {Promise<void>} Resolves when the command finishes successfully.
- * @throws If the process exits with a non-zero code.
+ * Starts the state machine of a certificate, either right away or after a
+ * delay (when resuming a restored state).
+ * @param {object} current - The initial state object.
+ * @param {object} config - The config object.
+ * @param {number} [delay] - Delay in ms before the first transition.
  */
-async function runCommand(fullCommand) {
-    return new Promise((resolve, reject) => {
-        const child = spawn(fullCommand, { shell: true, stdio: "inherit" });
-
-        child.on("error", (err) => {
-            reject(new Error(`Failed to start command: ${err.message}`));
-        });
-
-        child.on("close", (code) => {
-            if (code === 0) {
-                resolve();
-            } else {
-                reject(new Error(`Command exited with code ${code}`));
-            }
-        });
-    });
+function start(current, config, delay = 0) {
+    const rotator = new Rotator(current, config, { dryRun });
+    rotators.set(config.name, rotator);
+    if (!expiryTimer) {
+        expiryTimer = setInterval(() => {
+            rotators.forEach((other) => other.checkExpiry());
+        }, EXPIRY_CHECK_INTERVAL);
+        expiryTimer.unref();
+    }
+    return rotator.start(delay);
 }
 
 /**
- * Runs multiple commands in parallel. Each command has its own retry logic.
- * The function returns once ALL commands have succeeded OR at least one command fails all retries.
- *
- * @param {Array<{command: string, description?: string, onfail: {retry_every: number, retry_num: number}}>} hookArray
- * @param {string} hookName - Either "onstart" or "onreplace" (for logging).
+ * One rotation without the daemon loop, for 'issue --once', see Rotator.issueOnce().
+ * @param {object} current - The restored state object.
+ * @param {object} config - The config object.
+ * @returns {Promise<void>}
+ * @throws If the fetch, the install or the hooks fail.
  */
-function runHookCommands(hookArray, hookName) {
-    if (!Array.isArray(hookArray) || hookArray.length === 0) {
-        logger.info(`No '${hookName}' commands to run.`);
-        return Promise.resolve();
-    }
-
-    // Each command runs in parallel, each can succeed or keep retrying until success or attempts exhausted.
-    // We gather the results with Promise.all().
-    const promises = hookArray.map((hook, index) => {
-        return new Promise((resolve, reject) => {
-            let attempts = 0;
-            const maxAttempts = hook.onfail.retry_num;
-            const interval = hook.onfail.retry_every;
-            let completed = false;
-
-            async function attempt() {
-                if (completed) return; // just in case
-
-                attempts++;
-                if (hook.description) {
-                    logger.info(`(${hookName}[${index}]) ${hook.description}`);
-                }
-                logger.info(`Attempting command [${hook.command}] (attempt #${attempts})...`);
-
-                try {
-                    await runCommand(hook.command);
-                    logger.info(`Command succeeded [${hook.command}]`);
-                    completed = true;
-                    resolve(); // done for this command
-                } catch (err) {
-                    logger.error(`Command failed [${hook.command}]: ${err.message}`);
-                    if (attempts >= maxAttempts) {
-                        // Exhausted all attempts => hard failure
-                        return reject(new Error(
-                            `Command [${hook.command}] failed after ${attempts} attempts.`
-                        ));
-                    }
-                    // Otherwise, schedule next attempt
-                    setTimeout(() => attempt(), interval);
-                }
-            }
-
-            // First attempt
-            attempt();
-        });
-    });
-
-    // The runHookCommands only resolves when ALL commands are done or one is exhausted
-    return Promise.all(promises).then(() => {
-        logger.info(`All '${hookName}' commands completed successfully.`);
-    });
+function issueOnce(current, config) {
+    return new Rotator(current, config, { dryRun }).issueOnce();
 }
 
 /**
- * Fetches a certificate from the vault.
- * @param {object} config - The configuration object.
- * @returns {Promise<object>} The certificate data.
+ * Turns the dry run mode on or off, see 'dryRun'.
+ * @param {boolean} enabled
  */
-async function fetchCertificate(config) {
-    logger.info("Fetching certificate from vault...");
-    const certData = await aws.vaultCert({
-        requestBody: config.cert,
-        ...config.vault
-    });
-    logger.info("Certificate fetch successful!");
-    return certData;
+function setDryRun(enabled) {
+    dryRun = enabled;
+    hooks.setDryRun(enabled);
+    notify.setDryRun(enabled);
 }
 
 /**
- * Writes the certificate and private key to a file (the same file for both, per config).
- * @param {object} certData - The certificate data object.
- * @param {object} config - The configuration object (for file paths).
+ * Swaps in a reloaded config for a running state machine and reschedules its
+ * pending transition, see Rotator.reconfigure().
+ * @param {object} config - The new, validated config of one certificate.
+ * @returns {boolean} false if no state machine runs under that name.
  */
-function writeCertificateToFile(certData, config) {
-    logger.info(`Writing certificate to file: ${config.tls.cert}`);
-    fs.writeFileSync(config.tls.cert, certData.certificate + "\n" + certData.private_key);
-    logger.info("File write successful!");
+function reconfigure(config) {
+    const rotator = rotators.get(config.name);
+    if (!rotator) {
+        return false;
+    }
+    rotator.reconfigure(config);
+    return true;
 }
 
 /**
- * Schedules the next run of the main function.
- * @param {number} delay - Delay in ms for when to call main again.
- * @param {object} current - The current state object.
- * @param {object} config - The config object.
+ * Stops a state machine that is no longer in the config. A running transition
+ * is allowed to finish but won't schedule another one.
+ * @param {string} [name]
  */
-function scheduleNextStatusTransition(delay, current, config) {
-    logger.info(`Scheduling next check in ${Math.round(delay / 1000)} seconds.`);
-    setTimeout(() => main(current, config), delay);
+function stop(name) {
+    const rotator = rotators.get(name);
+    if (!rotator) {
+        return;
+    }
+    rotator.stop();
+    rotators.delete(name);
 }
 
 /**
- * Main function managing certificate state machine.
- * @param {object} current - Holds the current status, active_cert, etc.
- * @param {object} config - Configuration object with intervals, file paths, etc.
+ * @returns {Array<string|undefined>} The names of the running state machines.
  */
-async function main(current, config) {
-    logger.info(`Entering main function with status: "${current.status}"`);
-
-    switch (current.status) {
-        case "start":
-            await handleStart(current, config);
-            break;
-
-        case "ok":
-            await handleOk(current, config);
-            break;
-
-        case "error":
-            await handleError(current, config);
-            break;
-
-        default:
-            logger.error(`Unknown status: "${current.status}". Aborting.`);
-            throw new Error(`Unknown status: ${current.status}`);
-    }
+function running() {
+    return [...rotators.keys()];
 }
 
 /**
- * Handle logic when status is "start".
- * @param {object} current
- * @param {object} config
+ * The state machine a control command is about.
+ * @param {string} [name] - undefined for a single-certificate config.
+ * @returns {Rotator}
+ * @throws If there is no such state machine, or we are shutting down.
  */
-async function handleStart(current, config) {
-    logger.info("Status is 'start'. Attempting to obtain the first certificate...");
-
-    const retryTime = config.intervals.default;
-    let certData;
-
-    try {
-        certData = await fetchCertificate(config);
-    } catch (e) {
-        logger.error("The initial certificate was not obtained. Likely configuration error.");
-        logger.info(`Retrying in ${Math.round(retryTime / 1000)} seconds.`);
-        return scheduleNextStatusTransition(retryTime, current, config);
-    }
-
-    current.active_cert = certData;
-    current.second_cert = null;
-
-    // Write the first certificate to file.
-    try {
-        writeCertificateToFile(certData, config);
-    } catch (e) {
-        logger.error("Couldn't write the initial certificate to file. Check permissions.");
-        logger.info(`Will retry in ${Math.round(retryTime / 1000)} seconds.`);
-        return scheduleNextStatusTransition(retryTime, current, config);
-    }
-
-    // Run onstart commands with the new concurrency+retry logic
-    try {
-        logger.info("Running 'onstart' commands (with retry logic)...");
-        await runHookCommands(config.onstart, "onstart");
-    } catch (e) {
-        // If we fail all attempts for any command, we consider it a fatal error
-        logger.error(`Fatal error in 'onstart' commands: ${e.message}`);
-        throw e;
+function controlled(name) {
+    const rotator = rotators.get(name);
+    if (!rotator) {
+        throw new Error(name === undefined ? "No certificate without a name is running." : `No certificate named '${name}' is running.`);
     }
-
-    // Calculate TTL for scheduling
-    const ttl = certData.expiration * 1000 - Date.now();
-    if (!ttl || ttl <= 0) {
-        logger.error("Unknown or invalid certificate expiration time.");
-        throw new Error("Can't proceed, unknown/invalid expiration time.");
+    if (shuttingDown) {
+        throw new Error("Shutting down.");
     }
-
-    certData.ttl = ttl;
-    const time = config.intervals.ok * ttl;
-    logger.info(`Certificate obtained. Next renewal in ${Math.round(time / 1000)} seconds.`);
-
-    current.status = "ok";
-    scheduleNextStatusTransition(time, current, config);
+    return rotator;
 }
 
 /**
- * Handle logic when status is "ok".
- * @param {object} current
- * @param {object} config
+ * @returns {object[]} Rotator.describe() of every running state machine.
  */
-async function handleOk(current, config) {
-    logger.info("Status is 'ok'. Attempting to obtain a new certificate in background...");
-
-    const retryTime = current.active_cert.ttl * config.intervals.error;
-    let certData;
-
-    try {
-        certData = await fetchCertificate(config);
-    } catch (e) {
-        logger.error("Failed to obtain new certificate. Likely configuration error.");
-        logger.info(`Retrying in ${Math.round(retryTime / 1000)} seconds.`);
-        current.status = "error";
-        return scheduleNextStatusTransition(retryTime, current, config);
-    }
-
-    current.second_cert = certData;
-
-    // Check if the certificate is about to expire
-    const timeUntilExpiration = current.active_cert.expiration * 1000 - Date.now();
-    const bufferTime = current.active_cert.ttl * config.intervals.buffer;
-
-    if (timeUntilExpiration < bufferTime) {
-        logger.info("The active certificate is close to expiration. Replacing with new certificate now.");
-
-        try {
-            writeCertificateToFile(current.second_cert, config);
-            current.active_cert = current.second_cert;
-            current.second_cert = null;
-        } catch (e) {
-            logger.error("Couldn't write new certificate to file. Check permissions.");
-            logger.info(`Retrying in ${Math.round(retryTime / 1000)} seconds.`);
-            current.status = "error";
-            return scheduleNextStatusTransition(retryTime, current, config);
-        }
-
-        // Run onreplace commands with concurrency+retry logic
-        try {
-            logger.info("Running 'onreplace' commands (with retry logic)...");
-            await runHookCommands(config.onreplace, "onreplace");
-        } catch (e) {
-            logger.error(`Fatal error in 'onreplace' commands: ${e.message}`);
-            throw e;
-        }
-    }
+function status() {
+    return [...rotators.values()].map((rotator) => rotator.describe());
+}
 
-    // Calculate TTL for scheduling
-    const ttl = certData.expiration * 1000 - Date.now();
-    if (!ttl || ttl <= 0) {
-        logger.error("Unknown or invalid certificate expiration time.");
-        throw new Error("Can't proceed, unknown/invalid expiration time.");
-    }
+/**
+ * See Rotator.rotateNow().
+ * @param {string} [name]
+ * @returns {Promise<object>}
+ */
+async function rotateNow(name) {
+    return controlled(name).rotateNow();
+}
 
-    certData.ttl = ttl;
-    const time = config.intervals.ok * ttl;
-    logger.info(`New certificate obtained. Next renewal in ${Math.round(time / 1000)} seconds.`);
+/**
+ * See Rotator.swapToBackup().
+ * @param {string} [name]
+ * @returns {Promise<object>}
+ */
+async function swapToBackup(name) {
+    return controlled(name).swapToBackup();
+}
 
-    current.status = "ok";
-    scheduleNextStatusTransition(time, current, config);
+/**
+ * See Rotator.pause().
+ * @param {string} [name]
+ * @returns {object}
+ */
+function pause(name) {
+    return controlled(name).pause();
 }
 
 /**
- * Handle logic when status is "error".
- * @param {object} current
- * @param {object} config
+ * See Rotator.resume().
+ * @param {string} [name]
+ * @returns {object}
  */
-async function handleError(current, config) {
-    logger.info("Status is 'error'. Attempting to recover and obtain a new certificate...");
+function resume(name) {
+    return controlled(name).resume();
+}
 
-    // If the active certificate is already expired, we have no fallback
-    if (current.active_cert.expiration * 1000 < Date.now()) {
-        logger.error("The active certificate has expired. Cannot proceed.");
-        throw new Error("Last certificate has expired, aborting.");
+/**
+ * Stops every state machine: cancels the pending timers and retries, lets
+ * running transitions (writes, hooks) finish within 'timeoutMs', then kills
+ * the hooks that are still running, gives pending notifications a moment and
+ * flushes the state files.
+ * @param {number} timeoutMs - How long running transitions get to finish.
+ * @returns {Promise<boolean>} true if everything finished in time, no retry
+ *     was cut short, no running transition ended in error and the state was saved.
+ */
+async function shutdown(timeoutMs) {
+    shuttingDown = true;
+    let clean = true;
+
+    rotators.forEach((rotator) => rotator.halt());
+    clearInterval(expiryTimer);
+    cancelRetries();
+
+    const busy = [...rotators.values()].filter((rotator) => rotator.running);
+    const inFlight = busy.map((rotator) => rotator.running);
+    // What each of them threw, if anything.
+    const thrown = busy.map(() => null);
+    inFlight.forEach((running, index) => running.catch((e) => {
+        thrown[index] = e;
+    }));
+    if (inFlight.length > 0) {
+        logger.info(`Waiting up to ${Math.round(timeoutMs / 1000)} seconds for ${inFlight.length} running transition(s)...`, {
+            event: "shutdown_waiting",
+            transitions: inFlight.length,
+            timeout_ms: timeoutMs
+        });
     }
-
-    const retryTime = current.active_cert.ttl * config.intervals.error;
-    let certData;
-
-    try {
-        certData = await fetchCertificate(config);
-    } catch (e) {
-        logger.error("Failed to obtain certificate while in error state.");
-
-        // If we're close to expiration, attempt to swap with second_cert (if present)
-        const timeUntilExpiration = current.active_cert.expiration * 1000 - Date.now();
-        const bufferTime = current.active_cert.ttl * config.intervals.buffer;
-        if (timeUntilExpiration < bufferTime && current.second_cert) {
-            logger.info("Swapping to the backup certificate since the active one is about to expire.");
-
-            try {
-                writeCertificateToFile(current.second_cert, config);
-                current.active_cert = current.second_cert;
-                current.second_cert = null;
-            } catch (writeErr) {
-                logger.error("Could not write backup certificate to file.");
-                logger.info(`Retrying in ${Math.round(retryTime / 1000)} seconds.`);
-                return scheduleNextStatusTransition(retryTime, current, config);
-            }
-
-            // Run onreplace commands
-            try {
-                logger.info("Running 'onreplace' commands (with retry logic)...");
-                await runHookCommands(config.onreplace, "onreplace");
-            } catch (cmdErr) {
-                throw cmdErr;
-            }
-        }
-
-        logger.info(`Retrying in ${Math.round(retryTime / 1000)} seconds.`);
-        return scheduleNextStatusTransition(retryTime, current, config);
+    if (!(await settlesWithin(Promise.allSettled(inFlight), timeoutMs))) {
+        clean = false;
+        logger.error(`Shutdown timed out, terminating ${hooks.runningCount()} running hook command(s).`, {
+            event: "shutdown_timeout",
+            hooks: hooks.runningCount()
+        });
+        await hooks.killAll();
+        // Give the transitions a moment to notice their hooks are gone.
+        await settlesWithin(Promise.allSettled(inFlight), 1000);
     }
 
-    current.second_cert = certData;
-
-    // Check if the active certificate is close to expiration
-    const timeUntilExpiration = current.active_cert.expiration * 1000 - Date.now();
-    const bufferTime = current.active_cert.ttl * config.intervals.buffer;
-
-    if (timeUntilExpiration < bufferTime) {
-        logger.info("Active certificate is about to expire. Replacing with newly obtained certificate.");
-        try {
-            writeCertificateToFile(current.second_cert, config);
-            current.active_cert = current.second_cert;
-            current.second_cert = null;
-        } catch (e) {
-            logger.error("Failed to write new certificate to file. Check permissions.");
-            logger.info(`Retrying in ${Math.round(retryTime / 1000)} seconds.`);
-            current.status = "error";
-            return scheduleNextStatusTransition(retryTime, current, config);
+    busy.forEach((rotator, index) => {
+        let error = null;
+        if (thrown[index]) {
+            error = thrown[index].message;
+        } else if (rotator.current.status === "error") {
+            error = rotator.lastError || "the status is \"error\"";
+        }
+        if (error) {
+            clean = false;
+            logger.forCertificate(rotator.config.name).error(`The running transition ended in error: ${error}`, {
+                event: "shutdown_transition_failed",
+                status: rotator.current.status,
+                error
+            });
         }
+    });
+    const skipped = skippedRetries();
+    if (skipped > 0) {
+        clean = false;
+        logger.error(`The shutdown cut ${skipped} retr${skipped === 1 ? "y" : "ies"} short.`, { event: "retries_cancelled", retries: skipped });
+    }
 
-        // Run onreplace commands with concurrency+retry logic
+    await notify.settled(5000);
+    rotators.forEach((rotator) => {
         try {
-            logger.info("Running 'onreplace' commands (with retry logic)...");
-            await runHookCommands(config.onreplace, "onreplace");
+            rotator.persist();
         } catch (e) {
-            logger.error(`Fatal error in 'onreplace' commands: ${e.message}`);
-            throw e;
+            clean = false;
+            logger.forCertificate(rotator.config.name).error(`Couldn't save the state file: ${e.message}`, {
+                event: "state_save_failed",
+                error: e.message
+            });
         }
-    }
-
-    // Calculate TTL for the newly obtained certificate
-    const ttl = certData.expiration * 1000 - Date.now();
-    if (!ttl || ttl <= 0) {
-        logger.error("Unknown or invalid certificate expiration time.");
-        throw new Error("Can't proceed, unknown/invalid expiration time.");
-    }
-
-    certData.ttl = ttl;
-    const time = config.intervals.ok * ttl;
-
-    logger.info("Successfully recovered from error state! [ERROR:RESOLVED]");
-    logger.info(`Next renewal in ${Math.round(time / 1000)} seconds.`);
-
-    current.status = "ok";
-    scheduleNextStatusTransition(time, current, config);
+    });
+    return clean;
 }
 
-module.exports = main;
+module.exports = {
+    start, issueOnce, setDryRun, reconfigure, stop, running, shutdown,
+    status, rotateNow, swapToBackup, pause, resume
+};
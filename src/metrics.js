@@ -0,0 +1,217 @@
+/**
+ * In-process metrics in the Prometheus text exposition format, plus the
+ * bookkeeping /healthz and /readyz need. Everything is keyed by certificate
+ * name ("default" for single-certificate configs).
+ */
+
+const STATUSES = ["start", "ok", "error"];
+const HOOK_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return "";
+    }
+    return "{" + entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",") + "}";
+}
+
+/**
+ * A metric family: one name, one type, many label sets.
+ */
+class Metric {
+    constructor(name, type, help) {
+        this.name = name;
+        this.type = type;
+        this.help = help;
+        this.series = new Map();
+    }
+
+    key(labels) {
+        return JSON.stringify(labels);
+    }
+
+    set(labels, value) {
+        this.series.set(this.key(labels), { labels, value });
+    }
+
+    inc(labels, by = 1) {
+        const entry = this.series.get(this.key(labels));
+        this.set(labels, (entry ? entry.value : 0) + by);
+    }
+
+    /**
+     * Drops every series whose labels match the given subset.
+     * @param {object} labels
+     */
+    remove(labels) {
+        [...this.series.entries()].forEach(([key, entry]) => {
+            if (Object.entries(labels).every(([k, v]) => entry.labels[k] === v)) {
+                this.series.delete(key);
+            }
+        });
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        });
+        return lines.join("\n");
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super(name, "histogram", help);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, entry);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                entry.counts[i]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines.join("\n");
+    }
+}
+
+const families = {
+    status: new Metric("certrotator_status", "gauge", "Current state machine status (1 for the active one)."),
+    notAfter: new Metric("certrotator_certificate_not_after_seconds", "gauge", "Expiry of the active certificate, as a Unix timestamp."),
+    info: new Metric("certrotator_certificate_info", "gauge", "The active certificate; the serial is in the labels."),
+    lastFetch: new Metric("certrotator_last_successful_fetch_timestamp_seconds", "gauge", "When a certificate was last fetched and verified."),
+    fetchFailures: new Metric("certrotator_fetch_failures_total", "counter", "Failed certificate fetches (including failed verification)."),
+    hookFailures: new Metric("certrotator_hook_failures_total", "counter", "Failed hook command attempts."),
+    hookDuration: new Histogram("certrotator_hook_duration_seconds", "Duration of hook command attempts.", HOOK_BUCKETS)
+};
+
+// name => the live 'current' object of that state machine.
+const rotators = new Map();
+
+function nameOf(config) {
+    return config.name || "default";
+}
+
+/**
+ * Records the state of a state machine after a transition (or at start).
+ * @param {object} config
+ * @param {object} current
+ */
+function updateState(config, current) {
+    const certificate = nameOf(config);
+    rotators.set(certificate, current);
+    families.fetchFailures.inc({ certificate }, 0);
+    STATUSES.forEach((status) => {
+        families.status.set({ certificate, status }, current.status === status ? 1 : 0);
+    });
+    families.info.remove({ certificate });
+    if (current.active_cert) {
+        families.notAfter.set({ certificate }, current.active_cert.expiration);
+        families.info.set({ certificate, serial: current.active_cert.serial_number }, 1);
+    }
+}
+
+/**
+ * Drops everything about a certificate that was removed from the config.
+ * @param {object} config
+ */
+function forget(config) {
+    const certificate = nameOf(config);
+    rotators.delete(certificate);
+    Object.values(families).forEach((family) => family.remove({ certificate }));
+}
+
+/**
+ * @param {object} config
+ */
+function fetchSucceeded(config) {
+    families.lastFetch.set({ certificate: nameOf(config) }, Math.floor(Date.now() / 1000));
+}
+
+/**
+ * @param {object} config
+ */
+function fetchFailed(config) {
+    families.fetchFailures.inc({ certificate: nameOf(config) });
+}
+
+/**
+ * @param {object} config
+ * @param {string} hook - e.g. "onreplace[0]".
+ * @param {number} durationMs
+ * @param {boolean} succeeded
+ */
+function hookAttempted(config, hook, durationMs, succeeded) {
+    const labels = { certificate: nameOf(config), hook };
+    families.hookDuration.observe(labels, durationMs / 1000);
+    if (!succeeded) {
+        families.hookFailures.inc(labels);
+    } else {
+        // Make the series visible at 0 before the first failure.
+        families.hookFailures.inc(labels, 0);
+    }
+}
+
+/**
+ * @returns {string} Every metric in the Prometheus text format.
+ */
+function render() {
+    return Object.values(families).map((family) => family.render()).join("\n") + "\n";
+}
+
+/**
+ * Liveness and readiness, per certificate.
+ *   live  => no state machine sits on an expired active certificate.
+ *   ready => every state machine has a valid active certificate installed.
+ * @returns {{live: boolean, ready: boolean, certificates: object}}
+ */
+function health() {
+    const now = Date.now();
+    const certificates = {};
+    let live = true;
+    let ready = rotators.size > 0;
+
+    rotators.forEach((current, certificate) => {
+        const expiresAt = current.active_cert ? current.active_cert.expiration * 1000 : null;
+        const valid = expiresAt !== null && expiresAt > now;
+        if (expiresAt !== null && !valid) {
+            live = false;
+        }
+        if (!valid) {
+            ready = false;
+        }
+        certificates[certificate] = {
+            status: current.status,
+            serial: current.active_cert ? current.active_cert.serial_number : null,
+            expires_at: expiresAt === null ? null : new Date(expiresAt).toISOString()
+        };
+    });
+    return { live, ready, certificates };
+}
+
+module.exports = { updateState, forget, fetchSucceeded, fetchFailed, hookAttempted, render, health };
@@ -0,0 +1,47 @@
+const http = require("http");
+const logger = require("./logger.js");
+const metrics = require("./metrics.js");
+
+/**
+ * Starts the HTTP listener for Prometheus and health probes:
+ *   GET /metrics  => Prometheus text format
+ *   GET /healthz  => 200 unless an active certificate has expired
+ *   GET /readyz   => 200 once every certificate has a valid one installed
+ *
+ * @param {{host: string, port: number}} listen - The validated 'metrics' listen address.
+ * @returns {http.Server} Keeps the process alive until the caller closes it.
+ */
+function startMetricsServer(listen) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.writeHead(405, { allow: "GET, HEAD" });
+            return res.end();
+        }
+
+        if (url.pathname === "/metrics") {
+            res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+            return res.end(metrics.render());
+        }
+
+        if (url.pathname === "/healthz" || url.pathname === "/readyz") {
+            const health = metrics.health();
+            const ok = url.pathname === "/healthz" ? health.live : health.ready;
+            res.writeHead(ok ? 200 : 503, { "content-type": "application/json" });
+            return res.end(JSON.stringify({ ok, certificates: health.certificates }));
+        }
+
+        res.writeHead(404, { "content-type": "text/plain" });
+        res.end("Not found\n");
+    });
+
+    server.on("error", (err) => {
+        logger.error(`Metrics listener on ${listen.host}:${listen.port} failed: ${err.message}`);
+    });
+    server.listen(listen.port, listen.host, () => {
+        logger.info(`Serving metrics and health checks on http://${listen.host}:${listen.port}/metrics`);
+    });
+    return server;
+}
+
+module.exports = startMetricsServer;
@@ -0,0 +1,168 @@
+const os = require("os");
+const logger = require("../logger.js");
+
+/**
+ * Notifiers, keyed by their 'type' in 'notify.notifiers'. Each one sends a
+ * rendered message and throws if that failed.
+ */
+const notifiers = {
+    webhook: require("./webhook.js"),
+    smtp: require("./smtp.js"),
+    sns: require("./sns.js")
+};
+
+// What a notifier can subscribe to.
+const EVENTS = ["fetch_failed", "error", "recovered", "replaced", "hook_exhausted", "expiring", "expired"];
+
+// What the events say, before the details.
+const SUMMARIES = {
+    fetch_failed: "Fetching a certificate failed",
+    error: "The rotation went into the error state",
+    recovered: "The rotation recovered from the error state [ERROR:RESOLVED]",
+    replaced: "The certificate was replaced",
+    hook_exhausted: "A hook failed all its attempts",
+    expiring: "The active certificate expires soon",
+    expired: "The active certificate has expired"
+};
+
+// JSON of a notifier => the times it sent at and how many messages it dropped.
+// Keyed by the settings, so certificates sharing a notifier share its limit.
+const limits = new Map();
+// Sends in progress, for settled().
+const pending = new Set();
+// --dry-run: log the notifications instead of sending them.
+let dryRun = false;
+
+/**
+ * Takes a slot of a notifier's 'rate_limit', if one is left.
+ * @param {object} notifier
+ * @returns {{allowed: boolean, dropped: number}} 'dropped' is how many messages were dropped since the last one sent.
+ */
+function takeSlot(notifier) {
+    const key = JSON.stringify(notifier);
+    if (!limits.has(key)) {
+        limits.set(key, { sent: [], dropped: 0 });
+    }
+    const limit = limits.get(key);
+    const now = Date.now();
+    limit.sent = limit.sent.filter((at) => at > now - notifier.rate_limit.per_ms);
+    if (limit.sent.length >= notifier.rate_limit.max) {
+        limit.dropped++;
+        return { allowed: false, dropped: limit.dropped };
+    }
+    limit.sent.push(now);
+    const dropped = limit.dropped;
+    limit.dropped = 0;
+    return { allowed: true, dropped };
+}
+
+/**
+ * Sends one event to one notifier, logging instead of throwing.
+ * @param {object} notifier - A validated entry of 'notify.notifiers'.
+ * @param {object} fields - The template fields of the event.
+ * @param {object} log
+ */
+async function send(notifier, fields, log) {
+    const slot = takeSlot(notifier);
+    if (!slot.allowed) {
+        log.warn(`Not sending the '${fields.event}' notification through ${notifier.type}, rate limit reached.`, {
+            event: "notify_dropped",
+            notifier: notifier.type,
+            notification: fields.event,
+            dropped: slot.dropped
+        });
+        return;
+    }
+    const message = slot.dropped > 0
+        ? `${fields.message} (${slot.dropped} earlier notification(s) were dropped by the rate limit.)`
+        : fields.message;
+    try {
+        await notifiers[notifier.type].send(notifier, { ...fields, message, dropped: slot.dropped });
+        log.info(`Sent the '${fields.event}' notification through ${notifier.type}.`, {
+            event: "notify_sent",
+            notifier: notifier.type,
+            notification: fields.event
+        });
+    } catch (e) {
+        log.error(`Couldn't send the '${fields.event}' notification through ${notifier.type}: ${e.message}`, {
+            event: "notify_failed",
+            notifier: notifier.type,
+            notification: fields.event,
+            error: e.message
+        });
+    }
+}
+
+/**
+ * Notifies every notifier of the config that subscribed to the event. Never
+ * throws and doesn't wait for the sends, see settled().
+ * @param {object} config - The configuration object of the certificate.
+ * @param {string} event - One of EVENTS.
+ * @param {object} [details]
+ * @param {object} [details.certData] - The certificate the event is about.
+ * @param {object} [details.previous] - The certificate it replaced.
+ * @param {string} [details.error] - What went wrong.
+ * @param {string} [details.status] - The state machine status.
+ */
+function notify(config, event, details = {}) {
+    if (!config.notify) {
+        return;
+    }
+    const log = logger.forCertificate(config.name);
+    const { certData, previous } = details;
+    const fields = {
+        event,
+        name: config.name || "certificate",
+        host: os.hostname(),
+        time: new Date().toISOString(),
+        status: details.status,
+        error: details.error,
+        serial: certData ? certData.serial_number : undefined,
+        expires_at: certData && certData.expiration ? new Date(certData.expiration * 1000).toISOString() : undefined,
+        previous_serial: previous ? previous.serial_number : undefined,
+        cert_path: config.tls.cert
+    };
+    fields.message = [
+        `${SUMMARIES[event]}: ${fields.name} on ${fields.host}.`,
+        fields.error ? `Error: ${fields.error.replace(/\.$/, "")}.` : "",
+        fields.serial ? `Serial ${fields.serial}, expires ${fields.expires_at}.` : ""
+    ].filter(Boolean).join(" ");
+
+    config.notify.notifiers
+        .filter((notifier) => notifier.events.includes(event))
+        .forEach((notifier) => {
+            if (dryRun) {
+                log.info(`[dry-run] Would send the '${event}' notification through ${notifier.type}.`, { event: "dry_run", notifier: notifier.type });
+                return;
+            }
+            const sending = send(notifier, fields, log);
+            pending.add(sending);
+            sending.finally(() => pending.delete(sending));
+        });
+}
+
+/**
+ * Waits for the notifications in flight, e.g. before exiting.
+ * @param {number} ms - Gives up after this long.
+ * @returns {Promise<void>}
+ */
+async function settled(ms) {
+    let timer;
+    await Promise.race([
+        Promise.allSettled([...pending]),
+        new Promise((resolve) => {
+            timer = setTimeout(resolve, ms);
+        })
+    ]);
+    clearTimeout(timer);
+}
+
+/**
+ * Turns the dry run mode on or off.
+ * @param {boolean} enabled
+ */
+function setDryRun(enabled) {
+    dryRun = enabled;
+}
+
+module.exports = { notify, settled, setDryRun, EVENTS, NOTIFIERS: Object.keys(notifiers) };
@@ -0,0 +1,170 @@
+/**
+ * Local stand-ins for the notifiers, for tests and for trying a 'notify'
+ * config: an HTTP server that takes webhooks and SNS Publish calls, and an
+ * SMTP server without TLS or authentication. Both record what they got.
+ *
+ *   const http = await startMockReceiver();
+ *   // { type: "webhook", url: `${http.address}/hook` } or { type: "sns", endpoint: http.address, ... }
+ *   const smtp = await startMockSmtp();
+ *   // { type: "smtp", host: "127.0.0.1", port: smtp.port, starttls: false, ... }
+ *   ...
+ *   await http.close(); await smtp.close();
+ */
+
+const http = require("http");
+const net = require("net");
+const crypto = require("crypto");
+
+/**
+ * Starts the HTTP stand-in. SNS Publish calls (form encoded, Action=Publish)
+ * get an SNS answer, anything else a 200 with an empty JSON object.
+ * @param {object} [options]
+ * @param {number} [options.port] - Defaults to a random free port.
+ * @returns {Promise<object>} The handle: address, requests, failNext(), close().
+ */
+async function startMockReceiver(options = {}) {
+    const failures = [];
+    const handle = {
+        address: null,
+        // Every request: {method, path, headers, body (string), json or form}
+        requests: [],
+
+        /**
+         * Answers the next request(s) with this status.
+         * @param {number} status
+         * @param {number} [times]
+         */
+        failNext(status, times = 1) {
+            for (let i = 0; i < times; i++) {
+                failures.push(status);
+            }
+        },
+
+        close: null
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            const body = Buffer.concat(chunks).toString();
+            const request = { method: req.method, path: req.url, headers: req.headers, body };
+            if (/json/.test(req.headers["content-type"] || "")) {
+                try {
+                    request.json = JSON.parse(body);
+                } catch (e) {
+                    // Recorded as is.
+                }
+            } else if (/x-www-form-urlencoded/.test(req.headers["content-type"] || "")) {
+                request.form = Object.fromEntries(new URLSearchParams(body));
+            }
+            handle.requests.push(request);
+
+            const status = failures.length > 0 ? failures.shift() : 200;
+            if (request.form && request.form.Action === "Publish") {
+                res.writeHead(status, { "content-type": "text/xml" });
+                res.end(status === 200
+                    ? `<PublishResponse><PublishResult><MessageId>${crypto.randomUUID()}</MessageId></PublishResult></PublishResponse>`
+                    : "<ErrorResponse><Error><Code>InternalError</Code></Error></ErrorResponse>");
+                return;
+            }
+            res.writeHead(status, { "content-type": "application/json" });
+            res.end("{}");
+        });
+    });
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port || 0, "127.0.0.1", resolve);
+    });
+    handle.address = `http://127.0.0.1:${server.address().port}`;
+    handle.close = () => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+    return handle;
+}
+
+/**
+ * Starts the SMTP stand-in.
+ * @param {object} [options]
+ * @param {number} [options.port] - Defaults to a random free port.
+ * @returns {Promise<object>} The handle: port, messages ({from, to, data}), close().
+ */
+async function startMockSmtp(options = {}) {
+    const handle = { port: null, messages: [], close: null };
+    const sockets = new Set();
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on("close", () => sockets.delete(socket));
+        socket.on("error", () => {});
+        let buffer = "";
+        let message = { from: null, to: [], data: null };
+        let data = null;
+        socket.write("220 mock ESMTP\r\n");
+
+        socket.on("data", (chunk) => {
+            buffer += chunk.toString("utf8");
+            let end;
+            while ((end = buffer.indexOf("\r\n")) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (data !== null) {
+                    if (line === ".") {
+                        message.data = data.join("\r\n");
+                        handle.messages.push(message);
+                        message = { from: null, to: [], data: null };
+                        data = null;
+                        socket.write("250 queued\r\n");
+                    } else {
+                        data.push(line.startsWith("..") ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+                const verb = line.split(" ")[0].toUpperCase();
+                if (verb === "EHLO" || verb === "HELO") {
+                    socket.write("250-mock\r\n250 8BITMIME\r\n");
+                } else if (verb === "MAIL") {
+                    message.from = line.replace(/^MAIL FROM:<(.*)>.*$/i, "$1");
+                    socket.write("250 ok\r\n");
+                } else if (verb === "RCPT") {
+                    message.to.push(line.replace(/^RCPT TO:<(.*)>.*$/i, "$1"));
+                    socket.write("250 ok\r\n");
+                } else if (verb === "DATA") {
+                    data = [];
+                    socket.write("354 go ahead\r\n");
+                } else if (verb === "QUIT") {
+                    socket.end("221 bye\r\n");
+                } else {
+                    socket.write("502 not implemented\r\n");
+                }
+            }
+        });
+    });
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port || 0, "127.0.0.1", resolve);
+    });
+    handle.port = server.address().port;
+    handle.close = () => new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolve());
+    });
+    return handle;
+}
+
+module.exports = { startMockReceiver, startMockSmtp };
+
+if (require.main === module) {
+    Promise.all([
+        startMockReceiver({ port: Number(process.argv[2]) || 8025 }),
+        startMockSmtp({ port: Number(process.argv[3]) || 2525 })
+    ]).then(([receiver, smtp]) => {
+        process.stderr.write(`Mock receiver listening on ${receiver.address}, mock SMTP on port ${smtp.port}\n`);
+        const print = () => {
+            receiver.requests.splice(0).forEach((request) => process.stdout.write(`${request.method} ${request.path} ${request.body}\n`));
+            smtp.messages.splice(0).forEach((message) => process.stdout.write(`MAIL ${message.from} -> ${message.to.join(", ")}\n${message.data}\n`));
+        };
+        setInterval(print, 200);
+    });
+}
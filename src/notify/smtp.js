@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+const { render } = require("./template.js");
+
+/**
+ * Reads SMTP replies off a socket. A reply is one or more "250-..." lines
+ * ending with a "250 ..." line.
+ * @param {net.Socket} socket
+ * @returns {{next: function(): Promise<{code: number, lines: string[]}>, detach: function(): void}}
+ */
+function replies(socket) {
+    let buffer = "";
+    let lines = [];
+    const ready = [];
+    const waiting = [];
+    let failure = null;
+
+    const deliver = (reply) => (waiting.length > 0 ? waiting.shift().resolve(reply) : ready.push(reply));
+    const onData = (chunk) => {
+        buffer += chunk.toString("utf8");
+        let end;
+        while ((end = buffer.indexOf("\n")) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, "");
+            buffer = buffer.slice(end + 1);
+            lines.push(line.slice(4));
+            if (line[3] !== "-") {
+                deliver({ code: Number(line.slice(0, 3)), lines });
+                lines = [];
+            }
+        }
+    };
+    const onEnd = (err) => {
+        failure = err || new Error("The SMTP server closed the connection");
+        waiting.splice(0).forEach(({ reject }) => reject(failure));
+    };
+    const onClose = () => onEnd();
+    socket.on("data", onData);
+    socket.on("error", onEnd);
+    socket.on("close", onClose);
+
+    return {
+        next() {
+            if (ready.length > 0) {
+                return Promise.resolve(ready.shift());
+            }
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+        detach() {
+            socket.off("data", onData);
+            socket.off("error", onEnd);
+            socket.off("close", onClose);
+        }
+    };
+}
+
+/**
+ * "=?UTF-8?B?...?=" for a header that isn't plain ASCII.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+/**
+ * The message: headers, then the body with CRLF line ends and leading dots doubled.
+ * @param {object} notifier
+ * @param {string[]} to
+ * @param {object} fields
+ * @returns {string}
+ */
+function buildMessage(notifier, to, fields) {
+    const body = render(notifier.message, fields).split(/\r?\n/).map((line) => (line.startsWith(".") ? `.${line}` : line));
+    return [
+        `From: ${notifier.from}`,
+        `To: ${to.join(", ")}`,
+        `Subject: ${encodeHeader(render(notifier.subject, fields))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: 8bit",
+        "",
+        ...body
+    ].join("\r\n");
+}
+
+/**
+ * Sends the notification as an email. Uses STARTTLS when the server offers
+ * it (and 'starttls' is on), and never sends credentials in the clear.
+ * @param {object} notifier - A validated smtp notifier.
+ * @param {object} fields - The template fields.
+ * @returns {Promise<void>}
+ * @throws If the server refuses any step.
+ */
+async function send(notifier, fields) {
+    const to = [].concat(notifier.to);
+    const tlsOptions = { servername: notifier.host, ca: notifier.ca ? fs.readFileSync(notifier.ca) : undefined };
+    let socket = notifier.secure
+        ? tls.connect({ host: notifier.host, port: notifier.port, ...tlsOptions })
+        : net.connect({ host: notifier.host, port: notifier.port });
+    let encrypted = !!notifier.secure;
+    let reader = replies(socket);
+    const timeout = () => socket.destroy(new Error(`The SMTP server didn't answer within ${notifier.timeout_ms} ms`));
+    socket.setTimeout(notifier.timeout_ms, timeout);
+
+    const command = async (line, expected, what = line.split(" ")[0]) => {
+        if (line !== null) {
+            socket.write(`${line}\r\n`);
+        }
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`The SMTP server refused ${what}: ${reply.code} ${reply.lines.join(" ")}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220], "the connection");
+        let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+        if (!encrypted && notifier.starttls && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+            await command("STARTTLS", [220]);
+            reader.detach();
+            socket.setTimeout(0);
+            socket = await new Promise((resolve, reject) => {
+                const upgraded = tls.connect({ socket, ...tlsOptions }, () => resolve(upgraded));
+                upgraded.once("error", reject);
+            });
+            socket.setTimeout(notifier.timeout_ms, timeout);
+            reader = replies(socket);
+            encrypted = true;
+            ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (notifier.username !== undefined) {
+            if (!encrypted) {
+                throw new Error("Not sending the SMTP credentials over a connection without TLS.");
+            }
+            const auth = ehlo.lines.find((line) => /^AUTH\b/i.test(line)) || "";
+            if (/\bPLAIN\b/i.test(auth)) {
+                const token = Buffer.from(`\0${notifier.username}\0${notifier.password}`).toString("base64");
+                await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+            } else {
+                await command("AUTH LOGIN", [334]);
+                await command(Buffer.from(notifier.username).toString("base64"), [334], "the username");
+                await command(Buffer.from(notifier.password).toString("base64"), [235], "the password");
+            }
+        }
+
+        await command(`MAIL FROM:<${notifier.from.replace(/^.*<|>.*$/g, "")}>`, [250], "MAIL FROM");
+        for (const address of to) {
+            await command(`RCPT TO:<${address.replace(/^.*<|>.*$/g, "")}>`, [250, 251], `the recipient ${address}`);
+        }
+        await command("DATA", [354]);
+        await command(`${buildMessage(notifier, to, fields)}\r\n.`, [250], "the message");
+        await command("QUIT", [221]).catch(() => {});
+    } finally {
+        reader.detach();
+        socket.destroy();
+    }
+}
+
+module.exports = { send, buildMessage };
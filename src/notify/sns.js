@@ -0,0 +1,52 @@
+const httpRequest = require("../http_request.js");
+const { signRequest, uriEncode } = require("../aws/sigv4.js");
+const { getCredentials, resolveRegion } = require("../aws/credentials.js");
+const { render } = require("./template.js");
+
+/**
+ * The region of a notifier: 'region', else the one in the topic ARN.
+ * @param {object} notifier
+ * @returns {string}
+ */
+function regionOf(notifier) {
+    return notifier.region || notifier.topic_arn.split(":")[3] || resolveRegion();
+}
+
+/**
+ * Publishes the message to an SNS topic (or anything that speaks the SNS
+ * Publish API at 'endpoint').
+ * @param {object} notifier - A validated sns notifier.
+ * @param {object} fields - The template fields.
+ * @returns {Promise<void>}
+ * @throws If the request fails or the answer isn't 200.
+ */
+async function send(notifier, fields) {
+    const region = regionOf(notifier);
+    const url = new URL(notifier.endpoint || `https://sns.${region}.amazonaws.com/`);
+    const params = {
+        Action: "Publish",
+        Version: "2010-03-31",
+        TopicArn: notifier.topic_arn,
+        // SNS subjects are limited to 100 characters.
+        Subject: render(notifier.subject, fields).slice(0, 100),
+        Message: render(notifier.message, fields)
+    };
+    const body = Object.entries(params).map(([key, value]) => `${key}=${uriEncode(value)}`).join("&");
+    const headers = signRequest({
+        method: "POST",
+        url,
+        headers: { "content-type": "application/x-www-form-urlencoded; charset=utf-8" },
+        body,
+        service: "sns",
+        region,
+        credentials: await getCredentials(notifier)
+    });
+
+    const res = await httpRequest(url, { method: "POST", headers, body, timeout: notifier.timeout_ms });
+    if (res.status !== 200) {
+        const code = /<Code>([^<]+)<\/Code>/.exec(res.body.toString());
+        throw new Error(`SNS publish to ${notifier.topic_arn} failed with status ${res.status}` + (code ? ` (${code[1]})` : ""));
+    }
+}
+
+module.exports = { send };
@@ -0,0 +1,38 @@
+/**
+ * The {{field}} templates of notifications: event, name, host, time, status,
+ * error, serial, expires_at, previous_serial, cert_path, message, dropped.
+ */
+
+/**
+ * Replaces the {{field}} placeholders of a template. Unknown fields become "".
+ * @param {string} template
+ * @param {object} fields
+ * @returns {string}
+ */
+function render(template, fields) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, field) => {
+        const value = fields[field];
+        return value === undefined || value === null ? "" : String(value);
+    });
+}
+
+/**
+ * Renders every string of a JSON template (the webhook 'body').
+ * @param {*} template
+ * @param {object} fields
+ * @returns {*}
+ */
+function renderJson(template, fields) {
+    if (typeof template === "string") {
+        return render(template, fields);
+    }
+    if (Array.isArray(template)) {
+        return template.map((item) => renderJson(item, fields));
+    }
+    if (template !== null && typeof template === "object") {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderJson(value, fields)]));
+    }
+    return template;
+}
+
+module.exports = { render, renderJson };
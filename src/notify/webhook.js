@@ -0,0 +1,36 @@
+const httpRequest = require("../http_request.js");
+const { renderJson } = require("./template.js");
+
+// The body when the notifier has none.
+const DEFAULT_BODY = {
+    event: "{{event}}",
+    certificate: "{{name}}",
+    host: "{{host}}",
+    time: "{{time}}",
+    message: "{{message}}",
+    serial: "{{serial}}",
+    expires_at: "{{expires_at}}",
+    error: "{{error}}"
+};
+
+/**
+ * POSTs (or 'method's) the rendered JSON 'body' to 'url'.
+ * @param {object} notifier - A validated webhook notifier.
+ * @param {object} fields - The template fields.
+ * @returns {Promise<void>}
+ * @throws If the request fails or the answer isn't 2xx.
+ */
+async function send(notifier, fields) {
+    const body = JSON.stringify(renderJson(notifier.body || DEFAULT_BODY, fields));
+    const res = await httpRequest(notifier.url, {
+        method: notifier.method,
+        headers: { "content-type": "application/json", ...notifier.headers },
+        body,
+        timeout: notifier.timeout_ms
+    });
+    if (res.status < 200 || res.status >= 300) {
+        throw new Error(`${notifier.url} answered with status ${res.status}`);
+    }
+}
+
+module.exports = { send, DEFAULT_BODY };
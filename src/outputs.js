@@ -0,0 +1,141 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { buildPkcs12 } = require("./pkcs12.js");
+const { stageFile } = require("./fs_atomic.js");
+
+const PARTS = ["cert", "key", "chain", "fullchain"];
+const FORMATS = ["pem", "der", "pkcs12"];
+
+/**
+ * The CA certificates that go with a leaf: Vault's 'ca_chain' when it is
+ * there, otherwise just the 'issuing_ca'.
+ * @param {object} certData - The certificate data object.
+ * @returns {string[]} PEM certificates, issuer first.
+ */
+function chainOf(certData) {
+    if (Array.isArray(certData.ca_chain) && certData.ca_chain.length > 0) {
+        return certData.ca_chain;
+    }
+    return certData.issuing_ca ? [certData.issuing_ca] : [];
+}
+
+/**
+ * Renders one configured output.
+ * @param {object} certData - The certificate data object.
+ * @param {object} output - A validated element of 'outputs'.
+ * @param {string} [friendlyName] - PKCS#12 alias when the output does not set one.
+ * @returns {string|Buffer}
+ */
+function renderOutput(certData, output, friendlyName) {
+    const chain = chainOf(certData);
+
+    if (output.format === "der") {
+        if (output.contents[0] === "key") {
+            return crypto.createPrivateKey(certData.private_key).export({ type: "pkcs8", format: "der" });
+        }
+        return new crypto.X509Certificate(certData.certificate).raw;
+    }
+
+    if (output.format === "pkcs12") {
+        const withChain = output.contents.includes("chain") || output.contents.includes("fullchain");
+        return buildPkcs12({
+            certificate: certData.certificate,
+            privateKey: certData.private_key,
+            chain: withChain ? chain : [],
+            password: output.password,
+            friendlyName: output.alias || friendlyName
+        });
+    }
+
+    const pems = {
+        cert: [certData.certificate],
+        key: [certData.private_key],
+        chain,
+        fullchain: [certData.certificate, ...chain]
+    };
+    return output.contents
+        .flatMap((part) => pems[part])
+        .map((pem) => pem.trim() + "\n")
+        .join("");
+}
+
+/**
+ * Stages every entry of 'outputs' next to its path, with its mode and owner,
+ * keeping the previous file as '.bak' like the main bundle once committed.
+ * @param {object} certData - The certificate data object.
+ * @param {object} config - The configuration object.
+ * @param {object} log - Logger to use.
+ * @param {object[]} staged - Every staged file is added here, for commitFile() or discardFile().
+ */
+function stageOutputs(certData, config, log, staged) {
+    (config.outputs || []).forEach((output) => {
+        log.info(`Writing ${output.format} output [${output.contents.join(", ")}] to file: ${output.path}`);
+        staged.push(stageFile(output.path, renderOutput(certData, output, config.name), {
+            mode: output.mode,
+            uid: output.uid,
+            gid: output.gid,
+            backup: config.tls.backup
+        }));
+    });
+}
+
+/**
+ * Looks a user or group up in /etc/passwd or /etc/group.
+ * @param {string} file - "/etc/passwd" or "/etc/group".
+ * @param {string} name
+ * @returns {{id: number, gid: number}|null}
+ */
+function lookupId(file, name) {
+    let contents;
+    try {
+        contents = fs.readFileSync(file, "utf8");
+    } catch (e) {
+        return null;
+    }
+    const line = contents.split("\n").find((l) => l.split(":")[0] === name);
+    if (!line) {
+        return null;
+    }
+    const fields = line.split(":");
+    return { id: Number(fields[2]), gid: Number(fields[3]) };
+}
+
+/**
+ * Resolves an owner spec: "user", "user:group", "uid" or "uid:gid".
+ * Without a group, a named user gets its primary group, a numeric uid keeps the file's group.
+ * @param {string} owner
+ * @returns {{uid: number, gid: number}}
+ * @throws If the user or group does not exist.
+ */
+function resolveOwner(owner) {
+    const [userPart, groupPart] = owner.split(":");
+    let uid;
+    let gid;
+
+    if (/^\d+$/.test(userPart)) {
+        uid = Number(userPart);
+        gid = -1;
+    } else {
+        const user = lookupId("/etc/passwd", userPart);
+        if (!user) {
+            throw new Error(`Unknown user '${userPart}'.`);
+        }
+        uid = user.id;
+        gid = user.gid;
+    }
+
+    if (groupPart !== undefined) {
+        if (/^\d+$/.test(groupPart)) {
+            gid = Number(groupPart);
+        } else {
+            const group = lookupId("/etc/group", groupPart);
+            if (!group) {
+                throw new Error(`Unknown group '${groupPart}'.`);
+            }
+            gid = group.id;
+        }
+    }
+    return { uid, gid };
+}
+
+module.exports = { PARTS, FORMATS, chainOf, renderOutput, stageOutputs, resolveOwner };
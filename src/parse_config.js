@@ -1,233 +1,734 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const { targetsFor, targets } = require("./delivery/index.js");
+const { resolveOwner } = require("./outputs.js");
+const { ACTIONS } = require("./actions.js");
+const { validate } = require("./json_schema.js");
+const schema = require("../schema/config.schema.json");
 
-function validateConfig(config) {
-    //
-    // 1) Basic sanity check: Must be an object.
-    //
-    if (typeof config !== "object" || config === null) {
-        throw new Error("Configuration must be a non-null object.");
-    }
-
-    //
-    // 2) Check mandatory top-level fields:
-    //    - vault
-    //    - cert
-    //    - tls
-    //    - onreplace
-    //    - onstart
-    //    - intervals
-    //
-    const requiredTopLevelFields = ["vault", "cert", "tls", "onreplace", "onstart", "intervals"];
-    requiredTopLevelFields.forEach((field) => {
-        if (!Object.prototype.hasOwnProperty.call(config, field)) {
-            throw new Error(`Missing mandatory top-level field '${field}'.`);
-        }
-    });
+// Process-wide settings: they live at the top level only and are not copied into 'certificates' entries.
+const GLOBAL_FIELDS = ["metrics", "control", "logging", "shutdown"];
 
-    //
-    // 3) vault object checks
-    //    Mandatory: pki_role, vault_role, pki_path, address
-    //    Optional: version (if provided, must be "v1")
-    //
-    const { vault } = config;
-    if (typeof vault !== "object" || vault === null) {
-        throw new Error("'vault' must be an object.");
+/**
+ * Turns an 'onfail' retry block of 'true' into the defaults. The schema already
+ * filled in a missing block and the missing fields of a partial one.
+ * @param {true|{retry_every: number, retry_num: number}} onfailVal
+ * @returns {{retry_every: number, retry_num: number}}
+ */
+function normalizeOnfail(onfailVal) {
+    if (onfailVal !== true) {
+        return onfailVal;
     }
-    // version (optional but if present, must be "v1")
-    if (Object.prototype.hasOwnProperty.call(vault, "version") && vault.version !== "v1") {
-        throw new Error("If 'vault.version' is provided, it must be 'v1'.");
+    const defaults = {};
+    validate(schema, defaults, { ref: "#/definitions/retry", defaults: true });
+    return defaults;
+}
+
+/**
+ * Throws unless 'file' is writable, except in a read-only load, which only
+ * reads what the daemon wrote.
+ * @param {string} file
+ * @param {object} options - From validateConfig().
+ * @param {string} message - The error when it isn't.
+ * @throws {Error}
+ */
+function checkWritable(file, options, message) {
+    if (options.readOnly) {
+        return;
     }
-    // pki_role (mandatory)
-    if (!vault.pki_role || typeof vault.pki_role !== "string") {
-        throw new Error("'vault.pki_role' is mandatory and must be a non-empty string.");
+    try {
+        fs.accessSync(file, fs.constants.W_OK);
+    } catch (err) {
+        throw new Error(message);
     }
-    // vault_role (mandatory)
-    if (!vault.vault_role || typeof vault.vault_role !== "string") {
-        throw new Error("'vault.vault_role' is mandatory and must be a non-empty string.");
+}
+
+/**
+ * Turns an optional 'mode' field (an octal string like "0640", format checked
+ * by the schema) into a number. Leaves 'fallback' in place when the field is missing.
+ * @param {object} obj - The object holding 'mode'.
+ * @param {number} [fallback] - Default mode, if any.
+ */
+function normalizeMode(obj, fallback) {
+    if (!Object.prototype.hasOwnProperty.call(obj, "mode")) {
+        if (fallback !== undefined) {
+            obj.mode = fallback;
+        }
+        return;
     }
-    // pki_path (mandatory)
-    if (!vault.pki_path || typeof vault.pki_path !== "string") {
-        throw new Error("'vault.pki_path' is mandatory and must be a non-empty string.");
+    obj.mode = parseInt(obj.mode, 8);
+}
+
+/**
+ * Resolves an optional 'owner' field ("user", "user:group", "uid" or "uid:gid")
+ * into numeric 'uid' / 'gid' on the same object.
+ * @param {object} obj - The object holding 'owner'.
+ * @param {string} where - Config path for error messages.
+ */
+function normalizeOwner(obj, where) {
+    if (!Object.prototype.hasOwnProperty.call(obj, "owner")) {
+        return;
     }
-    // address (mandatory) - format: domain(:port)?
-    if (!vault.address || typeof vault.address !== "string") {
-        throw new Error("'vault.address' is mandatory and must be a string (e.g. domain:port).");
+    try {
+        Object.assign(obj, resolveOwner(obj.owner));
+    } catch (e) {
+        throw new Error(`'${where}.owner': ${e.message}`);
     }
-    // Optional port check
-    const addressRegex = /^([a-zA-Z0-9.-]+)(?::(\d{1,5}))?$/;
-    const match = vault.address.match(addressRegex);
-    if (!match) {
-        throw new Error(`'vault.address' must look like 'domain' or 'domain:port', got '${vault.address}'.`);
+}
+
+/**
+ * Thrown when a config is invalid. The message lists every problem found,
+ * one per line; 'errors' holds them as an array. 'warnings' holds the unknown
+ * keys of a non-strict validation, listed after the problems: a misspelled
+ * key is often why something mandatory is missing.
+ */
+class ConfigError extends Error {
+    constructor(errors, warnings = []) {
+        super([...errors, ...warnings.map((message) => `Warning: ${message}`)].join("\n"));
+        this.name = "ConfigError";
+        this.errors = errors;
+        this.warnings = warnings;
     }
-    if (match[2]) {
-        const portNum = Number(match[2]);
-        if (portNum < 1 || portNum > 65535) {
-            throw new Error(`'vault.address' port must be in range 1-65535, got ${portNum}.`);
+}
+
+/**
+ * Runs independent groups ("sections") of checks and keeps the first problem
+ * of each, so one run reports everything that's wrong. A section that needs
+ * a field or section which already failed is skipped (and counts as failed).
+ * @param {string[]} [failed] - Names that already failed, e.g. fields the schema rejected.
+ * @param {string[]} [warnings] - Passed on to the ConfigError of throwIfAny().
+ * @returns {{errors: string[], section: Function, fail: Function, throwIfAny: Function}}
+ */
+function collectErrors(failed = [], warnings = []) {
+    const errors = [];
+    const failedNames = new Set(failed);
+    const fail = (name, message) => {
+        failedNames.add(name);
+        errors.push(message);
+    };
+    return {
+        errors,
+        fail,
+        section(name, needs, check) {
+            if (needs.some((field) => failedNames.has(field))) {
+                failedNames.add(name);
+                return;
+            }
+            try {
+                check();
+            } catch (e) {
+                (e.errors || [e.message]).forEach((message) => fail(name, message));
+            }
+        },
+        throwIfAny() {
+            if (errors.length > 0) {
+                throw new ConfigError(errors, warnings);
+            }
         }
-    }
+    };
+}
+
+/**
+ * The top-level field a schema problem is about: "vault" for 'vault.auth.method'.
+ * @param {string} problemPath
+ * @returns {string}
+ */
+function fieldOf(problemPath) {
+    return problemPath.split(/[.[]/)[0];
+}
+
+/**
+ * The checks of a single certificate (either the whole config, or one merged
+ * entry of 'certificates') that the schema can't express: the file system,
+ * rules across several fields, and defaults taken from other fields.
+ * Also turns 'mode' and 'owner' into numbers.
+ * @param {object} config - Already checked against the schema, defaults filled in.
+ * @param {object} checks - From collectErrors(), seeded with the fields the schema rejected.
+ * @param {object} options - From validateConfig().
+ */
+function validateCertificateConfig(config, checks, options) {
+    const { section } = checks;
 
     //
-    // 4) cert object checks
-    //    This can be empty or partially filled, must be an object.
+    // 1) vault
+    //    address: the port must be in range 1-65535
+    //    auth, per method:
+    //    aws        => role (defaults to vault.vault_role, one of them is mandatory),
+    //                  access_key_id and secret_access_key go together
+    //    approle    => role_id (mandatory), secret_id or secret_id_file (exactly one)
+    //    kubernetes => role (mandatory), jwt_file (the service account token, must be readable)
+    //    cert       => bootstrap_cert + bootstrap_key (together, readable; used until
+    //                  a bundle is installed)
+    //    token      => token_file (readable), or token_env (default "VAULT_TOKEN")
+    //    mount defaults to the method name (except for token).
     //
-    const { cert } = config;
-    if (typeof cert !== "object" || cert === null) {
-        throw new Error("'cert' must be an object (it can be empty, but not null).");
-    }
+    section("vault", ["vault"], () => {
+        const { vault } = config;
+        const port = /:(\d+)\/?$/.exec(vault.address.replace(/^https?:\/\//, ""));
+        if (port && (Number(port[1]) < 1 || Number(port[1]) > 65535)) {
+            throw new Error(`'vault.address' port must be in range 1-65535, got ${port[1]}.`);
+        }
+
+        const { auth } = vault;
+        const required = (field) => {
+            if (auth[field] === undefined) {
+                throw new Error(`'vault.auth.${field}' is mandatory for the '${auth.method}' method.`);
+            }
+        };
+        const checkReadable = (field) => {
+            try {
+                fs.accessSync(auth[field], fs.constants.R_OK);
+            } catch (e) {
+                throw new Error(`'vault.auth.${field}' is not readable: ${auth[field]}`);
+            }
+        };
+        switch (auth.method) {
+            case "aws":
+                if (auth.role === undefined) {
+                    auth.role = vault.vault_role;
+                }
+                if (auth.role === undefined) {
+                    throw new Error("'vault.vault_role' (or 'vault.auth.role') is mandatory for the 'aws' method.");
+                }
+                if ((auth.access_key_id === undefined) !== (auth.secret_access_key === undefined)) {
+                    throw new Error("'vault.auth.access_key_id' and 'vault.auth.secret_access_key' go together.");
+                }
+                break;
+            case "approle":
+                required("role_id");
+                if ((auth.secret_id === undefined) === (auth.secret_id_file === undefined)) {
+                    throw new Error("Exactly one of 'vault.auth.secret_id' and 'vault.auth.secret_id_file' is mandatory for the 'approle' method.");
+                }
+                if (auth.secret_id_file !== undefined) {
+                    checkReadable("secret_id_file");
+                }
+                break;
+            case "kubernetes":
+                required("role");
+                if (auth.jwt_file === undefined) {
+                    auth.jwt_file = "/var/run/secrets/kubernetes.io/serviceaccount/token";
+                }
+                checkReadable("jwt_file");
+                break;
+            case "cert":
+                if ((auth.bootstrap_cert === undefined) !== (auth.bootstrap_key === undefined)) {
+                    throw new Error("'vault.auth.bootstrap_cert' and 'vault.auth.bootstrap_key' go together.");
+                }
+                if (auth.bootstrap_cert !== undefined) {
+                    checkReadable("bootstrap_cert");
+                    checkReadable("bootstrap_key");
+                }
+                break;
+            case "token":
+                if (auth.token_file !== undefined && auth.token_env !== undefined) {
+                    throw new Error("Only one of 'vault.auth.token_file' and 'vault.auth.token_env' can be set.");
+                }
+                if (auth.token_file !== undefined) {
+                    checkReadable("token_file");
+                } else if (auth.token_env === undefined) {
+                    auth.token_env = "VAULT_TOKEN";
+                }
+                break;
+        }
+        if (auth.method !== "token") {
+            if (auth.mount === undefined) {
+                auth.mount = auth.method;
+            }
+            auth.mount = auth.mount.replace(/^\/+|\/+$/g, "");
+        }
+    });
 
     //
-    // 5) tls object checks
-    //    Must have: ca, cert, key
-    //    cert and key must be the same file path (bundle).
-    //    Check write permissions on cert/key (but not on CA).
+    // 2) tls
+    //    Check write permissions on cert/key (but not on CA); they may be the
+    //    same file path (a bundle) or two separate files.
+    //    mode and owner are applied to cert and key before they are renamed
+    //    into place (default: keep those of the replaced file). A separate key
+    //    file gets key_mode instead, 0600 unless set.
     //
-    const { tls } = config;
-    if (typeof tls !== "object" || tls === null) {
-        throw new Error("'tls' must be an object.");
-    }
-    ["ca", "cert", "key"].forEach((field) => {
-        if (!tls[field] || typeof tls[field] !== "string") {
-            throw new Error(`'tls.${field}' is mandatory and must be a non-empty string (path).`);
-        }
+    section("tls", ["tls"], () => {
+        const { tls } = config;
+        ["cert", "key"].forEach((field) => {
+            checkWritable(path.resolve(tls[field]), options, `No write permission to 'tls.${field}' at: ${tls[field]}`);
+        });
+        normalizeMode(tls);
+        // The schema filled in its default.
+        tls.key_mode = parseInt(tls.key_mode, 8);
+        normalizeOwner(tls, "tls");
     });
-    if (tls.cert !== tls.key) {
-        throw new Error("'tls.cert' and 'tls.key' must point to the same file (a bundle).");
-    }
-    try {
-        fs.accessSync(path.resolve(tls.cert), fs.constants.W_OK);
-    } catch (err) {
-        throw new Error(`No write permission to 'tls.cert' (or 'tls.key') at: ${tls.cert}`);
-    }
 
     //
-    // 6) onreplace and onstart: arrays of objects
-    //    Each object must have 'command' (string).
-    //    'description' is optional (string).
-    //    'onfail' is optional. If missing or 'true', fill default. If partial, fill missing fields.
-    //       default => { retry_every: 60000, retry_num: 7 }
-    //    range checks: retry_every => [1000, 1800000], retry_num => [1, 1000]
-    //
-    function validateHookArray(hookName) {
-        const arr = config[hookName];
-        if (!Array.isArray(arr)) {
-            throw new Error(`'${hookName}' must be an array.`);
-        }
-
-        arr.forEach((item, index) => {
-            if (typeof item !== "object" || item === null) {
-                throw new Error(`Each element of '${hookName}' must be an object. Found invalid at index ${index}.`);
-            }
-            // command (mandatory)
-            if (!item.command || typeof item.command !== "string") {
-                throw new Error(`'${hookName}[${index}].command' is mandatory and must be a string.`);
-            }
-            // description (optional)
-            if (
-                Object.prototype.hasOwnProperty.call(item, "description") &&
-                typeof item.description !== "string"
-            ) {
-                throw new Error(`'${hookName}[${index}].description' must be a string if provided.`);
-            }
-
-            // onfail (optional) => fill default if missing
-            const onfailVal = item.onfail;
-            if (onfailVal === undefined) {
-                // fill default
-                item.onfail = { retry_every: 60000, retry_num: 7 };
-            } else if (onfailVal === true) {
-                item.onfail = { retry_every: 60000, retry_num: 7 };
-            } else if (typeof onfailVal === "object" && onfailVal !== null) {
-                // fill missing fields
-                if (!Object.prototype.hasOwnProperty.call(onfailVal, "retry_every")) {
-                    onfailVal.retry_every = 60000;
-                } else {
-                    if (typeof onfailVal.retry_every !== "number") {
-                        throw new Error(
-                            `'${hookName}[${index}].onfail.retry_every' must be a number if provided.`
-                        );
+    // 3) onreplace, onstart and onrollback: a command or one action each,
+    //    'onfail: true' means the default retries, 'cwd' and 'user' exist,
+    //    'depends_on' names other commands of the same list, no cycles.
+    //
+    ["onreplace", "onstart", "onrollback"].forEach((hookName) => {
+        section(hookName, [hookName], () => {
+            const hooks = config[hookName];
+            const byName = new Map();
+            hooks.forEach((item, index) => {
+                const where = `${hookName}[${index}]`;
+                item.onfail = normalizeOnfail(item.onfail);
+                const kinds = ["command", ...ACTIONS].filter((key) => Object.prototype.hasOwnProperty.call(item, key));
+                if (kinds.length !== 1) {
+                    const allowed = ["command", ...ACTIONS].map((key) => `'${key}'`);
+                    const got = kinds.length > 1 ? `, got ${kinds.join(" and ")}` : "";
+                    throw new Error(`'${where}' needs exactly one of ${allowed.slice(0, -1).join(", ")} or ${allowed[allowed.length - 1]}${got}.`);
+                }
+                if (kinds[0] !== "command") {
+                    const extra = ["cwd", "env", "user"].find((key) => Object.prototype.hasOwnProperty.call(item, key));
+                    if (extra) {
+                        throw new Error(`'${where}.${extra}' only applies to a 'command'.`);
                     }
-                    if (onfailVal.retry_every < 1000 || onfailVal.retry_every > 1800000) {
-                        throw new Error(
-                            `'${hookName}[${index}].onfail.retry_every' must be in range [1000, 1800000]. Got ${onfailVal.retry_every}.`
-                        );
+                }
+                if (item.signal) {
+                    item.signal.signal = item.signal.signal.startsWith("SIG") ? item.signal.signal : `SIG${item.signal.signal}`;
+                    if (!Object.prototype.hasOwnProperty.call(os.constants.signals, item.signal.signal)) {
+                        throw new Error(`'${where}.signal.signal': unknown signal ${item.signal.signal}.`);
                     }
                 }
-                if (!Object.prototype.hasOwnProperty.call(onfailVal, "retry_num")) {
-                    onfailVal.retry_num = 7;
-                } else {
-                    if (
-                        typeof onfailVal.retry_num !== "number" ||
-                        onfailVal.retry_num < 1 ||
-                        onfailVal.retry_num > 1000
-                    ) {
-                        throw new Error(
-                            `'${hookName}[${index}].onfail.retry_num' must be a number between 1 and 1000.`
-                        );
+                if (item.http) {
+                    let url;
+                    try {
+                        url = new URL(item.http.url);
+                    } catch (e) {
+                        throw new Error(`'${where}.http.url' is not a valid URL: ${item.http.url}`);
+                    }
+                    if (!["http:", "https:"].includes(url.protocol)) {
+                        throw new Error(`'${where}.http.url' must be http:// or https://, got ${url.protocol}`);
                     }
                 }
-            } else {
-                // If it's neither undefined, true, nor a valid object => error
-                throw new Error(
-                    `'${hookName}[${index}].onfail' must be either true, omitted, or an object. Received: ${JSON.stringify(onfailVal)}`
-                );
+                if (item.socket && item.socket.expect !== undefined) {
+                    try {
+                        new RegExp(item.socket.expect);
+                    } catch (e) {
+                        throw new Error(`'${where}.socket.expect' is not a valid regular expression: ${e.message}`);
+                    }
+                }
+                if (item.cwd !== undefined) {
+                    let stat = null;
+                    try {
+                        stat = fs.statSync(item.cwd);
+                    } catch (e) {
+                        // Reported below.
+                    }
+                    if (!stat || !stat.isDirectory()) {
+                        throw new Error(`'${where}.cwd' is not a directory: ${item.cwd}`);
+                    }
+                }
+                if (item.user !== undefined) {
+                    try {
+                        Object.assign(item, resolveOwner(item.user));
+                    } catch (e) {
+                        throw new Error(`'${where}.user': ${e.message}`);
+                    }
+                }
+                if (item.name !== undefined) {
+                    if (byName.has(item.name)) {
+                        throw new Error(`Duplicate command name '${item.name}' in '${hookName}'.`);
+                    }
+                    byName.set(item.name, index);
+                }
+            });
+            hooks.forEach((item, index) => {
+                [].concat(item.depends_on || []).forEach((name) => {
+                    if (!byName.has(name)) {
+                        throw new Error(`'${hookName}[${index}].depends_on' names '${name}', which is not a command of '${hookName}'.`);
+                    }
+                });
+            });
+
+            // Depth-first walk along 'depends_on': meeting a command that is still on the path is a cycle.
+            const state = new Map();
+            const visit = (index, trail) => {
+                if (state.get(index) === "done") {
+                    return;
+                }
+                if (state.get(index) === "visiting") {
+                    throw new Error(`'${hookName}' has a dependency cycle: ${[...trail, hooks[index].name].join(" -> ")}.`);
+                }
+                state.set(index, "visiting");
+                [].concat(hooks[index].depends_on || []).forEach((name) => visit(byName.get(name), [...trail, hooks[index].name]));
+                state.set(index, "done");
+            };
+            hooks.forEach((item, index) => visit(index, []));
+        });
+    });
+
+    //
+    // 4) type: every target needs its own config block of the same name.
+    //
+    section("type", ["type"], () => {
+        targetsFor(config.type).forEach((name) => {
+            if (!targets[name]) {
+                throw new Error(`Unknown delivery target '${name}' in 'type'. Supported: ${Object.keys(targets).join(", ")}.`);
             }
         });
-    }
+    });
 
-    validateHookArray("onreplace");
-    validateHookArray("onstart");
+    //
+    // 5) s3 (only when 'type' includes s3)
+    //    Mandatory: bucket, file
+    //    access_key_id and secret_access_key go together, endpoint must be an http(s) URL.
+    //
+    section("s3", ["type", "s3"], () => {
+        if (targetsFor(config.type).includes("s3")) {
+            const { s3 } = config;
+            if (s3 === undefined) {
+                throw new Error("'s3' is mandatory when 'type' is 'vault/s3'.");
+            }
+            ["bucket", "file"].forEach((field) => {
+                if (s3[field] === undefined) {
+                    throw new Error(`'s3.${field}' is mandatory when 'type' is 'vault/s3'.`);
+                }
+            });
+            if (!!s3.access_key_id !== !!s3.secret_access_key) {
+                throw new Error("'s3.access_key_id' and 's3.secret_access_key' must be provided together.");
+            }
+            if (Object.prototype.hasOwnProperty.call(s3, "endpoint")) {
+                let url;
+                try {
+                    url = new URL(s3.endpoint);
+                } catch (err) {
+                    throw new Error(`'s3.endpoint' must be a URL, got '${s3.endpoint}'.`);
+                }
+                if (url.protocol !== "http:" && url.protocol !== "https:") {
+                    throw new Error("'s3.endpoint' must be an http:// or https:// URL.");
+                }
+            }
+            s3.onfail = normalizeOnfail(s3.onfail);
+        }
+    });
 
     //
-    // 7) intervals object checks
-    //    Must have: ok (0.01-0.45), error (0.01-0.3), default (>=0), buffer (0.05-0.8)
+    // 6) state
+    //    file defaults to '<tls.cert>.state.json'.
+    //    The directory must be writable, the state is replaced atomically.
     //
-    const { intervals } = config;
-    if (typeof intervals !== "object" || intervals === null) {
-        throw new Error("'intervals' must be an object.");
-    }
+    section("state", ["tls", "state"], () => {
+        const stateFile = (config.state && config.state.file) || `${config.tls.cert}.state.json`;
+        checkWritable(path.dirname(path.resolve(stateFile)), options, `No write permission to the directory of the state file: ${stateFile}`);
+    });
+
+    //
+    // 7) outputs
+    //    Every path is written by one output only, and its directory must be writable.
+    //    der holds exactly one of cert or key; pkcs12 needs cert and key, plus a 'password'.
+    //    mode defaults to 0600 if the key is in the file, 0644 otherwise.
+    //
+    section("outputs", ["tls", "outputs"], () => {
+        if (Object.prototype.hasOwnProperty.call(config, "outputs")) {
+            const seen = new Set([path.resolve(config.tls.cert), path.resolve(config.tls.key)]);
+            config.outputs.forEach((output, index) => {
+                const where = `outputs[${index}]`;
+                if (seen.has(path.resolve(output.path))) {
+                    throw new Error(`'${where}.path' (${output.path}) is already written by 'tls' or another output.`);
+                }
+                seen.add(path.resolve(output.path));
+                checkWritable(path.dirname(path.resolve(output.path)), options, `No write permission to the directory of '${where}.path': ${output.path}`);
+
+                if (output.format === "der" && (output.contents.length !== 1 || !["cert", "key"].includes(output.contents[0]))) {
+                    throw new Error(`'${where}': the der format holds exactly one object, 'contents' must be ["cert"] or ["key"].`);
+                }
+                if (output.format === "pkcs12") {
+                    if (!output.contents.includes("key") || !(output.contents.includes("cert") || output.contents.includes("fullchain"))) {
+                        throw new Error(`'${where}': a pkcs12 output must contain the key and the certificate.`);
+                    }
+                    if (output.password === undefined) {
+                        throw new Error(`'${where}.password' is mandatory for pkcs12 (it can be empty).`);
+                    }
+                }
+
+                normalizeMode(output, output.contents.includes("key") ? 0o600 : 0o644);
+                normalizeOwner(output, where);
+            });
+        }
+    });
+
+    //
+    // 8) verify
+    //    ca defaults to 'tls.ca', and must be readable when the chain is verified.
+    //
+    section("verify", ["tls", "verify"], () => {
+        const { verify } = config;
+        if (verify.ca === undefined) {
+            verify.ca = config.tls.ca;
+        }
+        if (verify.chain) {
+            try {
+                fs.accessSync(path.resolve(verify.ca), fs.constants.R_OK);
+            } catch (err) {
+                throw new Error(`Can't read the trusted CA file for chain verification at: ${verify.ca}`);
+            }
+        }
+    });
+
+    //
+    // 9) revoke: 'onfail: true' means the default retries.
+    //
+    section("revoke", ["revoke"], () => {
+        config.revoke.onfail = normalizeOnfail(config.revoke.onfail);
+    });
 
-    function checkRange(field, val, min, max, inclusive = true) {
-        if (typeof val !== "number") {
-            throw new Error(`'intervals.${field}' must be a number.`);
+    //
+    // 10) notify: what every notifier type needs.
+    //     webhook: url. smtp: host, from, to; port defaults by 'secure'. sns: topic_arn.
+    //     URLs are http(s), access_key_id and secret_access_key go together.
+    //
+    section("notify", ["notify"], () => {
+        if (config.notify === undefined) {
+            return;
         }
-        if (inclusive) {
-            if (val < min || val > max) {
-                throw new Error(`'intervals.${field}' must be in range [${min}, ${max}]. Got ${val}.`);
+        const needs = { webhook: ["url"], smtp: ["host", "from", "to"], sns: ["topic_arn"] };
+        const checkUrl = (value, where) => {
+            let url;
+            try {
+                url = new URL(value);
+            } catch (err) {
+                throw new Error(`'${where}' must be a URL, got '${value}'.`);
+            }
+            if (url.protocol !== "http:" && url.protocol !== "https:") {
+                throw new Error(`'${where}' must be an http:// or https:// URL.`);
+            }
+        };
+        config.notify.notifiers.forEach((notifier, index) => {
+            const where = `notify.notifiers[${index}]`;
+            needs[notifier.type].forEach((field) => {
+                if (notifier[field] === undefined) {
+                    throw new Error(`'${where}.${field}' is mandatory for a ${notifier.type} notifier.`);
+                }
+            });
+            if (notifier.url !== undefined) {
+                checkUrl(notifier.url, `${where}.url`);
+            }
+            if (notifier.endpoint !== undefined) {
+                checkUrl(notifier.endpoint, `${where}.endpoint`);
+            }
+            if (notifier.type === "smtp" && notifier.port === undefined) {
+                notifier.port = notifier.secure ? 465 : 587;
+            }
+            if (notifier.username !== undefined && notifier.password === undefined) {
+                throw new Error(`'${where}.password' is mandatory with 'username'.`);
+            }
+            if (!!notifier.access_key_id !== !!notifier.secret_access_key) {
+                throw new Error(`'${where}.access_key_id' and '${where}.secret_access_key' must be provided together.`);
             }
+            if (notifier.ca !== undefined) {
+                try {
+                    fs.accessSync(notifier.ca, fs.constants.R_OK);
+                } catch (err) {
+                    throw new Error(`'${where}.ca' is not readable: ${notifier.ca}`);
+                }
+            }
+        });
+    });
+
+    //
+    // 11) key: 'curve' goes with ec (default P-256), 'bits' with rsa (default 2048).
+    //
+    section("key", ["key"], () => {
+        const { key } = config;
+        if (key === undefined) {
+            return;
+        }
+        if (key.type === "ec") {
+            if (key.bits !== undefined) {
+                throw new Error("'key.bits' is for rsa keys, use 'key.curve' for ec.");
+            }
+            key.curve = key.curve || "P-256";
         } else {
-            if (val <= min || val >= max) {
-                throw new Error(`'intervals.${field}' must be in range (${min}, ${max}). Got ${val}.`);
+            if (key.curve !== undefined) {
+                throw new Error("'key.curve' is for ec keys, use 'key.bits' for rsa.");
             }
+            key.bits = key.bits || 2048;
         }
-    }
+    });
+}
 
-    if (!Object.prototype.hasOwnProperty.call(intervals, "ok")) {
-        throw new Error("Missing 'intervals.ok'.");
-    }
-    checkRange("ok", intervals.ok, 0.01, 0.45);
+/**
+ * The checks of the process-wide settings that the schema can't express.
+ * @param {object} config
+ * @param {object} checks - From collectErrors().
+ * @param {object} options - From validateConfig().
+ */
+function validateGlobalConfig(config, checks, options) {
+    //
+    // metrics: "host:port" or ":port" (all interfaces) is split into 'host' and 'port'.
+    //
+    checks.section("metrics", ["metrics"], () => {
+        const { metrics } = config;
+        if (metrics !== undefined) {
+            const match = /^(.*):(\d{1,5})$/.exec(metrics.listen);
+            const port = Number(match[2]);
+            if (port < 1 || port > 65535) {
+                throw new Error(`'metrics.listen' port must be in range 1-65535, got ${port}.`);
+            }
+            metrics.host = match[1].replace(/^\[|\]$/g, "") || "0.0.0.0";
+            metrics.port = port;
+        }
+    });
 
-    if (!Object.prototype.hasOwnProperty.call(intervals, "error")) {
-        throw new Error("Missing 'intervals.error'.");
-    }
-    checkRange("error", intervals.error, 0.01, 0.3);
+    //
+    // control: the socket goes into a writable directory and may only replace
+    // a socket (one left behind by a crash). mode defaults to 0600.
+    //
+    checks.section("control", ["control"], () => {
+        const { control } = config;
+        if (control !== undefined) {
+            checkWritable(path.dirname(control.socket), options, `The directory of 'control.socket' is not writable: ${path.dirname(control.socket)}`);
+            const stat = fs.lstatSync(control.socket, { throwIfNoEntry: false });
+            if (stat && !stat.isSocket()) {
+                throw new Error(`'control.socket' exists and is not a socket: ${control.socket}`);
+            }
+            normalizeMode(control, 0o600);
+            normalizeOwner(control, "control");
+        }
+    });
 
-    if (!Object.prototype.hasOwnProperty.call(intervals, "default")) {
-        throw new Error("Missing 'intervals.default'.");
-    }
-    if (typeof intervals.default !== "number" || intervals.default < 0) {
-        throw new Error("'intervals.default' must be a number >= 0.");
+    //
+    // logging: file sinks need a 'path' in a writable directory.
+    //
+    checks.section("logging", ["logging"], () => {
+        const { logging } = config;
+        if (logging !== undefined) {
+            logging.sinks.forEach((sink, i) => {
+                const where = `logging.sinks[${i}]`;
+                if (sink.type !== "file") {
+                    return;
+                }
+                if (sink.path === undefined) {
+                    throw new Error(`'${where}.path' is mandatory for file sinks.`);
+                }
+                checkWritable(path.dirname(sink.path), options, `The directory of '${where}.path' is not writable: ${path.dirname(sink.path)}`);
+            });
+        }
+    });
+}
+
+function isPlainObject(val) {
+    return typeof val === "object" && val !== null && !Array.isArray(val);
+}
+
+/**
+ * Merges the shared top-level settings into one 'certificates' entry.
+ * Objects (vault, intervals, ...) are merged one level deep so an entry can
+ * override a single field; everything else in the entry replaces the shared value.
+ * @param {object} shared - The top-level config without 'certificates'.
+ * @param {object} entry - One element of 'certificates'.
+ * @returns {object} A new, standalone single-certificate config.
+ */
+function mergeEntry(shared, entry) {
+    const merged = structuredClone(shared);
+    GLOBAL_FIELDS.forEach((field) => delete merged[field]);
+    delete merged.$schema;
+    Object.entries(structuredClone(entry)).forEach(([key, value]) => {
+        if (isPlainObject(value) && isPlainObject(merged[key])) {
+            merged[key] = { ...merged[key], ...value };
+        } else {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+/**
+ * Validates the configuration and fills in the defaults. A config either
+ * describes one certificate, or carries a 'certificates' array whose entries
+ * inherit the top-level settings. In the latter case every entry is replaced
+ * by its merged, validated form.
+ *
+ * The shape of every field is described by schema/config.schema.json: types,
+ * ranges, mandatory fields and defaults. Keys the schema doesn't know are
+ * warnings, or errors with 'strict'.
+ * @param {object} config
+ * @param {object} [options]
+ * @param {boolean} [options.strict] - Reject unknown keys.
+ * @param {boolean} [options.readOnly] - Skip the write permission checks, for commands that only read.
+ * @returns {string[]} Warnings: the unknown keys, when not 'strict'.
+ * @throws {ConfigError} Listing every problem found, and the warnings.
+ */
+function validateConfig(config, options = {}) {
+    if (!isPlainObject(config)) {
+        throw new ConfigError(["The config must be a JSON object."]);
     }
+    const multi = Object.prototype.hasOwnProperty.call(config, "certificates");
+    // Entries are merged from what was written, not from values the schema filled in.
+    const written = multi ? structuredClone(config) : null;
 
-    if (!Object.prototype.hasOwnProperty.call(intervals, "buffer")) {
-        throw new Error("Missing 'intervals.buffer'.");
+    //
+    // The schema first: every type, range and missing field at once.
+    //
+    const { errors, unknown } = validate(schema, config, { defaults: true });
+    const problems = options.strict ? [...errors, ...unknown] : errors;
+    const warnings = options.strict ? [] : unknown.map((problem) => problem.message);
+    const failed = problems.map((problem) => fieldOf(problem.path));
+
+    const checks = collectErrors(failed, warnings);
+    problems.forEach((problem) => checks.errors.push(problem.message));
+    validateGlobalConfig(config, checks, options);
+
+    if (!multi) {
+        validateCertificateConfig(config, checks, options);
+        checks.throwIfAny();
+        return warnings;
+    }
+    if (failed.includes("certificates") && !Array.isArray(config.certificates)) {
+        checks.throwIfAny();
     }
-    checkRange("buffer", intervals.buffer, 0.05, 0.8);
 
     //
-    // If we reach here, we consider the config valid:
+    // 'certificates': each entry has a unique 'name' (letters, digits, '.', '_', '-')
+    // used as the log prefix, and is checked once merged with the top-level settings.
     //
-    return true;
+    const { certificates, ...shared } = written;
+    const sharedFailed = failed.filter((field) => field !== "certificates");
+    const names = new Set();
+    const files = new Map();
+    config.certificates = certificates.map((entry, index) => {
+        const prefix = `certificates[${index}]`;
+        const entryFailed = problems
+            .filter((problem) => problem.path === prefix || problem.path.startsWith(`${prefix}.`))
+            .map((problem) => fieldOf(problem.path.slice(prefix.length + 1)));
+        if (!isPlainObject(entry) || entryFailed.includes("") || entryFailed.includes("name")) {
+            return entry;
+        }
+        if (names.has(entry.name)) {
+            checks.errors.push(`Duplicate certificate name '${entry.name}' in 'certificates'.`);
+            return entry;
+        }
+        names.add(entry.name);
+
+        const merged = mergeEntry(shared, entry);
+        const entryChecks = collectErrors([...sharedFailed, ...entryFailed]);
+        // Only the merged entry tells whether something mandatory is missing.
+        validate(schema, merged, { ref: "#/definitions/complete" }).errors.forEach((problem) => {
+            entryChecks.fail(fieldOf(problem.path), problem.message);
+        });
+        validate(schema, merged, { ref: "#/definitions/certificate", defaults: true });
+        validateCertificateConfig(merged, entryChecks, options);
+        entryChecks.errors.forEach((message) => checks.errors.push(`${prefix} (${entry.name}): ${message}`));
+        if (entryChecks.errors.length > 0 || entryFailed.length > 0) {
+            return merged;
+        }
+
+        // Two state machines must never write the same file.
+        const stateFile = (merged.state && merged.state.file) || `${merged.tls.cert}.state.json`;
+        const paths = [merged.tls.cert, merged.tls.key, stateFile, ...(merged.outputs || []).map((o) => o.path)];
+        [...new Set(paths.map((file) => path.resolve(file)))].forEach((resolved) => {
+            if (files.has(resolved)) {
+                checks.errors.push(`${prefix} (${entry.name}) writes to ${resolved}, which is already used by '${files.get(resolved)}'.`);
+            } else {
+                files.set(resolved, entry.name);
+            }
+        });
+        return merged;
+    });
+
+    checks.throwIfAny();
+    return warnings;
 }
 
-module.exports = validateConfig;
\ No newline at end of file
+module.exports = validateConfig;
+module.exports.ConfigError = ConfigError;
+module.exports.collectErrors = collectErrors;
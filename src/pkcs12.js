@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+const asn1 = require("./asn1.js");
+
+const OID = {
+    data: "1.2.840.113549.1.7.1",
+    certBag: "1.2.840.113549.1.12.10.1.3",
+    pkcs8ShroudedKeyBag: "1.2.840.113549.1.12.10.1.2",
+    x509Certificate: "1.2.840.113549.1.9.22.1",
+    friendlyName: "1.2.840.113549.1.9.20",
+    localKeyId: "1.2.840.113549.1.9.21",
+    sha256: "2.16.840.1.101.3.4.2.1"
+};
+
+const MAC_ITERATIONS = 2048;
+
+/**
+ * The PKCS#12 key derivation function (RFC 7292, appendix B.2) with SHA-256.
+ * Still required for the MAC, even when the bags use PBES2.
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {number} id - 1 = key, 2 = IV, 3 = MAC key.
+ * @param {number} iterations
+ * @param {number} length - Bytes of output.
+ * @returns {Buffer}
+ */
+function pkcs12Kdf(password, salt, id, iterations, length) {
+    const u = 32;
+    const v = 64;
+    // The password is a BMPString with a trailing NUL.
+    const pass = Buffer.from(password + "\0", "utf16le").swap16();
+
+    const fill = (buf) => {
+        if (buf.length === 0) {
+            return buf;
+        }
+        const out = Buffer.alloc(v * Math.ceil(buf.length / v));
+        for (let i = 0; i < out.length; i++) {
+            out[i] = buf[i % buf.length];
+        }
+        return out;
+    };
+
+    const D = Buffer.alloc(v, id);
+    const I = Buffer.concat([fill(salt), fill(pass)]);
+    const blocks = [];
+
+    for (let n = 0; n < Math.ceil(length / u); n++) {
+        let A = crypto.createHash("sha256").update(D).update(I).digest();
+        for (let r = 1; r < iterations; r++) {
+            A = crypto.createHash("sha256").update(A).digest();
+        }
+        blocks.push(A);
+
+        const B = fill(A);
+        for (let j = 0; j < I.length; j += v) {
+            // I_j = (I_j + B + 1) mod 2^(v*8)
+            let carry = 1;
+            for (let k = v - 1; k >= 0; k--) {
+                const sum = I[j + k] + B[k] + carry;
+                I[j + k] = sum & 0xff;
+                carry = sum >> 8;
+            }
+        }
+    }
+    return Buffer.concat(blocks).subarray(0, length);
+}
+
+function bag(bagId, value, attributes) {
+    return asn1.sequence(
+        asn1.oid(bagId),
+        asn1.contextTag(0, value),
+        asn1.setOf(attributes.map(([attrId, attrValue]) => asn1.sequence(asn1.oid(attrId), asn1.set(attrValue))))
+    );
+}
+
+function dataContentInfo(content) {
+    return asn1.sequence(asn1.oid(OID.data), asn1.contextTag(0, asn1.octetString(content)));
+}
+
+/**
+ * Builds a password-protected PKCS#12 (PFX) file, as Java keystores and
+ * Windows expect. The key is encrypted with PBES2 (AES-256-CBC, PBKDF2),
+ * the file is integrity-protected with an HMAC-SHA256 MAC.
+ *
+ * @param {object} options
+ * @param {string} options.certificate - The leaf certificate (PEM).
+ * @param {string} options.privateKey - Its private key (PEM).
+ * @param {string[]} [options.chain] - CA certificates (PEM), issuer first.
+ * @param {string} options.password - May be empty, but not missing.
+ * @param {string} [options.friendlyName] - Alias shown by keytool.
+ * @returns {Buffer} The DER-encoded PFX.
+ */
+function buildPkcs12({ certificate, privateKey, chain = [], password, friendlyName }) {
+    const leaf = new crypto.X509Certificate(certificate).raw;
+    const localKeyId = crypto.createHash("sha1").update(leaf).digest();
+
+    const leafAttributes = [[OID.localKeyId, asn1.octetString(localKeyId)]];
+    if (friendlyName) {
+        leafAttributes.push([OID.friendlyName, asn1.bmpString(friendlyName)]);
+    }
+
+    const certBags = [
+        bag(OID.certBag, asn1.sequence(asn1.oid(OID.x509Certificate), asn1.contextTag(0, asn1.octetString(leaf))), leafAttributes),
+        ...chain.map((pem) => {
+            const der = new crypto.X509Certificate(pem).raw;
+            return bag(OID.certBag, asn1.sequence(asn1.oid(OID.x509Certificate), asn1.contextTag(0, asn1.octetString(der))), []);
+        })
+    ];
+
+    const encryptedKey = crypto.createPrivateKey(privateKey).export({
+        type: "pkcs8",
+        format: "der",
+        cipher: "aes-256-cbc",
+        passphrase: password
+    });
+    const keyBag = bag(OID.pkcs8ShroudedKeyBag, encryptedKey, leafAttributes);
+
+    const authenticatedSafe = asn1.sequence(
+        dataContentInfo(asn1.sequence(...certBags)),
+        dataContentInfo(asn1.sequence(keyBag))
+    );
+
+    const salt = crypto.randomBytes(16);
+    const macKey = pkcs12Kdf(password, salt, 3, MAC_ITERATIONS, 32);
+    const mac = crypto.createHmac("sha256", macKey).update(authenticatedSafe).digest();
+
+    return asn1.sequence(
+        asn1.integer(3),
+        dataContentInfo(authenticatedSafe),
+        asn1.sequence(
+            asn1.sequence(asn1.sequence(asn1.oid(OID.sha256), asn1.nullValue()), asn1.octetString(mac)),
+            asn1.octetString(salt),
+            asn1.integer(MAC_ITERATIONS)
+        )
+    );
+}
+
+module.exports = { buildPkcs12 };
@@ -0,0 +1,74 @@
+const { systemClock } = require("./clock.js");
+
+// Pending retry delays, cut short by a shutdown.
+const waits = new Set();
+// Set once a shutdown begins: no more retries.
+let cancelled = false;
+// Retries that didn't run because of it.
+let skipped = 0;
+
+/**
+ * How long to wait before the next attempt of a retried step ('onfail').
+ * The delay starts at 'retry_every' and is multiplied by 'backoff' after every
+ * failed attempt, up to 'max_delay'. 'jitter' takes a random share of up to
+ * that fraction off, so retries of many hosts don't stay in lockstep.
+ * @param {{retry_every: number, backoff?: number, max_delay?: number, jitter?: number}} onfail
+ * @param {number} attempt - The attempt that just failed, starting at 1.
+ * @returns {number} The delay in ms.
+ */
+function retryDelay(onfail, attempt) {
+    const grown = onfail.retry_every * Math.pow(onfail.backoff || 1, attempt - 1);
+    const capped = onfail.max_delay ? Math.min(grown, onfail.max_delay) : grown;
+    return Math.round(capped * (1 - (onfail.jitter || 0) * Math.random()));
+}
+
+/**
+ * Waits before a retry, or until a shutdown begins. Check retriesCancelled()
+ * afterwards.
+ * @param {number} ms
+ * @param {object} [clock] - See clock.js.
+ * @returns {Promise<void>}
+ */
+function retryWait(ms, clock = systemClock) {
+    if (cancelled) {
+        skipped++;
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+        const pending = { resolve, clock, timer: null };
+        pending.timer = clock.setTimeout(() => {
+            waits.delete(pending);
+            resolve();
+        }, ms);
+        waits.add(pending);
+    });
+}
+
+/**
+ * For a shutdown: cuts pending retry delays short, no more retries after that.
+ */
+function cancelRetries() {
+    cancelled = true;
+    skipped += waits.size;
+    waits.forEach((pending) => {
+        pending.clock.clearTimeout(pending.timer);
+        pending.resolve();
+    });
+    waits.clear();
+}
+
+/**
+ * @returns {boolean} A shutdown began, nothing is to be retried.
+ */
+function retriesCancelled() {
+    return cancelled;
+}
+
+/**
+ * @returns {number} How many retries a shutdown cut short.
+ */
+function skippedRetries() {
+    return skipped;
+}
+
+module.exports = { retryDelay, retryWait, cancelRetries, retriesCancelled, skippedRetries };
@@ -0,0 +1,88 @@
+const logger = require("./logger.js");
+const { revokeCertificate } = require("./vault/index.js");
+const { normalizeSerial } = require("./state.js");
+const { retryDelay } = require("./retry.js");
+
+/**
+ * Vault wants serials as "1a:2b:...", a bundle read from disk has "1A2B...".
+ * @param {string} serial
+ * @returns {string}
+ */
+function vaultSerial(serial) {
+    const hex = normalizeSerial(serial).toLowerCase();
+    return (hex.length % 2 ? "0" + hex : hex).match(/../g).join(":");
+}
+
+/**
+ * Revokes one pending entry in the background, with the 'revoke.onfail'
+ * retries. The entry stays in 'current.pending_revocations' (and so in the
+ * state file) until it is revoked or the retries run out.
+ * @param {object} current
+ * @param {object} config
+ * @param {{serial_number: string, expiration: number, reason: string}} entry
+ */
+async function drain(current, config, entry) {
+    const log = logger.forCertificate(config.name);
+    const onfail = config.revoke.onfail;
+    const fields = { serial: entry.serial_number, reason: entry.reason };
+
+    for (let attempt = 1; ; attempt++) {
+        // Revoking an expired certificate is pointless, vault drops them from the CRL anyway.
+        if (entry.expiration * 1000 <= Date.now()) {
+            log.info(`Not revoking ${entry.serial_number}, it has expired.`, { event: "revoke_skipped", ...fields });
+            break;
+        }
+        try {
+            await revokeCertificate(config, vaultSerial(entry.serial_number));
+            log.info(`Revoked the ${entry.reason} certificate ${entry.serial_number}.`, { event: "revoked", attempt, ...fields });
+            break;
+        } catch (e) {
+            log.error(`Couldn't revoke ${entry.serial_number}: ${e.message}`, {
+                event: "revoke_failed",
+                attempt,
+                error: e.message,
+                ...fields
+            });
+            if (attempt >= onfail.retry_num) {
+                log.error(`Giving up on revoking ${entry.serial_number} after ${attempt} attempts.`, { event: "revoke_gave_up", ...fields });
+                break;
+            }
+            // Never keep the process alive (or a shutdown waiting) just for this.
+            await new Promise((resolve) => setTimeout(resolve, retryDelay(onfail, attempt)).unref());
+        }
+    }
+    const pending = current.pending_revocations || [];
+    current.pending_revocations = pending.filter((other) => other !== entry);
+}
+
+/**
+ * Revokes a certificate that is no longer needed, if the 'revoke' policy asks
+ * for it. This never blocks or fails the rotation: it runs in the background
+ * and failures are only logged.
+ * @param {object} current
+ * @param {object} config
+ * @param {object} certData - The certificate to revoke.
+ * @param {string} reason - "replaced" (superseded by a rotation) or "unused" (fetched, never installed).
+ */
+function revokeLater(current, config, certData, reason) {
+    if (!certData || !certData.serial_number || !config.revoke.enabled || !config.revoke[reason]) {
+        return;
+    }
+    const entry = { serial_number: certData.serial_number, expiration: certData.expiration, reason };
+    current.pending_revocations = [...(current.pending_revocations || []), entry];
+    drain(current, config, entry);
+}
+
+/**
+ * Restarts the revocations a previous run left pending (from the state file).
+ * @param {object} current
+ * @param {object} config
+ */
+function resumeRevocations(current, config) {
+    if (!config.revoke.enabled) {
+        return;
+    }
+    (current.pending_revocations || []).forEach((entry) => drain(current, config, entry));
+}
+
+module.exports = { revokeLater, resumeRevocations, vaultSerial };
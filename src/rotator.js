@@ -0,0 +1,1016 @@
+const EventEmitter = require("events");
+const logger = require("./logger.js");
+const metrics = require("./metrics.js");
+const notify = require("./notify/index.js");
+const hooks = require("./hooks.js");
+const vault = require("./vault/index.js");
+const certFiles = require("./cert_files.js");
+const { deliverCertificate } = require("./delivery/index.js");
+const { verifyCertificate } = require("./verify.js");
+const { revokeLater, resumeRevocations } = require("./revoke.js");
+const { systemClock } = require("./clock.js");
+const { describeKey, nextKey, buildRequest, exportKey } = require("./keys.js");
+const { requestOf, sameRequest } = require("./state.js");
+
+// status => the transition that runs in it.
+const TRANSITIONS = {
+    start: "issueFirst",
+    ok: "renew",
+    error: "recover"
+};
+
+// What a Rotator emits, see announce(). 'fatal' (with the Error) comes on top.
+const EVENTS = ["issued", "replaced", "rolled_back", "fetch_failed", "error", "recovered", "expiring", "expired"];
+
+// The 'notify.expiry_warning_ms' default, for 'expiring' without a 'notify' section.
+const EXPIRY_WARNING_MS = 604800000;
+
+/**
+ * The expiration of a certificate as an ISO string, for structured log fields.
+ * @param {object} certData - The certificate data object.
+ * @returns {string|null}
+ */
+function expiresAt(certData) {
+    return certData && certData.expiration ? new Date(certData.expiration * 1000).toISOString() : null;
+}
+
+/**
+ * A certificate as the events carry it: the PEM material and when it expires.
+ * @param {object} [certData] - The certificate data object.
+ * @returns {object|null} serial, expires_at, certificate, private_key, issuing_ca and ca_chain.
+ */
+function pemOf(certData) {
+    if (!certData) {
+        return null;
+    }
+    return {
+        serial: certData.serial_number,
+        expires_at: expiresAt(certData),
+        certificate: certData.certificate,
+        private_key: certData.private_key,
+        issuing_ca: certData.issuing_ca,
+        ca_chain: certData.ca_chain || []
+    };
+}
+
+/**
+ * The state machine of one certificate. Its state ('current') is what the
+ * state file holds: status, active_cert, second_cert (the backup), ...
+ *
+ *   start --issueFirst()--> ok      the first certificate is installed, 'onstart' ran
+ *   ok    --renew()-------> ok      a new backup is fetched; it replaces the active one
+ *                                   once that is within 'intervals.buffer' of its expiry
+ *   ok    --renew()-------> error   the fetch or the install failed, or 'onreplace' was rolled back
+ *   error --recover()-----> ok      a certificate was fetched again
+ *   error --recover()-----> error   still failing; the backup is swapped in if the active
+ *                                   one is about to expire
+ *
+ * A transition throws, and the process stops, only when the active
+ * certificate has expired or a hook failed for good.
+ *
+ * Time, vault, the filesystem and the hooks come in as dependencies, so the
+ * whole machine can run against fakes (see test/).
+ *
+ * Along the way it emits the EVENTS with {name, status, certificate, previous,
+ * error}, see announce(). 'error' is only emitted to a listener, as it means
+ * the "error" status here and not a thrown exception.
+ */
+class Rotator extends EventEmitter {
+    /**
+     * @param {object} current - The state, e.g. from restoreState().
+     * @param {object} config - The validated config of one certificate.
+     * @param {object} [deps]
+     * @param {object} [deps.clock] - now(), setTimeout() and clearTimeout(), see clock.js.
+     * @param {object} [deps.vault] - Has issueCertificate(config) and signCertificate(config, csr), see vault/index.js.
+     * @param {object} [deps.files] - writeCertificate(), restoreCertificate() and saveState(), see cert_files.js.
+     * @param {function(object, object): Promise<void>} [deps.runner] - Runs one attempt of a hook, see hooks.runAttempt().
+     * @param {function(string, object): Promise<void>} [deps.deliver] - Hands the bundle to the delivery targets.
+     * @param {boolean} [deps.dryRun] - Fetch and go through the transitions, but write, deliver and revoke nothing.
+     */
+    constructor(current, config, deps = {}) {
+        super();
+        this.current = current;
+        // The config for the next transition, reconfigure() swaps it.
+        this.config = config;
+        this.clock = deps.clock || systemClock;
+        this.vault = deps.vault || vault;
+        this.files = deps.files || certFiles;
+        this.runner = deps.runner;
+        this.deliver = deps.deliver || deliverCertificate;
+        this.dryRun = !!deps.dryRun;
+
+        this.timer = null;
+        // A transition is running ('running' is its promise).
+        this.busy = false;
+        this.running = null;
+        // A reload arrived during the transition, reschedule once it is done.
+        this.reloaded = false;
+        // pause(): transitions are not scheduled.
+        this.paused = false;
+        // Removed from the config, or shutting down: no timers anymore.
+        this.stopped = false;
+        this.stopping = false;
+        // Resolved when the next transition is done, see runNow().
+        this.waiting = [];
+        // Why the last fetch, install or replacement failed, for 'error'.
+        this.lastError = null;
+    }
+
+    get log() {
+        return logger.forCertificate(this.config.name);
+    }
+
+    /**
+     * Starts the state machine, either right away or after a delay (when
+     * resuming a restored state).
+     * @param {number} [delay] - Delay in ms before the first transition.
+     * @returns {Promise<void>|undefined} The first transition, when it runs right away.
+     */
+    start(delay = 0) {
+        this.checkExpiry();
+        metrics.updateState(this.config, this.current);
+        if (!this.dryRun) {
+            resumeRevocations(this.current, this.config);
+        }
+        if (delay > 0) {
+            return this.schedule(delay);
+        }
+        return this.tick();
+    }
+
+    /**
+     * step() with nobody awaiting it (a timer, start() or runNow()): a fatal
+     * error goes to the 'fatal' listeners. Without one it is thrown, and ends
+     * the process.
+     * @param {function(): Promise<void>} [transition] - See step().
+     * @returns {Promise<void>}
+     */
+    tick(transition) {
+        return this.step(transition).catch((e) => {
+            if (this.listenerCount("fatal") === 0) {
+                throw e;
+            }
+            this.emit("fatal", e);
+        });
+    }
+
+    /**
+     * Runs one transition with the latest config, notifies about status
+     * changes, then applies a reload that arrived in the meantime.
+     * @param {function(): Promise<void>} [transition] - transition(), or what a control command runs instead.
+     * @returns {Promise<void>}
+     * @throws What a transition throws (fatal), unless we are shutting down.
+     */
+    async step(transition = () => this.transition()) {
+        this.timer = null;
+        this.busy = true;
+        this.lastError = null;
+        const waiting = this.waiting.splice(0);
+        const { current } = this;
+        const before = current.status;
+        try {
+            this.running = transition();
+            await this.running;
+            if (current.status === "error" && before !== "error") {
+                this.announce("error", { certData: current.active_cert, error: this.lastError || undefined });
+            } else if (current.status === "ok" && before === "error") {
+                this.announce("recovered", { certData: current.active_cert });
+            }
+            this.checkExpiry();
+        } catch (e) {
+            if (!this.stopping) {
+                // The process is about to die, let the alerts about it get out first.
+                await notify.settled(10000);
+                throw e;
+            }
+            this.log.error(`Transition interrupted by the shutdown: ${e.message}`, {
+                event: "interrupted",
+                status: current.status,
+                error: e.message
+            });
+        } finally {
+            this.busy = false;
+            this.running = null;
+            waiting.forEach((resolve) => resolve());
+        }
+        if (this.reloaded && !this.stopped) {
+            this.reloaded = false;
+            this.reschedule();
+        }
+    }
+
+    /**
+     * The transition of the current status.
+     * @returns {Promise<void>}
+     * @throws On an unknown status, or what the transition throws.
+     */
+    async transition() {
+        const { status } = this.current;
+        this.log.info(`Entering main function with status: "${status}"`, { event: "transition", status });
+        if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, status)) {
+            this.log.error(`Unknown status: "${status}". Aborting.`, { event: "unknown_status", status });
+            throw new Error(`Unknown status: ${status}`);
+        }
+        return this[TRANSITIONS[status]]();
+    }
+
+    /**
+     * "start": obtains, installs and announces ('onstart') the first certificate.
+     * @returns {Promise<void>}
+     * @throws If the 'onstart' commands fail.
+     */
+    async issueFirst() {
+        const { current, config, log } = this;
+        log.info("Status is 'start'. Attempting to obtain the first certificate...");
+        const retryTime = config.intervals.default;
+
+        let certData;
+        try {
+            certData = await this.fetch();
+        } catch (e) {
+            log.error("The initial certificate was not obtained. Likely configuration error.", { event: "start_failed", status: current.status });
+            return this.retryIn(retryTime);
+        }
+
+        current.active_cert = certData;
+        current.second_cert = null;
+        delete current.replace_now;
+        try {
+            await this.install(certData);
+        } catch (e) {
+            log.error(`Couldn't install the initial certificate: ${e.message}`, { event: "install_failed", serial: certData.serial_number, error: e.message });
+            return this.retryIn(retryTime);
+        }
+
+        try {
+            log.info("Running 'onstart' commands (with retry logic)...", { event: "hooks_started", hook: "onstart" });
+            await this.runHooks("onstart", { certData });
+        } catch (e) {
+            log.error(`Fatal error in 'onstart' commands: ${e.message}`, { event: "hooks_exhausted", hook: "onstart", error: e.message });
+            throw e;
+        }
+        this.renewAt(certData, "Certificate obtained.", "installed");
+        this.announce("replaced", { certData });
+    }
+
+    /**
+     * "ok": fetches the next certificate, which becomes the backup or, when
+     * the active one is due, replaces it.
+     * @returns {Promise<void>}
+     * @throws If 'onreplace' fails for good.
+     */
+    async renew() {
+        const { current, log } = this;
+        log.info("Status is 'ok'. Attempting to obtain a new certificate in background...");
+        const retryTime = this.retryTime();
+
+        let certData;
+        try {
+            certData = await this.fetch();
+        } catch (e) {
+            log.error("Failed to obtain new certificate. Likely configuration error.", { event: "renewal_failed", status: "error" });
+            current.status = "error";
+            return this.retryIn(retryTime);
+        }
+        if (await this.keep(certData, retryTime)) {
+            this.renewAt(certData, "New certificate obtained.", "renewed");
+        }
+    }
+
+    /**
+     * "error": tries to fetch again. While that keeps failing, the backup is
+     * swapped in once the active certificate is about to expire.
+     * @returns {Promise<void>}
+     * @throws If the active certificate has expired, or 'onreplace' fails for good.
+     */
+    async recover() {
+        const { current, config, log } = this;
+        log.info("Status is 'error'. Attempting to recover and obtain a new certificate...");
+
+        // If the active certificate is already expired, we have no fallback
+        if (current.active_cert.expiration * 1000 < this.clock.now()) {
+            log.error("The active certificate has expired. Cannot proceed.", {
+                event: "expired",
+                serial: current.active_cert.serial_number,
+                expires_at: expiresAt(current.active_cert)
+            });
+            this.announce("expired", { certData: current.active_cert });
+            throw new Error("Last certificate has expired, aborting.");
+        }
+        const retryTime = this.retryTime();
+
+        let certData;
+        try {
+            certData = await this.fetch();
+        } catch (e) {
+            log.error("Failed to obtain certificate while in error state.", { event: "recovery_failed", status: "error" });
+            if (this.dueForReplacement() && current.second_cert) {
+                log.info("Swapping to the backup certificate since the active one is about to expire.", {
+                    event: "swap_to_backup",
+                    serial: current.second_cert.serial_number,
+                    previous_serial: current.active_cert.serial_number
+                });
+                if (!(await this.promote(retryTime))) {
+                    return;
+                }
+            }
+            return this.retryIn(retryTime);
+        }
+        if (await this.keep(certData, retryTime)) {
+            this.renewAt(certData, "Successfully recovered from error state! [ERROR:RESOLVED]", "recovered");
+        }
+    }
+
+    /**
+     * Keeps a freshly fetched certificate as the backup, and promotes it right
+     * away if the active one is due for replacement.
+     * @param {object} certData
+     * @param {number} retryTime - Delay in ms before a retry.
+     * @returns {Promise<boolean>} false if the replacement failed (the retry is scheduled then).
+     */
+    async keep(certData, retryTime) {
+        const { current, log } = this;
+        // The previous spare was never installed, and now never will be.
+        this.retire(current.second_cert, "unused");
+        current.second_cert = certData;
+
+        if (!this.dueForReplacement() && !current.replace_now) {
+            return true;
+        }
+        let reason = "The active certificate is close to expiration. Replacing with new certificate now.";
+        if (current.replace_now === "requested") {
+            reason = "A rotation was requested. Replacing with the newly obtained certificate.";
+        } else if (current.replace_now) {
+            reason = "The certificate request changed. Replacing with the newly obtained certificate.";
+        }
+        log.info(reason, {
+            event: "replace_started",
+            serial: certData.serial_number,
+            previous_serial: current.active_cert.serial_number,
+            expires_at: expiresAt(current.active_cert)
+        });
+        return this.promote(retryTime);
+    }
+
+    /**
+     * Installs the backup certificate ('second_cert') in place of the active
+     * one and runs 'onreplace'.
+     * @param {number} retryTime - Delay in ms before a retry.
+     * @returns {Promise<boolean>} true once it is active and the hooks succeeded. false if
+     *     the install failed or the hooks were rolled back; the retry is scheduled then.
+     * @throws If 'onreplace' fails for good.
+     */
+    async promote(retryTime) {
+        const { current, log } = this;
+        const previous = current.active_cert;
+        const backup = current.second_cert;
+        try {
+            await this.install(backup, previous);
+        } catch (e) {
+            log.error(`Couldn't install new certificate: ${e.message}`, { event: "install_failed", serial: backup.serial_number, error: e.message });
+            this.lastError = e.message;
+            current.status = "error";
+            this.retryIn(retryTime);
+            return false;
+        }
+        current.active_cert = backup;
+        current.second_cert = null;
+        delete current.replace_now;
+        return this.runOnreplace(previous, retryTime);
+    }
+
+    /**
+     * Runs the 'onreplace' commands after a new certificate was installed.
+     * If they exhaust their retries and 'rollback' is enabled, the previous
+     * certificate is restored and we go to "error" with a retry scheduled.
+     * @param {object} previous - The certificate data that was active before.
+     * @param {number} retryTime - Delay in ms before the retry, unless 'rollback.retry_every' is set.
+     * @returns {Promise<boolean>} true if the commands succeeded, false if we rolled back.
+     * @throws If rollback is disabled, or after 'rollback.give_up_after' failures in a row.
+     */
+    async runOnreplace(previous, retryTime) {
+        const { current, config, log } = this;
+        try {
+            log.info("Running 'onreplace' commands (with retry logic)...", { event: "hooks_started", hook: "onreplace" });
+            await this.runHooks("onreplace", { certData: current.active_cert, previous });
+            current.failed_replacements = 0;
+            this.retire(previous, "replaced");
+            this.announce("replaced", { certData: current.active_cert, previous });
+            return true;
+        } catch (e) {
+            log.error(`Fatal error in 'onreplace' commands: ${e.message}`, { event: "hooks_exhausted", hook: "onreplace", error: e.message });
+            this.lastError = e.message;
+            if (!config.rollback.enabled || this.stopping) {
+                throw e;
+            }
+
+            current.failed_replacements = (current.failed_replacements || 0) + 1;
+            await this.rollback(previous);
+
+            if (current.failed_replacements >= config.rollback.give_up_after) {
+                log.error(`Replacing the certificate failed ${current.failed_replacements} times in a row. Giving up.`, {
+                    event: "rollback_gave_up",
+                    failed_replacements: current.failed_replacements
+                });
+                throw e;
+            }
+
+            const delay = config.rollback.retry_every || retryTime;
+            const retry = this.scheduling() ? ` Retrying in ${Math.round(delay / 1000)} seconds.` : "";
+            log.info(`Rolled back (${current.failed_replacements}/${config.rollback.give_up_after}).${retry}`, {
+                event: "rollback_completed",
+                serial: previous.serial_number,
+                failed_replacements: current.failed_replacements
+            });
+            current.status = "error";
+            this.schedule(delay);
+            return false;
+        }
+    }
+
+    /**
+     * Rolls back to the previous certificate: restores its files, delivers it
+     * again (best effort) and runs the 'onrollback' commands. The certificate that
+     * failed stays around as 'second_cert'.
+     * @param {object} previous - The certificate data that was active before.
+     * @returns {Promise<void>}
+     */
+    async rollback(previous) {
+        const { current, config, log } = this;
+        log.info(`Rolling back to the previous certificate (serial ${previous.serial_number}).`, {
+            event: "rollback_started",
+            serial: previous.serial_number,
+            failed_serial: current.active_cert.serial_number
+        });
+
+        if (!this.dryRun) {
+            this.files.restoreCertificate(previous, config, log);
+        }
+        current.second_cert = current.active_cert;
+        current.active_cert = previous;
+
+        if (!this.dryRun) {
+            try {
+                await this.deliver(certFiles.buildBundle(previous), config);
+            } catch (e) {
+                log.error(`Couldn't deliver the previous certificate again: ${e.message}`, { event: "rollback_delivery_failed", error: e.message });
+            }
+        }
+
+        try {
+            log.info("Running 'onrollback' commands (with retry logic)...", { event: "hooks_started", hook: "onrollback" });
+            await this.runHooks("onrollback", { certData: previous, previous: current.second_cert });
+        } catch (e) {
+            log.error(`Error in 'onrollback' commands: ${e.message}`, { event: "hooks_exhausted", hook: "onrollback", error: e.message });
+        }
+        this.announce("rolled_back", { certData: previous, previous: current.second_cert });
+    }
+
+    /**
+     * Fetches a certificate from the vault and verifies it before anyone gets to use it.
+     * A certificate that fails verification is revoked (per the 'revoke' policy).
+     * @returns {Promise<object>} The certificate data.
+     * @throws If the fetch fails or the certificate does not pass verification.
+     */
+    async fetch() {
+        const { current, config, log } = this;
+        log.info("Fetching certificate from vault...", { event: "fetch_started" });
+        let certData;
+        try {
+            certData = config.key ? await this.sign() : await this.vault.issueCertificate(config);
+        } catch (e) {
+            log.error(`Certificate fetch failed: ${e.message}`, {
+                event: "fetch_failed",
+                error: e.message,
+                error_type: e.name,
+                status_code: e.status
+            });
+            metrics.fetchFailed(config);
+            this.lastError = e.message;
+            this.announce("fetch_failed", { error: e.message });
+            throw e;
+        }
+        log.info("Certificate fetch successful!", {
+            event: "fetch_succeeded",
+            serial: certData.serial_number,
+            expires_at: expiresAt(certData)
+        });
+
+        try {
+            verifyCertificate(certData, config, this.clock.now());
+        } catch (e) {
+            log.error(`The issued certificate failed verification: ${e.message}`, {
+                event: "verify_failed",
+                serial: certData.serial_number,
+                error: e.message
+            });
+            metrics.fetchFailed(config);
+            this.lastError = e.message;
+            this.announce("fetch_failed", { certData, error: e.message });
+            this.retire(certData, "unused");
+            throw e;
+        }
+        log.info(`Certificate verified (serial ${certData.serial_number}).`, {
+            event: "verify_succeeded",
+            serial: certData.serial_number,
+            expires_at: expiresAt(certData)
+        });
+        // Saved with it, for restoreState().
+        certData.request = requestOf(config);
+        metrics.fetchSucceeded(config);
+        this.announce("issued", { certData });
+        return certData;
+    }
+
+    /**
+     * Has vault sign a CSR for a local key (the 'key' setting), reusing the
+     * stored key while it has uses left.
+     * @returns {Promise<object>} The certificate data, with the local private key.
+     * @throws {VaultError}
+     */
+    async sign() {
+        const { current, config, log } = this;
+        const kind = describeKey(config.key);
+        const key = await nextKey(current, config.key);
+        if (key.reused) {
+            log.info(`Reusing the ${kind} key (certificate ${key.stored.uses} of ${config.key.max_uses}).`, { event: "key_reused", uses: key.stored.uses });
+        } else {
+            log.info(`Generated a new ${kind} key.`, { event: "key_generated" });
+        }
+        const certData = await this.vault.signCertificate(config, buildRequest(config.cert, key.privateKey));
+        if (key.stored) {
+            current.key = key.stored;
+        } else {
+            delete current.key;
+        }
+        return {
+            ...certData,
+            private_key: exportKey(key.privateKey, config.cert.private_key_format),
+            private_key_type: key.privateKey.asymmetricKeyType
+        };
+    }
+
+    /**
+     * Installs a certificate: writes the local files, then hands the bundle to
+     * every delivery target of the config 'type' (e.g. S3 for "vault/s3").
+     * When a delivery fails the previous certificate goes back on disk, so the
+     * files, the targets and the state all still hold 'previous'.
+     * @param {object} certData
+     * @param {object} [previous] - The certificate installed now, if any.
+     * @returns {Promise<void>}
+     * @throws If the write fails or a delivery target exhausts its retries.
+     */
+    async install(certData, previous) {
+        const { config, log } = this;
+        if (this.dryRun) {
+            const files = certFiles.installedFiles(config);
+            log.info(`[dry-run] Would install certificate ${certData.serial_number} to ${files.join(", ")} (type '${config.type}').`, {
+                event: "dry_run",
+                serial: certData.serial_number,
+                files
+            });
+            return;
+        }
+        this.files.writeCertificate(certData, config, log);
+        try {
+            await this.deliver(certFiles.buildBundle(certData), config);
+        } catch (e) {
+            if (previous) {
+                log.error(`Delivery of certificate ${certData.serial_number} failed, putting ${previous.serial_number} back on disk.`, {
+                    event: "install_reverted",
+                    serial: certData.serial_number,
+                    previous_serial: previous.serial_number,
+                    error: e.message
+                });
+                this.files.restoreCertificate(previous, config, log);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Runs one hook list of the config with the injected runner and clock.
+     * @param {string} hookName - "onstart", "onreplace" or "onrollback".
+     * @param {{certData?: object, previous?: object}} context
+     * @returns {Promise<void>}
+     */
+    runHooks(hookName, context) {
+        return hooks.runHookCommands(this.config[hookName], hookName, this.config, context, {
+            runner: this.runner,
+            clock: this.clock
+        });
+    }
+
+    /**
+     * revokeLater(), except that a dry run leaves vault alone.
+     * @param {object} certData
+     * @param {string} reason - "replaced" or "unused".
+     */
+    retire(certData, reason) {
+        const { current, config } = this;
+        if (this.dryRun) {
+            if (certData && config.revoke.enabled && config.revoke[reason]) {
+                this.log.info(`[dry-run] Would revoke the ${reason} certificate ${certData.serial_number}.`, {
+                    event: "dry_run",
+                    serial: certData.serial_number,
+                    reason
+                });
+            }
+            return;
+        }
+        revokeLater(current, config, certData, reason);
+    }
+
+    /**
+     * Tells the 'notify' notifiers (for the events they know) and the listeners
+     * about an event.
+     * @param {string} event - One of EVENTS.
+     * @param {object} [details]
+     * @param {object} [details.certData] - The certificate the event is about.
+     * @param {object} [details.previous] - The certificate it replaced, or the one that failed for 'rolled_back'.
+     * @param {string} [details.error] - What went wrong.
+     */
+    announce(event, details = {}) {
+        const { current, config } = this;
+        if (notify.EVENTS.includes(event)) {
+            notify.notify(config, event, { ...details, status: current.status });
+        }
+        if (event === "error" && this.listenerCount("error") === 0) {
+            return;
+        }
+        this.emit(event, {
+            name: config.name === undefined ? null : config.name,
+            status: current.status,
+            certificate: pemOf(details.certData),
+            previous: pemOf(details.previous),
+            error: details.error
+        });
+    }
+
+    /**
+     * Announces 'expiring' once per certificate, when the active one has less
+     * than 'notify.expiry_warning_ms' left.
+     */
+    checkExpiry() {
+        const { current, config } = this;
+        const cert = current.active_cert;
+        if (!cert || !cert.expiration || current.expiry_warned === cert.serial_number) {
+            return;
+        }
+        const left = cert.expiration * 1000 - this.clock.now();
+        const warning = config.notify ? config.notify.expiry_warning_ms : EXPIRY_WARNING_MS;
+        if (left > 0 && left < warning) {
+            current.expiry_warned = cert.serial_number;
+            this.announce("expiring", { certData: cert });
+        }
+    }
+
+    /**
+     * Writes the state file, unless this is a dry run.
+     */
+    persist() {
+        if (!this.dryRun) {
+            this.files.saveState(this.current, this.config);
+        }
+    }
+
+    /**
+     * @returns {boolean} The active certificate is within 'intervals.buffer' of its expiry.
+     */
+    dueForReplacement() {
+        const cert = this.current.active_cert;
+        return cert.expiration * 1000 - this.clock.now() < cert.ttl * this.config.intervals.buffer;
+    }
+
+    /**
+     * @returns {number} How long to wait after a failure while a certificate is active, in ms.
+     */
+    retryTime() {
+        return this.current.active_cert.ttl * this.config.intervals.error;
+    }
+
+    /**
+     * Logs the retry and schedules it.
+     * @param {number} delay - In ms.
+     */
+    retryIn(delay) {
+        if (this.scheduling()) {
+            this.log.info(`Retrying in ${Math.round(delay / 1000)} seconds.`, { event: "retry_scheduled", delay_ms: delay });
+        }
+        this.schedule(delay);
+    }
+
+    /**
+     * Goes to "ok" and schedules the renewal after 'intervals.ok' of the
+     * lifetime of the certificate just fetched.
+     * @param {object} certData
+     * @param {string} message - What happened, e.g. "New certificate obtained."
+     * @param {string} event
+     * @throws If the certificate has no usable expiration time.
+     */
+    renewAt(certData, message, event) {
+        const ttl = certData.expiration * 1000 - this.clock.now();
+        if (!ttl || ttl <= 0) {
+            this.log.error("Unknown or invalid certificate expiration time.", { event: "invalid_expiration", serial: certData.serial_number });
+            throw new Error("Can't proceed, unknown/invalid expiration time.");
+        }
+        certData.ttl = ttl;
+        const time = this.config.intervals.ok * ttl;
+        this.log.info(`${message} Next renewal in ${Math.round(time / 1000)} seconds.`, {
+            event,
+            serial: certData.serial_number,
+            expires_at: expiresAt(certData)
+        });
+        this.current.status = "ok";
+        this.schedule(time);
+    }
+
+    /**
+     * @returns {boolean} false once stopped ('issue --once', removed by a
+     * reload) or shutting down: transitions still finish, nothing new is scheduled.
+     */
+    scheduling() {
+        return !this.stopped && !this.stopping;
+    }
+
+    /**
+     * Schedules the next transition and persists the state, so a restart can
+     * pick up where we left off. While paused, stopped or shutting down only
+     * the state is saved.
+     * @param {number} delay - In ms.
+     */
+    schedule(delay) {
+        const { current, config, log } = this;
+        current.next_at = this.clock.now() + delay;
+        if (this.scheduling()) {
+            const message = this.paused
+                ? `Paused, the next check (due in ${Math.round(delay / 1000)} seconds) waits for 'resume'.`
+                : `Scheduling next check in ${Math.round(delay / 1000)} seconds.`;
+            log.info(message, {
+                event: "transition_scheduled",
+                status: current.status,
+                delay_ms: Math.round(delay),
+                next_at: new Date(current.next_at).toISOString(),
+                paused: this.paused
+            });
+        }
+        metrics.updateState(config, current);
+        try {
+            this.persist();
+        } catch (e) {
+            // Not fatal: we just lose the ability to resume after a restart.
+            log.error(`Couldn't save the state file: ${e.message}`, { event: "state_save_failed", error: e.message });
+        }
+        if (this.scheduling() && !this.paused) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = this.clock.setTimeout(() => this.tick(), delay);
+        }
+    }
+
+    /**
+     * When the next transition is due under the (new) config: renewals are
+     * re-timed with the new 'intervals', retries keep their remaining time but
+     * no more than the new retry interval.
+     * @returns {number} Delay in ms.
+     */
+    rescheduleDelay() {
+        const { current, config } = this;
+        const now = this.clock.now();
+        // The renewal is timed from the most recently fetched certificate.
+        const cert = current.second_cert || current.active_cert;
+        if (current.status === "ok" && cert && cert.ttl) {
+            const fetchedAt = cert.expiration * 1000 - cert.ttl;
+            return Math.max(0, fetchedAt + config.intervals.ok * cert.ttl - now);
+        }
+        const retry = current.active_cert && current.active_cert.ttl
+            ? current.active_cert.ttl * config.intervals.error
+            : config.intervals.default;
+        return Math.max(0, Math.min((current.next_at || now) - now, retry));
+    }
+
+    /**
+     * Replaces the pending timer, e.g. after a reload.
+     */
+    reschedule() {
+        if (this.current.replace_now && !this.paused) {
+            this.log.info("The certificate request changed, issuing a new certificate now.", { event: "reissue" });
+            this.clock.clearTimeout(this.timer);
+            this.timer = this.clock.setTimeout(() => this.tick(), 0);
+            return;
+        }
+        this.schedule(this.rescheduleDelay());
+    }
+
+    /**
+     * Swaps in a reloaded config and reschedules the pending transition. A
+     * changed 'cert' request or kind of key drops the prefetched certificate
+     * and replaces the active one right away.
+     * @param {object} config - The new, validated config of this certificate.
+     */
+    reconfigure(config) {
+        const { current } = this;
+        const changed = !sameRequest(requestOf(this.config), requestOf(config));
+        this.config = config;
+        if (changed && current.active_cert) {
+            current.replace_now = true;
+            this.retire(current.second_cert, "unused");
+            current.second_cert = null;
+        }
+        this.log.info("Configuration reloaded.", { event: "reloaded", status: current.status });
+
+        if (this.busy) {
+            // The running transition schedules with the old config, fix it up afterwards.
+            this.reloaded = true;
+        } else {
+            this.reschedule();
+        }
+    }
+
+    /**
+     * Stops for good: the certificate was removed from the config. A running
+     * transition is allowed to finish but won't schedule another one.
+     */
+    stop() {
+        this.log.info("Certificate removed from the config, stopping.", { event: "stopped" });
+        this.stopped = true;
+        this.clock.clearTimeout(this.timer);
+        metrics.forget(this.config);
+    }
+
+    /**
+     * For a shutdown: no more timers, no rollbacks; see main_thread.shutdown().
+     */
+    halt() {
+        this.stopping = true;
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * What the control socket reports about this state machine.
+     * @returns {object}
+     */
+    describe() {
+        const { current, config } = this;
+        const cert = (certData) => (certData ? { serial: certData.serial_number, expires_at: expiresAt(certData) } : null);
+        return {
+            name: config.name === undefined ? null : config.name,
+            status: current.status,
+            paused: this.paused,
+            busy: this.busy,
+            active: cert(current.active_cert),
+            backup: cert(current.second_cert),
+            next_at: current.next_at ? new Date(current.next_at).toISOString() : null
+        };
+    }
+
+    /**
+     * Runs a transition right away instead of the scheduled one. It goes
+     * through step() like any other, so it gets the same logging,
+     * notifications and error handling, and schedules the next one itself.
+     * @param {function(): Promise<void>} transition
+     * @returns {Promise<void>} Resolves once the transition is done.
+     * @throws If a transition is running already, or we are shutting down.
+     */
+    runNow(transition) {
+        if (this.stopping) {
+            throw new Error("Shutting down.");
+        }
+        if (this.busy) {
+            throw new Error("A transition is running, try again once it is done.");
+        }
+        this.clock.clearTimeout(this.timer);
+        const done = new Promise((resolve) => this.waiting.push(resolve));
+        this.tick(transition);
+        return done;
+    }
+
+    /**
+     * Issues and installs a new certificate now and runs 'onreplace' ('onstart'
+     * if none was installed yet), as if the active one were about to expire.
+     * @returns {Promise<object>} describe() once the rotation is done.
+     * @throws If a transition is running, or the rotation didn't go through.
+     */
+    async rotateNow() {
+        const { current } = this;
+        const before = current.active_cert;
+        const done = this.runNow(() => {
+            this.log.info("Rotation requested, issuing a new certificate now.", { event: "rotate_requested", status: current.status });
+            if (before) {
+                current.replace_now = "requested";
+            }
+            return this.transition();
+        });
+        await done;
+        if (!current.active_cert || current.active_cert === before) {
+            throw new Error(`The rotation didn't go through, the status is "${current.status}". See the log for why.`);
+        }
+        return this.describe();
+    }
+
+    /**
+     * Installs the backup certificate now and runs 'onreplace', e.g. when the
+     * active one must go before the next renewal.
+     * @returns {Promise<object>} describe() once the swap is done.
+     * @throws If a transition is running, there is no usable backup or the swap failed.
+     */
+    async swapToBackup() {
+        const { current } = this;
+        const backup = current.second_cert;
+        if (!backup) {
+            throw new Error("There is no backup certificate to swap to.");
+        }
+        if (backup.expiration * 1000 <= this.clock.now()) {
+            throw new Error(`The backup certificate ${backup.serial_number} has expired.`);
+        }
+
+        await this.runNow(async () => {
+            this.log.info("Swapping to the backup certificate on request.", {
+                event: "swap_to_backup",
+                serial: backup.serial_number,
+                previous_serial: current.active_cert.serial_number
+            });
+            if (await this.promote(this.retryTime())) {
+                this.schedule(this.rescheduleDelay());
+            }
+        });
+        if (current.active_cert !== backup) {
+            throw new Error(`The swap didn't go through, the status is "${current.status}". See the log for why.`);
+        }
+        return this.describe();
+    }
+
+    /**
+     * Stops scheduling transitions until resume(). A running transition
+     * finishes; rotateNow() and swapToBackup() still work.
+     * @returns {object} describe()
+     */
+    pause() {
+        if (!this.paused) {
+            this.paused = true;
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+            this.log.info("Paused, no transitions are scheduled until 'resume'.", { event: "paused", status: this.current.status });
+        }
+        return this.describe();
+    }
+
+    /**
+     * Schedules transitions again after pause(). One that fell due in the
+     * meantime runs right away.
+     * @returns {object} describe()
+     */
+    resume() {
+        if (this.paused) {
+            this.paused = false;
+            this.log.info("Resumed.", { event: "resumed", status: this.current.status });
+            if (!this.busy) {
+                this.reschedule();
+            }
+        }
+        return this.describe();
+    }
+
+    /**
+     * One rotation without the daemon loop, for 'issue --once': issues a
+     * certificate, installs it and runs 'onreplace' ('onstart' if nothing was
+     * installed before). A failing 'onreplace' is rolled back as usual. The
+     * state is saved, so a daemon started later on picks up from here.
+     * @returns {Promise<void>}
+     * @throws If the fetch, the install or the hooks fail.
+     */
+    async issueOnce() {
+        const { current, config, log } = this;
+        // Nothing to schedule: the timers of a rollback must not keep us running.
+        this.stopped = true;
+        const certData = await this.fetch();
+        const previous = current.active_cert;
+
+        this.retire(current.second_cert, "unused");
+        current.second_cert = null;
+        await this.install(certData, previous);
+        current.active_cert = certData;
+
+        if (previous) {
+            if (!(await this.runOnreplace(previous, config.intervals.default))) {
+                throw new Error("The 'onreplace' commands failed, the previous certificate was restored.");
+            }
+        } else {
+            log.info("Running 'onstart' commands (with retry logic)...", { event: "hooks_started", hook: "onstart" });
+            await this.runHooks("onstart", { certData });
+        }
+
+        certData.ttl = certData.expiration * 1000 - this.clock.now();
+        current.status = "ok";
+        current.next_at = this.clock.now() + config.intervals.ok * certData.ttl;
+        delete current.replace_now;
+        this.persist();
+        log.info(this.dryRun ? "[dry-run] Done, nothing was changed." : `Certificate ${certData.serial_number} installed.`, {
+            event: "installed",
+            serial: certData.serial_number,
+            expires_at: expiresAt(certData)
+        });
+    }
+}
+
+module.exports = { Rotator, TRANSITIONS, EVENTS, expiresAt, pemOf };
@@ -0,0 +1,231 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const logger = require("./logger.js");
+const { writeFileAtomic } = require("./fs_atomic.js");
+const { describeKey } = require("./keys.js");
+
+const STATE_VERSION = 1;
+
+/**
+ * Where the state file lives: 'state.file' if configured, else next to the bundle.
+ * @param {object} config
+ * @returns {string}
+ */
+function statePath(config) {
+    return (config.state && config.state.file) || `${config.tls.cert}.state.json`;
+}
+
+/**
+ * Normalizes a serial number so that Vault's "1a:2b:..." and
+ * OpenSSL's "1A2B..." compare equal.
+ * @param {string} serial
+ * @returns {string}
+ */
+function normalizeSerial(serial) {
+    return String(serial || "").replace(/:/g, "").toUpperCase();
+}
+
+/**
+ * What a certificate is issued for: the 'cert' request and the kind of key.
+ * The state machine stamps it on every certificate it fetches, so the state
+ * file tells whether the config asks for something else by now.
+ * @param {object} config
+ * @returns {{cert: object, key: string|null}}
+ */
+function requestOf(config) {
+    return { cert: config.cert, key: describeKey(config.key) };
+}
+
+/**
+ * @param {object} a - See requestOf().
+ * @param {object} b
+ * @returns {boolean}
+ */
+function sameRequest(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Persists the state machine after a transition. The file holds private keys,
+ * so it is always written with mode 0600.
+ * @param {object} current - The current state object.
+ * @param {object} config - The configuration object.
+ */
+function saveState(current, config) {
+    const data = {
+        version: STATE_VERSION,
+        saved_at: Date.now(),
+        status: current.status,
+        next_at: current.next_at,
+        failed_replacements: current.failed_replacements || 0,
+        active_cert: current.active_cert || null,
+        second_cert: current.second_cert || null,
+        pending_revocations: current.pending_revocations || [],
+        // The local key while it is reused, see keys.js.
+        key: current.key || null
+    };
+    writeFileAtomic(statePath(config), JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Reads the state file.
+ * @param {object} config
+ * @returns {object|null} The saved state, or null if there is none or it is unusable.
+ */
+function loadState(config) {
+    const log = logger.forCertificate(config.name);
+    const file = statePath(config);
+    let contents;
+    try {
+        contents = fs.readFileSync(file, "utf8");
+    } catch (e) {
+        if (e.code !== "ENOENT") {
+            log.error(`Can't read the state file at ${file}: ${e.message}`);
+        }
+        return null;
+    }
+    try {
+        const data = JSON.parse(contents);
+        if (data.version !== STATE_VERSION) {
+            log.error(`Ignoring state file ${file}: unsupported version ${data.version}.`);
+            return null;
+        }
+        return data;
+    } catch (e) {
+        log.error(`Ignoring state file ${file}: it is not valid JSON.`);
+        return null;
+    }
+}
+
+/**
+ * Parses the bundle currently installed at 'tls.cert' (and 'tls.key', if it is
+ * a separate file) into the same shape the vault returns (certificate,
+ * private_key, serial_number, expiration) plus the 'ttl' the state machine
+ * uses for scheduling.
+ * @param {object} config
+ * @returns {object|null} null if there is no usable bundle.
+ */
+function readInstalledBundle(config) {
+    const log = logger.forCertificate(config.name);
+    let contents;
+    try {
+        contents = fs.readFileSync(config.tls.cert, "utf8");
+        if (config.tls.key !== config.tls.cert) {
+            contents += "\n" + fs.readFileSync(config.tls.key, "utf8");
+        }
+    } catch (e) {
+        return null;
+    }
+
+    const certMatch = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/.exec(contents);
+    const keyMatch = /-----BEGIN ([A-Z ]*)PRIVATE KEY-----[\s\S]+?-----END \1PRIVATE KEY-----/.exec(contents);
+    if (!certMatch || !keyMatch) {
+        return null;
+    }
+
+    let x509;
+    try {
+        x509 = new crypto.X509Certificate(certMatch[0]);
+    } catch (e) {
+        log.error(`The bundle at ${config.tls.cert} does not hold a parseable certificate.`);
+        return null;
+    }
+
+    const notBefore = Date.parse(x509.validFrom);
+    const notAfter = Date.parse(x509.validTo);
+    return {
+        certificate: certMatch[0],
+        private_key: keyMatch[0],
+        serial_number: x509.serialNumber,
+        expiration: Math.floor(notAfter / 1000),
+        not_before: Math.floor(notBefore / 1000),
+        ttl: notAfter - notBefore
+    };
+}
+
+/**
+ * Rebuilds the state machine at boot from the installed bundle and the state file,
+ * so a restart resumes instead of issuing a fresh certificate.
+ *
+ *   - No bundle, or an expired one => "start" (issue a new certificate).
+ *   - Bundle matches the state file => resume the saved status and schedule,
+ *     unless 'cert' or the kind of key changed since the active certificate
+ *     was issued: then replace it right away, as a reload would.
+ *   - Otherwise => "ok" with the bundle as the active certificate, and the next
+ *     check where it would have been had we issued it ourselves. The pending
+ *     revocations and the reused key of a state file still carry over.
+ *
+ * @param {object} config
+ * @returns {{current: object, delay: number}}
+ */
+function restoreState(config) {
+    const log = logger.forCertificate(config.name);
+    const bundle = readInstalledBundle(config);
+    if (!bundle) {
+        log.info(`No usable certificate bundle at ${config.tls.cert}, starting from scratch.`, { event: "resume", status: "start" });
+        return { current: { status: "start" }, delay: 0 };
+    }
+
+    const now = Date.now();
+    if (bundle.expiration * 1000 <= now) {
+        log.info(`The certificate at ${config.tls.cert} has expired, starting from scratch.`, {
+            event: "resume",
+            status: "start",
+            serial: bundle.serial_number
+        });
+        return { current: { status: "start" }, delay: 0 };
+    }
+
+    const saved = loadState(config);
+    if (
+        saved &&
+        saved.active_cert &&
+        ["ok", "error"].includes(saved.status) &&
+        normalizeSerial(saved.active_cert.serial_number) === normalizeSerial(bundle.serial_number)
+    ) {
+        const current = {
+            status: saved.status,
+            active_cert: saved.active_cert,
+            second_cert: saved.second_cert,
+            failed_replacements: saved.failed_replacements || 0,
+            pending_revocations: saved.pending_revocations || []
+        };
+        if (saved.key) {
+            current.key = saved.key;
+        }
+        if (current.second_cert && current.second_cert.expiration * 1000 <= now) {
+            current.second_cert = null;
+        }
+        log.info(`Resuming with status "${current.status}" from the state file ${statePath(config)}.`, {
+            event: "resume",
+            status: current.status,
+            serial: bundle.serial_number
+        });
+        // State files from before the stamp can't tell.
+        const issuedFor = current.active_cert.request;
+        if (issuedFor && !sameRequest(issuedFor, requestOf(config))) {
+            log.info("The certificate request changed while we were stopped, issuing a new certificate now.", { event: "reissue" });
+            current.replace_now = true;
+            return { current, delay: 0 };
+        }
+        return { current, delay: Math.max(0, (saved.next_at || now) - now) };
+    }
+
+    log.info(`Found a valid certificate at ${config.tls.cert} (serial ${bundle.serial_number}), resuming with status "ok".`, {
+        event: "resume",
+        status: "ok",
+        serial: bundle.serial_number
+    });
+    const current = { status: "ok", active_cert: bundle, second_cert: null };
+    // The state file is about another certificate, but those are not.
+    if (saved) {
+        current.pending_revocations = saved.pending_revocations || [];
+        if (saved.key) {
+            current.key = saved.key;
+        }
+    }
+    const dueAt = bundle.not_before * 1000 + config.intervals.ok * bundle.ttl;
+    return { current, delay: Math.max(0, dueAt - now) };
+}
+
+module.exports = { saveState, loadState, restoreState, readInstalledBundle, normalizeSerial, statePath, requestOf, sameRequest };
@@ -0,0 +1,86 @@
+const dgram = require("dgram");
+const net = require("net");
+const os = require("os");
+const Transport = require("winston").Transport;
+
+const MESSAGE = Symbol.for("message");
+
+const FACILITIES = {
+    kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+    uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+    local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+const SEVERITIES = { error: 3, warn: 4, info: 6, http: 6, verbose: 7, debug: 7, silly: 7 };
+
+/**
+ * Sends log lines to a syslog server as RFC 5424 messages, over UDP or TCP
+ * (newline framed). The line itself is whatever the logging format produced.
+ */
+class SyslogTransport extends Transport {
+    /**
+     * @param {object} options
+     * @param {string} [options.host] - Defaults to 127.0.0.1.
+     * @param {number} [options.port] - Defaults to 514.
+     * @param {string} [options.protocol] - "udp" (default) or "tcp".
+     * @param {string} [options.facility] - Defaults to "daemon".
+     * @param {string} [options.app_name] - Defaults to "certrotator".
+     */
+    constructor(options = {}) {
+        super(options);
+        this.host = options.host || "127.0.0.1";
+        this.port = options.port || 514;
+        this.protocol = options.protocol || "udp";
+        this.facility = FACILITIES[options.facility || "daemon"];
+        this.appName = options.app_name || "certrotator";
+        this.hostname = os.hostname();
+        this.socket = null;
+    }
+
+    connect() {
+        if (this.protocol === "udp") {
+            this.socket = dgram.createSocket(net.isIPv6(this.host) ? "udp6" : "udp4");
+            this.socket.on("error", () => {});
+            this.socket.unref();
+            return;
+        }
+        this.socket = net.connect(this.port, this.host);
+        this.socket.on("error", () => {
+            // Reconnect on the next message.
+            this.socket.destroy();
+            this.socket = null;
+        });
+        this.socket.unref();
+    }
+
+    log(info, callback) {
+        const severity = SEVERITIES[info.level.replace(/\u001b\[\d+m/g, "")] ?? 6;
+        const pri = this.facility * 8 + severity;
+        const line = `<${pri}>1 ${new Date().toISOString()} ${this.hostname} ${this.appName} ${process.pid} - - ${info[MESSAGE]}`;
+
+        if (!this.socket) {
+            this.connect();
+        }
+        if (this.protocol === "udp") {
+            this.socket.send(line, this.port, this.host);
+        } else {
+            this.socket.write(line + "\n");
+        }
+        callback();
+    }
+
+    close() {
+        if (this.socket) {
+            if (this.protocol === "udp") {
+                this.socket.close();
+            } else {
+                this.socket.end();
+            }
+            this.socket = null;
+        }
+    }
+}
+
+SyslogTransport.FACILITIES = FACILITIES;
+
+module.exports = SyslogTransport;
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const logger = require("../logger.js");
+const vaultRequest = require("./request.js");
+const { readInstalledBundle } = require("../state.js");
+const { signRequest } = require("../aws/sigv4.js");
+const { getCredentials } = require("../aws/credentials.js");
+
+// Vault's aws auth checks the identity with a signed sts:GetCallerIdentity.
+const STS_URL = "https://sts.amazonaws.com/";
+const STS_BODY = "Action=GetCallerIdentity&Version=2011-06-15";
+
+// Renew (or log in again) once less than this share of the token's ttl is left.
+const RENEW_AT = 1 / 3;
+
+// certificate name => {key, token, ttl, expires_at, renewable}
+const tokens = new Map();
+
+/**
+ * Reads a secret from a file, trimmed.
+ * @param {string} file
+ * @returns {string}
+ */
+function readSecret(file) {
+    return fs.readFileSync(file, "utf8").trim();
+}
+
+/**
+ * The login of each 'vault.auth.method'.
+ * Each returns vault's 'auth' block: client_token, lease_duration, renewable.
+ */
+const methods = {
+    async aws(config, auth) {
+        const headers = { "content-type": "application/x-www-form-urlencoded; charset=utf-8" };
+        if (auth.iam_server_id) {
+            headers["x-vault-aws-iam-server-id"] = auth.iam_server_id;
+        }
+        const signed = signRequest({
+            method: "POST",
+            url: new URL(STS_URL),
+            headers,
+            body: STS_BODY,
+            service: "sts",
+            region: "us-east-1",
+            credentials: await getCredentials(auth)
+        });
+        const body = {
+            role: auth.role,
+            iam_http_request_method: "POST",
+            iam_request_url: Buffer.from(STS_URL).toString("base64"),
+            iam_request_body: Buffer.from(STS_BODY).toString("base64"),
+            iam_request_headers: Buffer.from(JSON.stringify(signed)).toString("base64")
+        };
+        return (await vaultRequest(config, "POST", `auth/${auth.mount}/login`, { body })).auth;
+    },
+
+    async approle(config, auth) {
+        const body = {
+            role_id: auth.role_id,
+            secret_id: auth.secret_id_file ? readSecret(auth.secret_id_file) : auth.secret_id
+        };
+        return (await vaultRequest(config, "POST", `auth/${auth.mount}/login`, { body })).auth;
+    },
+
+    async kubernetes(config, auth) {
+        const body = { role: auth.role, jwt: readSecret(auth.jwt_file) };
+        return (await vaultRequest(config, "POST", `auth/${auth.mount}/login`, { body })).auth;
+    },
+
+    async cert(config, auth) {
+        // The installed bundle logs in; the bootstrap pair only until there is one.
+        let client = readInstalledBundle(config);
+        if (!client || client.expiration * 1000 <= Date.now()) {
+            if (!auth.bootstrap_cert) {
+                throw new Error("TLS cert auth needs a valid installed bundle or 'vault.auth.bootstrap_cert'.");
+            }
+            client = {
+                certificate: fs.readFileSync(auth.bootstrap_cert, "utf8"),
+                private_key: fs.readFileSync(auth.bootstrap_key, "utf8")
+            };
+        }
+        const body = auth.role ? { name: auth.role } : {};
+        return (await vaultRequest(config, "POST", `auth/${auth.mount}/login`, { body, client })).auth;
+    },
+
+    async token(config, auth) {
+        const token = auth.token_file ? readSecret(auth.token_file) : process.env[auth.token_env];
+        if (!token) {
+            throw new Error(auth.token_file
+                ? `The token file ${auth.token_file} is empty.`
+                : `The environment variable ${auth.token_env} is not set.`);
+        }
+        const { data } = await vaultRequest(config, "GET", "auth/token/lookup-self", { token });
+        return { client_token: token, lease_duration: data.ttl, renewable: data.renewable };
+    }
+};
+
+/**
+ * Caches what a login or renewal returned.
+ * @param {object} config
+ * @param {string} key
+ * @param {object} auth - Vault's 'auth' block.
+ * @returns {string} The token.
+ */
+function remember(config, key, auth) {
+    const ttl = (auth.lease_duration || 0) * 1000;
+    tokens.set(config.name, {
+        key,
+        token: auth.client_token,
+        ttl,
+        // ttl 0 => the token does not expire (e.g. a root token).
+        expires_at: ttl > 0 ? Date.now() + ttl : null,
+        renewable: Boolean(auth.renewable)
+    });
+    return auth.client_token;
+}
+
+/**
+ * Returns a vault token for the certificate's auth method. The token is
+ * reused while it's fresh, renewed when it gets old, and only when that's not
+ * possible (not renewable, renewal refused, expired) we log in again.
+ * @param {object} config
+ * @returns {Promise<string>}
+ */
+async function getToken(config) {
+    const log = logger.forCertificate(config.name);
+    const auth = config.vault.auth;
+    // A reload that changes the vault or the auth settings invalidates the token.
+    const key = JSON.stringify([config.vault.address, auth]);
+    const now = Date.now();
+
+    const cached = tokens.get(config.name);
+    if (cached && cached.key === key) {
+        if (cached.expires_at === null || now < cached.expires_at - cached.ttl * RENEW_AT) {
+            return cached.token;
+        }
+        if (cached.renewable && now < cached.expires_at) {
+            try {
+                const res = await vaultRequest(config, "POST", "auth/token/renew-self", { body: {}, token: cached.token });
+                log.info("Vault token renewed.", { event: "token_renewed", ttl_s: res.auth.lease_duration });
+                return remember(config, key, res.auth);
+            } catch (e) {
+                log.error(`Couldn't renew the vault token, logging in again: ${e.message}`, {
+                    event: "token_renew_failed",
+                    error: e.message
+                });
+            }
+        }
+    }
+
+    const res = await methods[auth.method](config, auth);
+    log.info(`Logged in to vault with the '${auth.method}' auth method.`, {
+        event: "vault_login",
+        method: auth.method,
+        ttl_s: res.lease_duration
+    });
+    return remember(config, key, res);
+}
+
+/**
+ * Drops the cached token, e.g. after vault rejected it.
+ * @param {object} config
+ */
+function invalidateToken(config) {
+    tokens.delete(config.name);
+}
+
+// Every value 'vault.auth.method' can take.
+const AUTH_METHODS = Object.keys(methods);
+
+module.exports = { getToken, invalidateToken, AUTH_METHODS };
@@ -0,0 +1,80 @@
+/**
+ * Errors of the vault client. Every failed call throws a VaultError (or a
+ * subclass), carrying the HTTP status (if there was a reply) and vault's own
+ * error messages, so callers can tell a bad request from a sealed vault.
+ */
+
+class VaultError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {number} [details.status] - HTTP status of the reply.
+     * @param {string[]} [details.errors] - The 'errors' array of the reply.
+     * @param {string} [details.path] - The API path that was called.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status;
+        this.errors = details.errors || [];
+        this.path = details.path;
+    }
+}
+
+// 400: vault rejected the request itself, e.g. a SAN the role does not allow.
+class VaultInvalidRequestError extends VaultError {}
+
+// 401/403: missing, expired or insufficient token; a failed login.
+class VaultPermissionError extends VaultError {}
+
+// 404: no such mount, role or path.
+class VaultNotFoundError extends VaultError {}
+
+// 429: rate limited.
+class VaultRateLimitError extends VaultError {}
+
+// 503: sealed, or a standby without a reachable active node.
+class VaultUnavailableError extends VaultError {}
+
+// Any other 5xx.
+class VaultServerError extends VaultError {}
+
+// No reply within 'vault.timeout_ms'.
+class VaultTimeoutError extends VaultError {}
+
+// No reply at all: DNS, refused connection, TLS handshake...
+class VaultConnectionError extends VaultError {}
+
+const BY_STATUS = {
+    400: VaultInvalidRequestError,
+    401: VaultPermissionError,
+    403: VaultPermissionError,
+    404: VaultNotFoundError,
+    429: VaultRateLimitError,
+    503: VaultUnavailableError
+};
+
+/**
+ * The error class for a non-2xx reply.
+ * @param {number} status
+ * @returns {typeof VaultError}
+ */
+function errorForStatus(status) {
+    if (BY_STATUS[status]) {
+        return BY_STATUS[status];
+    }
+    return status >= 500 ? VaultServerError : VaultError;
+}
+
+module.exports = {
+    VaultError,
+    VaultInvalidRequestError,
+    VaultPermissionError,
+    VaultNotFoundError,
+    VaultRateLimitError,
+    VaultUnavailableError,
+    VaultServerError,
+    VaultTimeoutError,
+    VaultConnectionError,
+    errorForStatus
+};
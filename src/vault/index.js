@@ -0,0 +1,78 @@
+/**
+ * The vault PKI client: logs in with the configured auth method, issues
+ * certificates against /v1/<pki_path>/issue/<pki_role> (or signs CSRs against
+ * /v1/<pki_path>/sign/<pki_role>) and revokes them.
+ */
+
+const vaultRequest = require("./request.js");
+const { getToken, invalidateToken } = require("./auth.js");
+const errors = require("./errors.js");
+
+/**
+ * Calls vault with a token from the configured auth method.
+ * A rejected token is dropped and the login retried once.
+ * @param {object} config
+ * @param {string} apiPath
+ * @param {object} body
+ * @returns {Promise<object>} The parsed response body.
+ * @throws {errors.VaultError}
+ */
+async function withToken(config, apiPath, body) {
+    let token = await getToken(config);
+    try {
+        return await vaultRequest(config, "POST", apiPath, { body, token });
+    } catch (e) {
+        if (!(e instanceof errors.VaultPermissionError)) {
+            throw e;
+        }
+        invalidateToken(config);
+        token = await getToken(config);
+        return vaultRequest(config, "POST", apiPath, { body, token });
+    }
+}
+
+/**
+ * Issues a certificate for the 'cert' request.
+ * @param {object} config
+ * @returns {Promise<object>} The certificate data (certificate, private_key, issuing_ca, ...).
+ * @throws {errors.VaultError}
+ */
+async function issueCertificate(config) {
+    const apiPath = `${config.vault.pki_path}/issue/${config.vault.pki_role}`;
+    const res = await withToken(config, apiPath, config.cert);
+    if (!res.data || !res.data.certificate || !res.data.private_key) {
+        throw new errors.VaultError(`Vault returned no certificate and key from ${apiPath}.`, { path: apiPath });
+    }
+    return res.data;
+}
+
+/**
+ * Signs a CSR for the 'cert' request; the private key stays with the caller.
+ * @param {object} config
+ * @param {string} csr - PEM.
+ * @returns {Promise<object>} The certificate data, without 'private_key'.
+ * @throws {errors.VaultError}
+ */
+async function signCertificate(config, csr) {
+    const apiPath = `${config.vault.pki_path}/sign/${config.vault.pki_role}`;
+    // Only 'issue' knows about the key.
+    const { private_key_format, ...request } = config.cert;
+    const res = await withToken(config, apiPath, { ...request, csr });
+    if (!res.data || !res.data.certificate) {
+        throw new errors.VaultError(`Vault returned no certificate from ${apiPath}.`, { path: apiPath });
+    }
+    return res.data;
+}
+
+/**
+ * Revokes a certificate of the PKI mount.
+ * @param {object} config
+ * @param {string} serial - As vault reported it ("1a:2b:...").
+ * @returns {Promise<void>}
+ * @throws {errors.VaultError}
+ */
+async function revokeCertificate(config, serial) {
+    await withToken(config, `${config.vault.pki_path}/revoke`, { serial_number: serial });
+}
+
+module.exports = { issueCertificate, signCertificate, revokeCertificate, ...errors };
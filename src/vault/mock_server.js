@@ -0,0 +1,331 @@
+/**
+ * A local stand-in for vault, for tests and for trying a config without a
+ * real vault. It speaks just enough of the API for the rotator: every auth
+ * method's login, token lookup/renewal, PKI issue and sign with a throwaway CA
+ * and revoke.
+ *
+ *   const vault = await startMockVault();
+ *   // config.vault.address = vault.address, config.tls.ca => a file holding vault.caPem
+ *   vault.failNext(503, ["Vault is sealed"]);
+ *   ...
+ *   await vault.close();
+ *
+ * Run directly (node src/vault/mock_server.js [port]) it listens until killed
+ * and prints the CA to stdout.
+ */
+
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { buildCertificate } = require("../x509.js");
+const { parseTtl } = require("../verify.js");
+
+const LOGIN = /^\/v1\/auth\/([^/]+(?:\/[^/]+)*)\/login$/;
+
+/**
+ * @returns {Buffer} 16 random bytes, positive and without a leading zero.
+ */
+function randomSerial() {
+    const serial = crypto.randomBytes(16);
+    serial[0] = (serial[0] & 0x7f) | 0x01;
+    return serial;
+}
+
+/**
+ * Vault's comma-separated lists, or arrays.
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+function listOf(value) {
+    if (!value) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(",")).map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * One DER TLV at 'offset' (short and long lengths).
+ * @param {Buffer} der
+ * @param {number} offset
+ * @returns {{start: number, contents: number, end: number}} Where it starts, its contents start and it ends.
+ */
+function readTlv(der, offset) {
+    let length = der[offset + 1];
+    let contents = offset + 2;
+    if (length & 0x80) {
+        const bytes = length & 0x7f;
+        length = der.subarray(contents, contents + bytes).reduce((sum, byte) => sum * 256 + byte, 0);
+        contents += bytes;
+    }
+    return { start: offset, contents, end: contents + length };
+}
+
+/**
+ * The public key of a PKCS#10 CSR, once its self-signature checks out.
+ * @param {string} pem
+ * @returns {crypto.KeyObject}
+ * @throws If the CSR can't be parsed or its signature is wrong.
+ */
+function csrPublicKey(pem) {
+    const der = Buffer.from(String(pem).replace(/-----[^-]+-----/g, "").replace(/\s+/g, ""), "base64");
+    const request = readTlv(der, 0);
+    const info = readTlv(der, request.contents);
+    const algorithm = readTlv(der, info.end);
+    const signature = readTlv(der, algorithm.end);
+    // CertificationRequestInfo: version, subject, subjectPKInfo, attributes
+    const version = readTlv(der, info.contents);
+    const subject = readTlv(der, version.end);
+    const spki = readTlv(der, subject.end);
+    const publicKey = crypto.createPublicKey({ key: der.subarray(spki.start, spki.end), format: "der", type: "spki" });
+    const digest = publicKey.asymmetricKeyType === "ed25519" ? null : "sha256";
+    // The BIT STRING starts with its count of unused bits.
+    if (!crypto.verify(digest, der.subarray(info.start, info.end), publicKey, der.subarray(signature.contents + 1, signature.end))) {
+        throw new Error("the CSR signature does not verify");
+    }
+    return publicKey;
+}
+
+/**
+ * Starts the mock.
+ * @param {object} [options]
+ * @param {number} [options.port] - Defaults to a random free port.
+ * @param {string} [options.host] - Defaults to 127.0.0.1.
+ * @param {{key: string, cert: string}} [options.tls] - Serve https with this key pair (http otherwise),
+ *     asking for a client certificate, which is recorded but not checked.
+ * @param {string} [options.pkiPath] - Defaults to "pki".
+ * @param {string} [options.role] - The only PKI role that exists, any role if unset.
+ * @param {string} [options.maxTtl] - Longest ttl handed out, default "72h".
+ * @param {number} [options.tokenTtl] - Lease of issued tokens in seconds, default 3600.
+ * @returns {Promise<object>} The handle: address, caPem, requests, issued, revoked, failNext(), setDelay(), close().
+ */
+async function startMockVault(options = {}) {
+    const pkiPath = options.pkiPath || "pki";
+    const maxTtl = parseTtl(options.maxTtl || "72h");
+    const tokenTtl = options.tokenTtl || 3600;
+
+    const caKey = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    const now = Date.now();
+    const caPem = buildCertificate({
+        subject: "Mock Vault Root CA",
+        issuer: "Mock Vault Root CA",
+        publicKey: caKey.publicKey,
+        signingKey: caKey.privateKey,
+        serial: randomSerial(),
+        notBefore: new Date(now - 3600 * 1000),
+        notAfter: new Date(now + 10 * 365 * 86400 * 1000),
+        isCA: true
+    });
+
+    // token => {expires_at, renewable}
+    const tokens = new Map();
+    const failures = [];
+    let delay = 0;
+    let counter = 0;
+
+    const handle = {
+        address: null,
+        caPem,
+        // Every request: {method, path, headers, body, client (the common name of the client certificate, or null)}
+        requests: [],
+        // Every certificate handed out, as returned.
+        issued: [],
+        // Serials of revoked certificates.
+        revoked: [],
+
+        /**
+         * Makes the next matching request(s) fail.
+         * @param {number} status
+         * @param {string[]} [errors]
+         * @param {object} [match]
+         * @param {string} [match.path] - Only requests to this path (e.g. "/v1/pki/issue/web").
+         * @param {number} [match.times] - How many requests, default 1.
+         */
+        failNext(status, errors = [], match = {}) {
+            failures.push({ status, errors, path: match.path, times: match.times || 1 });
+        },
+
+        /**
+         * Delays every reply, to exercise timeouts.
+         * @param {number} ms
+         */
+        setDelay(ms) {
+            delay = ms;
+        },
+
+        /**
+         * Forgets every token, as if they had all been revoked.
+         */
+        revokeTokens() {
+            tokens.clear();
+        },
+
+        close: null
+    };
+
+    function newToken() {
+        counter++;
+        const token = `s.mock${counter}`;
+        tokens.set(token, { expires_at: Date.now() + tokenTtl * 1000, renewable: true });
+        return token;
+    }
+
+    function validToken(req) {
+        const entry = tokens.get(req.headers["x-vault-token"]);
+        return entry && entry.expires_at > Date.now() ? entry : null;
+    }
+
+    /**
+     * Issues a certificate for the request, for the public key of a CSR
+     * ('sign') or a key generated here ('issue', which hands it out too).
+     * @param {object} body
+     * @param {crypto.KeyObject} [publicKey]
+     */
+    function issue(body, publicKey) {
+        const requested = body.ttl === undefined ? maxTtl : parseTtl(body.ttl);
+        if (requested === null) {
+            return [400, { errors: [`invalid ttl '${body.ttl}'`] }];
+        }
+        if (!body.common_name) {
+            return [400, { errors: ["the common_name field is required"] }];
+        }
+        const key = publicKey ? null : crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+        const serial = randomSerial();
+        const issuedAt = Date.now();
+        // Vault backdates by 30s.
+        const notBefore = new Date(issuedAt - 30000);
+        const notAfter = new Date(issuedAt + Math.min(requested, maxTtl));
+        const certificate = buildCertificate({
+            subject: body.common_name,
+            issuer: "Mock Vault Root CA",
+            publicKey: publicKey || key.publicKey,
+            signingKey: caKey.privateKey,
+            serial,
+            notBefore,
+            notAfter,
+            dnsNames: [body.common_name, ...listOf(body.alt_names)].filter((dns) => !/[:@]/.test(dns)),
+            ipAddresses: listOf(body.ip_sans),
+            uris: listOf(body.uri_sans)
+        }).trim();
+        const data = {
+            certificate,
+            ...(key ? { private_key: key.privateKey.export({ type: "sec1", format: "pem" }).trim(), private_key_type: "ec" } : {}),
+            issuing_ca: caPem.trim(),
+            ca_chain: [caPem.trim()],
+            serial_number: serial.toString("hex").match(/../g).join(":"),
+            expiration: Math.floor(notAfter.getTime() / 1000)
+        };
+        handle.issued.push(data);
+        return [200, { data }];
+    }
+
+    function route(req, body) {
+        const failure = failures.find((f) => !f.path || f.path === req.url);
+        if (failure) {
+            if (--failure.times === 0) {
+                failures.splice(failures.indexOf(failure), 1);
+            }
+            return [failure.status, { errors: failure.errors }];
+        }
+
+        const auth = (token, entry) => ({
+            auth: { client_token: token, lease_duration: Math.round((entry.expires_at - Date.now()) / 1000), renewable: entry.renewable }
+        });
+
+        if (req.method === "POST" && LOGIN.test(req.url)) {
+            const token = newToken();
+            return [200, auth(token, tokens.get(token))];
+        }
+        if (req.method === "GET" && req.url === "/v1/auth/token/lookup-self") {
+            const entry = validToken(req);
+            if (!entry) {
+                return [403, { errors: ["permission denied"] }];
+            }
+            return [200, { data: { ttl: Math.round((entry.expires_at - Date.now()) / 1000), renewable: entry.renewable } }];
+        }
+        if (req.method === "POST" && req.url === "/v1/auth/token/renew-self") {
+            const entry = validToken(req);
+            if (!entry) {
+                return [403, { errors: ["permission denied"] }];
+            }
+            entry.expires_at = Date.now() + tokenTtl * 1000;
+            return [200, auth(req.headers["x-vault-token"], entry)];
+        }
+
+        const issueMatch = new RegExp(`^/v1/${pkiPath}/(issue|sign)/([^/]+)$`).exec(req.url);
+        if (req.method === "POST" && issueMatch) {
+            if (!validToken(req)) {
+                return [403, { errors: ["permission denied"] }];
+            }
+            if (options.role && issueMatch[2] !== options.role) {
+                return [400, { errors: [`unknown role: ${issueMatch[2]}`] }];
+            }
+            if (issueMatch[1] === "issue") {
+                return issue(body);
+            }
+            let publicKey;
+            try {
+                publicKey = csrPublicKey(body.csr);
+            } catch (e) {
+                return [400, { errors: [`could not parse CSR: ${e.message}`] }];
+            }
+            return issue(body, publicKey);
+        }
+        if (req.method === "POST" && req.url === `/v1/${pkiPath}/revoke`) {
+            if (!validToken(req)) {
+                return [403, { errors: ["permission denied"] }];
+            }
+            if (!handle.issued.some((data) => data.serial_number === body.serial_number)) {
+                return [400, { errors: [`certificate with serial ${body.serial_number} not found`] }];
+            }
+            handle.revoked.push(body.serial_number);
+            return [200, { data: { revocation_time: Math.floor(Date.now() / 1000) } }];
+        }
+        return [404, { errors: [] }];
+    }
+
+    const listener = (req, res) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            let body = {};
+            try {
+                body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString()) : {};
+            } catch (e) {
+                body = null;
+            }
+            const peer = req.socket.getPeerCertificate ? req.socket.getPeerCertificate() : {};
+            const client = peer.subject ? peer.subject.CN : null;
+            handle.requests.push({ method: req.method, path: req.url, headers: req.headers, body, client });
+            const [status, reply] = body === null ? [400, { errors: ["failed to parse JSON input"] }] : route(req, body);
+            setTimeout(() => {
+                res.writeHead(status, { "content-type": "application/json" });
+                res.end(JSON.stringify(reply));
+            }, delay);
+        });
+    };
+
+    const server = options.tls
+        ? https.createServer({ key: options.tls.key, cert: options.tls.cert, requestCert: true, rejectUnauthorized: false }, listener)
+        : http.createServer(listener);
+    const host = options.host || "127.0.0.1";
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port || 0, host, resolve);
+    });
+
+    handle.address = `${options.tls ? "https" : "http"}://${host}:${server.address().port}`;
+    handle.close = () => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+    return handle;
+}
+
+module.exports = { startMockVault, csrPublicKey };
+
+if (require.main === module) {
+    startMockVault({ port: Number(process.argv[2]) || 8200 }).then((vault) => {
+        process.stderr.write(`Mock vault listening on ${vault.address}\n`);
+        process.stdout.write(vault.caPem);
+    });
+}
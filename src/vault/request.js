@@ -0,0 +1,101 @@
+const fs = require("fs");
+const httpRequest = require("../http_request.js");
+const { readInstalledBundle } = require("../state.js");
+const { errorForStatus, VaultError, VaultTimeoutError, VaultConnectionError } = require("./errors.js");
+
+/**
+ * The base URL of the vault API: 'vault.address' ("host:port" means https),
+ * plus the API version.
+ * @param {object} vault - The 'vault' config block.
+ * @returns {string}
+ */
+function baseUrl(vault) {
+    const address = /^https?:\/\//.test(vault.address) ? vault.address : `https://${vault.address}`;
+    return `${address.replace(/\/+$/, "")}/${vault.version || "v1"}`;
+}
+
+/**
+ * TLS settings for talking to vault: trust 'tls.ca', and present the
+ * installed bundle as the client certificate once there is one.
+ * @param {object} config
+ * @param {{certificate: string, private_key: string}} [client] - Overrides the installed bundle.
+ * @returns {object}
+ */
+function tlsOptions(config, client) {
+    const options = { ca: fs.readFileSync(config.tls.ca) };
+    const bundle = client || readInstalledBundle(config);
+    if (bundle) {
+        options.cert = bundle.certificate;
+        options.key = bundle.private_key;
+    }
+    return options;
+}
+
+/**
+ * Sends one request to the vault API and parses the JSON reply.
+ * @param {object} config
+ * @param {string} method
+ * @param {string} apiPath - Path below /v1/, e.g. "auth/approle/login".
+ * @param {object} [options]
+ * @param {object} [options.body] - Sent as JSON.
+ * @param {string} [options.token] - Sent as X-Vault-Token.
+ * @param {object} [options.client] - Client certificate, see tlsOptions().
+ * @returns {Promise<object>} The parsed response body.
+ * @throws {VaultError} A subclass matching the failure, with vault's own error messages.
+ */
+async function vaultRequest(config, method, apiPath, options = {}) {
+    const { vault } = config;
+    const where = `${method} /${vault.version || "v1"}/${apiPath}`;
+    const headers = { accept: "application/json" };
+    if (options.token) {
+        headers["x-vault-token"] = options.token;
+    }
+    if (vault.namespace) {
+        headers["x-vault-namespace"] = vault.namespace;
+    }
+    let body;
+    if (options.body !== undefined) {
+        body = JSON.stringify(options.body);
+        headers["content-type"] = "application/json";
+    }
+
+    let res;
+    try {
+        res = await httpRequest(`${baseUrl(vault)}/${apiPath}`, {
+            method,
+            headers,
+            body,
+            timeout: vault.timeout_ms,
+            tls: tlsOptions(config, options.client)
+        });
+    } catch (e) {
+        const ErrorClass = e.code === "ETIMEDOUT" ? VaultTimeoutError : VaultConnectionError;
+        throw new ErrorClass(`Vault ${where} failed: ${e.message}`, { path: apiPath });
+    }
+
+    let json = {};
+    if (res.body.length > 0) {
+        try {
+            json = JSON.parse(res.body.toString());
+        } catch (e) {
+            const ErrorClass = res.status >= 200 && res.status < 300 ? VaultError : errorForStatus(res.status);
+            throw new ErrorClass(`Vault returned a non-JSON reply to ${where} (status ${res.status}).`, {
+                status: res.status,
+                path: apiPath
+            });
+        }
+    }
+    if (res.status < 200 || res.status >= 300) {
+        const errors = Array.isArray(json.errors) ? json.errors : [];
+        const reasons = errors.length > 0 ? errors.join("; ") : "no details";
+        const ErrorClass = errorForStatus(res.status);
+        throw new ErrorClass(`Vault ${where} failed with status ${res.status}: ${reasons}`, {
+            status: res.status,
+            errors,
+            path: apiPath
+        });
+    }
+    return json;
+}
+
+module.exports = vaultRequest;
@@ -0,0 +1,202 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { chainOf } = require("./outputs.js");
+
+// Vault backdates notBefore by 30s by default; leave room for that and for clock drift.
+const DEFAULT_SKEW = 5 * 60 * 1000;
+const MAX_CHAIN_DEPTH = 10;
+
+/**
+ * Splits a PEM file into its certificates.
+ * @param {string} pem
+ * @returns {crypto.X509Certificate[]}
+ */
+function parseCertificates(pem) {
+    const blocks = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+    return blocks.map((block) => new crypto.X509Certificate(block));
+}
+
+/**
+ * Parses a Vault-style duration ("72h", "30m", "3600s", "3600") into ms.
+ * @param {string|number} ttl
+ * @returns {number|null} null if it can't be parsed.
+ */
+function parseTtl(ttl) {
+    if (typeof ttl === "number") {
+        return ttl * 1000;
+    }
+    const match = /^(\d+)([smhd]?)$/.exec(String(ttl).trim());
+    if (!match) {
+        return null;
+    }
+    const units = { "": 1000, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return Number(match[1]) * units[match[2]];
+}
+
+/**
+ * Vault takes alt_names / ip_sans / uri_sans as comma-separated strings; accept arrays too.
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+function listOf(value) {
+    if (!value) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(","))
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Canonical textual form of an IP so "::1" and "0:0:0:0:0:0:0:1" compare equal.
+ * @param {string} ip
+ * @returns {string}
+ */
+function normalizeIp(ip) {
+    try {
+        return new URL(`http://${ip.includes(":") ? `[${ip}]` : ip}/`).hostname.toLowerCase();
+    } catch (e) {
+        return ip.toLowerCase();
+    }
+}
+
+/**
+ * Reads the SANs out of a certificate, grouped by type.
+ * @param {crypto.X509Certificate} x509
+ * @returns {{dns: string[], ip: string[], uri: string[]}}
+ */
+function subjectAltNames(x509) {
+    const sans = { dns: [], ip: [], uri: [] };
+    (x509.subjectAltName || "").split(/,\s*/).forEach((entry) => {
+        const idx = entry.indexOf(":");
+        const type = entry.slice(0, idx);
+        const value = entry.slice(idx + 1);
+        if (type === "DNS") {
+            sans.dns.push(value.toLowerCase());
+        } else if (type === "IP Address") {
+            sans.ip.push(normalizeIp(value));
+        } else if (type === "URI") {
+            sans.uri.push(value);
+        }
+    });
+    return sans;
+}
+
+/**
+ * Walks from the leaf up through the intermediates until it reaches one of the
+ * trust anchors. Every link must be issued by, and signed with the key of, the next.
+ * @param {crypto.X509Certificate} leaf
+ * @param {crypto.X509Certificate[]} intermediates
+ * @param {crypto.X509Certificate[]} anchors
+ * @param {number} now
+ * @throws If there is no valid path to an anchor.
+ */
+function verifyChain(leaf, intermediates, anchors, now) {
+    const issuedBy = (cert, issuer) => cert.checkIssued(issuer) && cert.verify(issuer.publicKey);
+    let cert = leaf;
+
+    for (let depth = 0; depth < MAX_CHAIN_DEPTH; depth++) {
+        if (anchors.some((anchor) => issuedBy(cert, anchor))) {
+            return;
+        }
+        const next = intermediates.find((candidate) => candidate !== cert && issuedBy(cert, candidate));
+        if (!next) {
+            throw new Error(`No issuer found for '${cert.subject.replace(/\n/g, ", ")}' in the chain or the trusted CA file.`);
+        }
+        if (Date.parse(next.validTo) <= now) {
+            throw new Error(`The intermediate '${next.subject.replace(/\n/g, ", ")}' has expired.`);
+        }
+        cert = next;
+    }
+    throw new Error(`The chain is longer than ${MAX_CHAIN_DEPTH} certificates.`);
+}
+
+/**
+ * Checks an issued certificate before anything gets written:
+ *   - the private key matches the certificate,
+ *   - the chain verifies against the trusted CA ('verify.ca', defaults to 'tls.ca'),
+ *   - the CN and SANs match what 'cert' asked for,
+ *   - the validity window is sane (already valid, not expired, not longer than asked).
+ *
+ * @param {object} certData - The certificate data object, as returned by the vault.
+ * @param {object} config - The configuration object.
+ * @param {number} [now] - The time to check the validity against, in ms.
+ * @throws Describing the first check that failed.
+ */
+function verifyCertificate(certData, config, now = Date.now()) {
+    const options = config.verify;
+
+    let leaf;
+    let key;
+    try {
+        leaf = new crypto.X509Certificate(certData.certificate);
+    } catch (e) {
+        throw new Error(`The certificate can't be parsed: ${e.message}`);
+    }
+    try {
+        key = crypto.createPrivateKey(certData.private_key);
+    } catch (e) {
+        throw new Error(`The private key can't be parsed: ${e.message}`);
+    }
+
+    // 1) Key pair
+    if (!leaf.checkPrivateKey(key)) {
+        throw new Error("The private key does not match the certificate.");
+    }
+
+    // 2) Validity window
+    const notBefore = Date.parse(leaf.validFrom);
+    const notAfter = Date.parse(leaf.validTo);
+    if (!(notAfter > notBefore)) {
+        throw new Error(`The certificate's validity window is empty (${leaf.validFrom} - ${leaf.validTo}).`);
+    }
+    if (notBefore > now + options.max_clock_skew) {
+        throw new Error(`The certificate is not valid before ${leaf.validFrom}.`);
+    }
+    if (notAfter <= now) {
+        throw new Error(`The certificate expired at ${leaf.validTo}.`);
+    }
+    if (certData.expiration && Math.abs(certData.expiration * 1000 - notAfter) > 60000) {
+        throw new Error(`The reported expiration (${certData.expiration}) does not match the certificate (${leaf.validTo}).`);
+    }
+    const requestedTtl = config.cert.ttl === undefined ? null : parseTtl(config.cert.ttl);
+    if (requestedTtl && notAfter - notBefore > requestedTtl + options.max_clock_skew) {
+        throw new Error(`The certificate is valid for longer than the requested ttl '${config.cert.ttl}'.`);
+    }
+
+    // 3) Names
+    if (options.names) {
+        const cn = /^CN=(.*)$/m.exec(leaf.subject);
+        if (config.cert.common_name && (!cn || cn[1].toLowerCase() !== config.cert.common_name.toLowerCase())) {
+            throw new Error(`The certificate CN '${cn ? cn[1] : ""}' does not match the requested '${config.cert.common_name}'.`);
+        }
+        const sans = subjectAltNames(leaf);
+        listOf(config.cert.alt_names).forEach((name) => {
+            if (!sans.dns.includes(name.toLowerCase())) {
+                throw new Error(`The requested SAN '${name}' is missing from the certificate.`);
+            }
+        });
+        listOf(config.cert.ip_sans).forEach((ip) => {
+            if (!sans.ip.includes(normalizeIp(ip))) {
+                throw new Error(`The requested IP SAN '${ip}' is missing from the certificate.`);
+            }
+        });
+        listOf(config.cert.uri_sans).forEach((uri) => {
+            if (!sans.uri.includes(uri)) {
+                throw new Error(`The requested URI SAN '${uri}' is missing from the certificate.`);
+            }
+        });
+    }
+
+    // 4) Chain
+    if (options.chain) {
+        const anchors = parseCertificates(fs.readFileSync(options.ca, "utf8"));
+        if (anchors.length === 0) {
+            throw new Error(`No certificates found in the trusted CA file ${options.ca}.`);
+        }
+        const intermediates = chainOf(certData).flatMap((pem) => parseCertificates(pem));
+        verifyChain(leaf, intermediates, anchors, now);
+    }
+}
+
+module.exports = { verifyCertificate, parseTtl, listOf, subjectAltNames, parseCertificates };
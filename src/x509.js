@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const net = require("net");
+const asn1 = require("./asn1.js");
+
+const OID = {
+    commonName: "2.5.4.3",
+    basicConstraints: "2.5.29.19",
+    keyUsage: "2.5.29.15",
+    subjectAltName: "2.5.29.17",
+    ecdsaWithSha256: "1.2.840.10045.4.3.2",
+    sha256WithRsa: "1.2.840.113549.1.1.11",
+    ed25519: "1.3.101.112",
+    extensionRequest: "1.2.840.113549.1.9.14"
+};
+
+/**
+ * The signature AlgorithmIdentifier and the digest to sign with, for a key.
+ * @param {crypto.KeyObject} key
+ * @returns {{algorithm: Buffer, digest: string|null}}
+ */
+function signatureAlgorithm(key) {
+    switch (key.asymmetricKeyType) {
+        case "ec":
+            return { algorithm: asn1.sequence(asn1.oid(OID.ecdsaWithSha256)), digest: "sha256" };
+        case "rsa":
+            return { algorithm: asn1.sequence(asn1.oid(OID.sha256WithRsa), asn1.nullValue()), digest: "sha256" };
+        case "ed25519":
+            return { algorithm: asn1.sequence(asn1.oid(OID.ed25519)), digest: null };
+        default:
+            throw new Error(`Unsupported key type '${key.asymmetricKeyType}'.`);
+    }
+}
+
+/**
+ * A Name holding only a common name.
+ * @param {string} commonName
+ * @returns {Buffer}
+ */
+function name(commonName) {
+    return asn1.sequence(asn1.set(asn1.sequence(asn1.oid(OID.commonName), asn1.utf8String(commonName))));
+}
+
+/**
+ * @param {string} oid
+ * @param {boolean} critical
+ * @param {Buffer} value - The DER of the extension value.
+ * @returns {Buffer}
+ */
+function extension(oid, critical, value) {
+    return asn1.sequence(
+        asn1.oid(oid),
+        ...(critical ? [asn1.boolean(true)] : []),
+        asn1.octetString(value)
+    );
+}
+
+/**
+ * GeneralNames for the subjectAltName extension.
+ * @param {{dnsNames?: string[], ipAddresses?: string[], uris?: string[]}} sans
+ * @returns {Buffer}
+ */
+function generalNames({ dnsNames = [], ipAddresses = [], uris = [] }) {
+    return asn1.sequence(
+        ...dnsNames.map((dns) => asn1.tlv(0x82, Buffer.from(dns, "ascii"))),
+        ...ipAddresses.map((ip) => asn1.tlv(0x87, ipBytes(ip))),
+        ...uris.map((uri) => asn1.tlv(0x86, Buffer.from(uri, "ascii")))
+    );
+}
+
+/**
+ * @param {string} ip
+ * @returns {Buffer} 4 or 16 bytes.
+ */
+function ipBytes(ip) {
+    if (net.isIPv4(ip)) {
+        return Buffer.from(ip.split(".").map(Number));
+    }
+    const [head, tail = ""] = ip.split("::");
+    const groups = (part) => (part ? part.split(":") : []);
+    const missing = 8 - groups(head).length - groups(tail).length;
+    const all = [...groups(head), ...Array(ip.includes("::") ? missing : 0).fill("0"), ...groups(tail)];
+    return Buffer.from(all.map((group) => group.padStart(4, "0")).join(""), "hex");
+}
+
+/**
+ * Builds and signs an X.509 v3 certificate.
+ * @param {object} options
+ * @param {string} options.subject - Subject common name.
+ * @param {string} options.issuer - Issuer common name (the subject, for a self-signed one).
+ * @param {crypto.KeyObject} options.publicKey - The subject's public key.
+ * @param {crypto.KeyObject} options.signingKey - The issuer's private key.
+ * @param {Buffer} options.serial - Serial number bytes.
+ * @param {Date} options.notBefore
+ * @param {Date} options.notAfter
+ * @param {boolean} [options.isCA]
+ * @param {string[]} [options.dnsNames]
+ * @param {string[]} [options.ipAddresses]
+ * @param {string[]} [options.uris]
+ * @returns {string} The certificate as PEM.
+ */
+function buildCertificate(options) {
+    const { algorithm, digest } = signatureAlgorithm(options.signingKey);
+
+    const extensions = [
+        extension(OID.basicConstraints, true, asn1.sequence(...(options.isCA ? [asn1.boolean(true)] : []))),
+        // CA: keyCertSign + cRLSign; leaf: digitalSignature + keyEncipherment
+        extension(OID.keyUsage, true, options.isCA
+            ? asn1.bitString(Buffer.from([0x06]), 1)
+            : asn1.bitString(Buffer.from([0xa0]), 5))
+    ];
+    const sans = generalNames(options);
+    if (sans.length > 2) {
+        extensions.push(extension(OID.subjectAltName, false, sans));
+    }
+
+    const tbs = asn1.sequence(
+        asn1.contextTag(0, asn1.integer(2)),
+        asn1.integer(options.serial),
+        algorithm,
+        name(options.issuer),
+        asn1.sequence(asn1.time(options.notBefore), asn1.time(options.notAfter)),
+        name(options.subject),
+        options.publicKey.export({ type: "spki", format: "der" }),
+        asn1.contextTag(3, asn1.sequence(...extensions))
+    );
+    const signature = crypto.sign(digest, tbs, options.signingKey);
+    const der = asn1.sequence(tbs, algorithm, asn1.bitString(signature));
+
+    return pem("CERTIFICATE", der);
+}
+
+/**
+ * Builds and signs a PKCS#10 certificate signing request. The SANs go into
+ * an extensionRequest attribute.
+ * @param {object} options
+ * @param {string} options.subject - Subject common name.
+ * @param {crypto.KeyObject} options.publicKey
+ * @param {crypto.KeyObject} options.signingKey - The matching private key.
+ * @param {string[]} [options.dnsNames]
+ * @param {string[]} [options.ipAddresses]
+ * @param {string[]} [options.uris]
+ * @returns {string} The request as PEM.
+ */
+function buildCsr(options) {
+    const { algorithm, digest } = signatureAlgorithm(options.signingKey);
+
+    const sans = generalNames(options);
+    const attributes = sans.length > 2
+        ? [asn1.sequence(asn1.oid(OID.extensionRequest), asn1.set(asn1.sequence(extension(OID.subjectAltName, false, sans))))]
+        : [];
+    const info = asn1.sequence(
+        asn1.integer(0),
+        name(options.subject),
+        options.publicKey.export({ type: "spki", format: "der" }),
+        asn1.contextTag(0, Buffer.concat(attributes))
+    );
+    const signature = crypto.sign(digest, info, options.signingKey);
+    return pem("CERTIFICATE REQUEST", asn1.sequence(info, algorithm, asn1.bitString(signature)));
+}
+
+/**
+ * @param {string} label - e.g. "CERTIFICATE".
+ * @param {Buffer} der
+ * @returns {string}
+ */
+function pem(label, der) {
+    const base64 = der.toString("base64").match(/.{1,64}/g).join("\n");
+    return `-----BEGIN ${label}-----\n${base64}\n-----END ${label}-----\n`;
+}
+
+module.exports = { buildCertificate, buildCsr };
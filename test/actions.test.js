@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { runAction, describeAction } = require("../src/actions.js");
+
+/**
+ * A temporary directory, removed when the test ends.
+ * @param {object} t
+ * @returns {string}
+ */
+function tmpDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "certrotator-actions-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Runs an action and collects the lines it reports.
+ * @param {object} hook
+ * @returns {Promise<string[]>}
+ */
+async function run(hook) {
+    const lines = [];
+    await runAction(hook, { onOutput: (stream, line) => lines.push(`${stream}: ${line}`) });
+    return lines;
+}
+
+/**
+ * Starts a server, on a port or a Unix socket, that is closed when the test ends.
+ * @param {object} t
+ * @param {net.Server} server
+ * @param {string} [socketPath]
+ * @returns {Promise<net.Server>}
+ */
+async function listen(t, server, socketPath) {
+    await new Promise((resolve) => (socketPath ? server.listen(socketPath, resolve) : server.listen(0, "127.0.0.1", resolve)));
+    t.after(() => {
+        if (server.closeAllConnections) {
+            server.closeAllConnections();
+        }
+        server.close();
+    });
+    return server;
+}
+
+test("describeAction says what an action does", () => {
+    assert.strictEqual(describeAction({ signal: { pidfile: "/run/nginx.pid", signal: "SIGHUP" } }), "signal SIGHUP to the pid in /run/nginx.pid");
+    assert.strictEqual(describeAction({ http: { method: "POST", url: "http://localhost/reload", socket: "/var/run/docker.sock" } }),
+        "POST http://localhost/reload via /var/run/docker.sock");
+    assert.strictEqual(describeAction({ socket: { path: "/run/haproxy/admin.sock", data: "reload\n" } }), "write to /run/haproxy/admin.sock");
+});
+
+test("signal sends the signal to the pid of the pidfile", async (t) => {
+    const dir = tmpDir(t);
+    const pidfile = path.join(dir, "service.pid");
+    const child = spawn("sleep", ["30"]);
+    const exited = new Promise((resolve) => child.once("exit", (code, signal) => resolve(signal)));
+    fs.writeFileSync(pidfile, `${child.pid}\n`);
+
+    assert.deepStrictEqual(await run({ signal: { pidfile, signal: "SIGTERM" } }), []);
+    assert.strictEqual(await exited, "SIGTERM");
+});
+
+test("signal fails on a missing or bad pidfile and a process that is gone", async (t) => {
+    const dir = tmpDir(t);
+    const pidfile = path.join(dir, "service.pid");
+    const hook = { signal: { pidfile, signal: "SIGHUP" } };
+
+    await assert.rejects(runAction(hook), /ENOENT/);
+    fs.writeFileSync(pidfile, "nginx\n");
+    await assert.rejects(runAction(hook), new RegExp(`${pidfile} doesn't hold a pid: "nginx"`));
+    // Never init, or every process of the group.
+    for (const pid of ["1", "0"]) {
+        fs.writeFileSync(pidfile, pid);
+        await assert.rejects(runAction(hook), /doesn't hold a pid/);
+    }
+
+    const child = spawn("true");
+    await new Promise((resolve) => child.once("exit", resolve));
+    fs.writeFileSync(pidfile, String(child.pid));
+    await assert.rejects(runAction(hook), /ESRCH/);
+});
+
+test("http calls the endpoint, over TCP or a Unix socket, and reports the answer", async (t) => {
+    const requests = [];
+    const handler = (req, res) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.writeHead(200);
+            res.end("reloaded\r\n\r\nworkers: 4\n");
+        });
+    };
+    const server = await listen(t, http.createServer(handler));
+    const socketPath = path.join(tmpDir(t), "docker.sock");
+    await listen(t, http.createServer(handler), socketPath);
+
+    const url = `http://127.0.0.1:${server.address().port}/reload?graceful=1`;
+    const lines = await run({ http: { url, method: "POST", headers: { authorization: "Bearer s3cret" }, body: "{\"all\":true}" } });
+    assert.deepStrictEqual(lines, ["stdout: reloaded", "stdout: workers: 4"]);
+    assert.strictEqual(requests[0].method, "POST");
+    assert.strictEqual(requests[0].url, "/reload?graceful=1");
+    assert.strictEqual(requests[0].headers.authorization, "Bearer s3cret");
+    assert.strictEqual(requests[0].body, "{\"all\":true}");
+
+    await run({ http: { url: "http://localhost/containers/web/kill?signal=HUP", method: "POST", socket: socketPath } });
+    assert.strictEqual(requests[1].url, "/containers/web/kill?signal=HUP");
+});
+
+test("http fails on an unexpected status, unless 'expect_status' allows it", async (t) => {
+    const server = await listen(t, http.createServer((req, res) => {
+        res.writeHead(req.url === "/missing" ? 404 : 204);
+        res.end();
+    }));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    await assert.rejects(runAction({ http: { url: `${base}/missing`, method: "GET" } }), new RegExp(`GET ${base}/missing answered with status 404`));
+    await runAction({ http: { url: `${base}/missing`, method: "GET", expect_status: [200, 404] } });
+    await runAction({ http: { url: `${base}/ok`, method: "GET" } });
+    await assert.rejects(runAction({ http: { url: `${base}/ok`, method: "GET", expect_status: [200] } }), /answered with status 204/);
+});
+
+test("http gives up after 'timeout_ms' and fails when nothing listens", async (t) => {
+    // Never answers.
+    const server = await listen(t, http.createServer(() => {}));
+    const started = Date.now();
+    await assert.rejects(runAction({ http: { url: `http://127.0.0.1:${server.address().port}/`, method: "GET" }, timeout_ms: 300 }),
+        /timed out after 300 ms/);
+    assert.ok(Date.now() - started < 2000);
+
+    await assert.rejects(runAction({ http: { url: "http://localhost/", method: "GET", socket: path.join(tmpDir(t), "gone.sock") } }), /ENOENT/);
+});
+
+test("socket writes the data and checks the answer against 'expect'", async (t) => {
+    const socketPath = path.join(tmpDir(t), "admin.sock");
+    const received = [];
+    await listen(t, net.createServer((connection) => {
+        const chunks = [];
+        connection.on("data", (chunk) => chunks.push(chunk));
+        connection.on("end", () => {
+            received.push(Buffer.concat(chunks).toString());
+            connection.end("Reloading.\nSuccess=1\n");
+        });
+    }), socketPath);
+
+    assert.deepStrictEqual(await run({ socket: { path: socketPath, data: "reload\n", expect: "Success=1" } }), ["stdout: Reloading.", "stdout: Success=1"]);
+    assert.deepStrictEqual(received, ["reload\n"]);
+    await assert.rejects(runAction({ socket: { path: socketPath, data: "reload\n", expect: "^Success=1" } }),
+        new RegExp(`The answer of ${socketPath} doesn't match /\\^Success=1/`));
+});
+
+test("socket fails when nobody listens or the answer doesn't come within 'timeout_ms'", async (t) => {
+    const dir = tmpDir(t);
+    await assert.rejects(runAction({ socket: { path: path.join(dir, "gone.sock"), data: "reload\n" } }), /ENOENT/);
+
+    // Reads, never answers nor closes.
+    const socketPath = path.join(dir, "silent.sock");
+    await listen(t, net.createServer({ allowHalfOpen: true }, (connection) => connection.resume()), socketPath);
+    await assert.rejects(runAction({ socket: { path: socketPath, data: "reload\n" }, timeout_ms: 300 }),
+        new RegExp(`${socketPath} didn't answer within 300 ms`));
+});
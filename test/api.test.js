@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { CertRotator, ConfigError } = require("../src/api.js");
+const { fakeClock, fakeVault, fakeFiles, fakeRunner, rawConfig } = require("./helpers.js");
+
+/**
+ * A CertRotator on fakes, and what it emitted.
+ * @param {object} [overrides] - For rawConfig().
+ */
+function setup(overrides) {
+    const clock = fakeClock();
+    const vault = fakeVault(clock);
+    const runner = fakeRunner(clock);
+    const config = rawConfig(vault.caPem, overrides);
+    const api = new CertRotator(config, {
+        deps: { clock, vault, runner, files: fakeFiles(), deliver: async () => {} }
+    });
+    const events = [];
+    ["issued", "replaced", "rolled_back", "recovered", "expiring", "fatal"].forEach((event) => {
+        api.on(event, (payload) => events.push({ event, payload }));
+    });
+    return { api, clock, vault, runner, config, events };
+}
+
+test("an invalid config throws a ConfigError", () => {
+    assert.throws(() => new CertRotator({ vault: {} }), ConfigError);
+});
+
+test("the config passed in is left alone", () => {
+    const { config } = setup();
+    assert.strictEqual(config.intervals.ok, 0.4);
+    assert.strictEqual(config.revoke, undefined);
+});
+
+test("start emits 'issued' and 'replaced' with the PEM material", async () => {
+    const { api, vault, events } = setup();
+    await api.start();
+
+    const [first] = vault.issued;
+    assert.deepStrictEqual(events.map((e) => e.event), ["issued", "replaced", "expiring"]);
+    const { payload } = events[1];
+    assert.strictEqual(payload.name, null);
+    assert.strictEqual(payload.status, "ok");
+    assert.strictEqual(payload.previous, null);
+    assert.strictEqual(payload.certificate.serial, first.serial_number);
+    assert.strictEqual(payload.certificate.certificate, first.certificate);
+    assert.strictEqual(payload.certificate.private_key, first.private_key);
+    assert.deepStrictEqual(payload.certificate.ca_chain, [vault.caPem]);
+    assert.deepStrictEqual(api.certificate(), payload.certificate);
+    assert.strictEqual(api.status()[0].status, "ok");
+
+    assert.strictEqual(await api.stop(), true);
+    assert.deepStrictEqual(api.status(), []);
+});
+
+test("'replaced' follows the rotation, 'error' needs no listener", async () => {
+    const { api, clock, vault, events } = setup();
+    await api.start();
+
+    vault.failNext();
+    await clock.advance(24 * 60000);
+    assert.strictEqual(api.status()[0].status, "error");
+    await clock.advance(3 * 60000);
+    assert.strictEqual(api.status()[0].status, "ok");
+    assert.ok(events.some((e) => e.event === "recovered"));
+
+    await api.rotateNow();
+    const replaced = events.filter((e) => e.event === "replaced").at(-1).payload;
+    assert.strictEqual(replaced.certificate.serial, vault.issued[2].serial_number);
+    assert.strictEqual(replaced.previous.serial, vault.issued[0].serial_number);
+    await api.stop();
+});
+
+test("'error' carries why the rotation failed", async () => {
+    const { api, clock, vault } = setup();
+    const errors = [];
+    api.on("error", (payload) => errors.push(payload));
+    await api.start();
+
+    vault.failNext();
+    await clock.advance(24 * 60000);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].status, "error");
+    assert.strictEqual(errors[0].error, "Vault is sealed");
+    assert.strictEqual(errors[0].certificate.serial, vault.issued[0].serial_number);
+    await api.stop();
+});
+
+test("a fatal error stops that certificate and leaves the process alone", async () => {
+    const { api, clock, runner, events } = setup({
+        onstart: [{ command: "onstart", onfail: { retry_num: 2, retry_every: 1000 } }]
+    });
+    runner.fail("onstart");
+
+    const started = api.start();
+    await clock.advance(10000);
+    await started;
+    const fatal = events.find((e) => e.event === "fatal").payload;
+    assert.strictEqual(fatal.name, null);
+    assert.match(fatal.error.message, /failed after 2 attempts/);
+    assert.deepStrictEqual(api.status(), []);
+    assert.throws(() => api.certificate(), /No certificate without a name/);
+});
+
+test("the certificates are checked for 'expiring' every hour until stopped", async (t) => {
+    t.mock.timers.enable({ apis: ["setInterval"] });
+    // The notifier is never sent anything, 'notify' is there for 'expiry_warning_ms'.
+    const { api, clock, events } = setup({
+        notify: { expiry_warning_ms: 20 * 60000, notifiers: [{ type: "webhook", url: "http://127.0.0.1:9/", events: ["hook_exhausted"] }] }
+    });
+    await api.start();
+    assert.deepStrictEqual(events.map((e) => e.event), ["issued", "replaced"]);
+
+    // 15 minutes left, and no transition on the way.
+    clock.jump(45 * 60000);
+    t.mock.timers.tick(3600000);
+    assert.deepStrictEqual(events.map((e) => e.event), ["issued", "replaced", "expiring"]);
+
+    await api.stop(1000);
+    clock.jump(30 * 60000);
+    t.mock.timers.tick(3600000);
+    assert.strictEqual(events.length, 3);
+});
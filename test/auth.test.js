@@ -0,0 +1,196 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { makeConfig } = require("./helpers.js");
+const { startMockVault } = require("../src/vault/mock_server.js");
+const { getToken, invalidateToken } = require("../src/vault/auth.js");
+const { signRequest } = require("../src/aws/sigv4.js");
+const { buildCertificate } = require("../src/x509.js");
+
+const HOUR = 3600000;
+
+/**
+ * A temporary directory, removed when the test ends.
+ * @param {object} t
+ * @returns {string}
+ */
+function tmpDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "certrotator-auth-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * A self-signed key pair.
+ * @param {string} name - The common name.
+ * @param {object} [options]
+ * @param {number} [options.notAfter] - Default an hour from now.
+ * @param {string[]} [options.ipAddresses]
+ * @returns {{cert: string, key: string}} Both as PEM.
+ */
+function selfSigned(name, options = {}) {
+    const keyPair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    const cert = buildCertificate({
+        subject: name,
+        issuer: name,
+        publicKey: keyPair.publicKey,
+        signingKey: keyPair.privateKey,
+        serial: crypto.randomBytes(8),
+        notBefore: new Date(Date.now() - 2 * HOUR),
+        notAfter: new Date(options.notAfter || Date.now() + HOUR),
+        ipAddresses: options.ipAddresses
+    });
+    return { cert, key: keyPair.privateKey.export({ type: "pkcs8", format: "pem" }) };
+}
+
+/**
+ * A mock vault and a config that logs in to it with this auth block.
+ * @param {object} t
+ * @param {object} auth - 'vault.auth'.
+ * @param {object} [mockOptions] - For startMockVault().
+ * @returns {Promise<{mock: object, config: object}>}
+ */
+async function connect(t, auth, mockOptions = {}) {
+    const mock = await startMockVault({ role: "web", ...mockOptions });
+    t.after(() => mock.close());
+    const ca = mockOptions.tls ? mockOptions.tls.cert : mock.caPem;
+    const config = makeConfig(ca, { vault: { address: mock.address, pki_path: "pki", pki_role: "web", auth } });
+    return { mock, config };
+}
+
+/**
+ * @param {object} mock
+ * @param {string} apiPath - e.g. "/v1/auth/token/renew-self".
+ * @returns {object[]} The requests the mock got for it.
+ */
+function requestsTo(mock, apiPath) {
+    return mock.requests.filter((request) => request.path === apiPath);
+}
+
+test("aws signs an sts:GetCallerIdentity request for vault to replay", async (t) => {
+    const { mock, config } = await connect(t, {
+        method: "aws",
+        role: "web-role",
+        access_key_id: "AKIDVAULT",
+        secret_access_key: "secret",
+        iam_server_id: "vault.example.com"
+    });
+
+    assert.strictEqual(await getToken(config), "s.mock1");
+    const [login] = mock.requests;
+    assert.strictEqual(login.path, "/v1/auth/aws/login");
+    assert.strictEqual(login.body.role, "web-role");
+    assert.strictEqual(login.body.iam_http_request_method, "POST");
+    const url = Buffer.from(login.body.iam_request_url, "base64").toString();
+    const body = Buffer.from(login.body.iam_request_body, "base64").toString();
+    const headers = JSON.parse(Buffer.from(login.body.iam_request_headers, "base64").toString());
+    assert.strictEqual(url, "https://sts.amazonaws.com/");
+    assert.strictEqual(body, "Action=GetCallerIdentity&Version=2011-06-15");
+    assert.strictEqual(headers.host, "sts.amazonaws.com");
+    assert.strictEqual(headers["x-vault-aws-iam-server-id"], "vault.example.com");
+    assert.match(headers.authorization,
+        /^AWS4-HMAC-SHA256 Credential=AKIDVAULT\/\d{8}\/us-east-1\/sts\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date;x-vault-aws-iam-server-id, /);
+
+    // What vault forwards to STS carries a valid signature for these keys.
+    const date = new Date(headers["x-amz-date"].replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, "$1-$2-$3T$4:$5:$6Z"));
+    const { authorization, ...unsigned } = headers;
+    const expected = signRequest({
+        method: "POST",
+        url: new URL(url),
+        headers: { "content-type": unsigned["content-type"], "x-vault-aws-iam-server-id": unsigned["x-vault-aws-iam-server-id"] },
+        body,
+        service: "sts",
+        region: "us-east-1",
+        credentials: { accessKeyId: "AKIDVAULT", secretAccessKey: "secret" },
+        date
+    });
+    assert.strictEqual(authorization, expected.authorization);
+});
+
+test("kubernetes sends the trimmed service account token to its mount", async (t) => {
+    const jwtFile = path.join(tmpDir(t), "token");
+    fs.writeFileSync(jwtFile, "eyJhbGciOiJSUzI1NiJ9.e30.c2ln\n");
+    const { mock, config } = await connect(t, { method: "kubernetes", role: "web-role", jwt_file: jwtFile, mount: "/k8s/prod/" });
+
+    assert.strictEqual(await getToken(config), "s.mock1");
+    assert.strictEqual(mock.requests[0].path, "/v1/auth/k8s/prod/login");
+    assert.deepStrictEqual(mock.requests[0].body, { role: "web-role", jwt: "eyJhbGciOiJSUzI1NiJ9.e30.c2ln" });
+});
+
+test("cert logs in with the installed bundle, and the bootstrap pair until there is a valid one", async (t) => {
+    const dir = tmpDir(t);
+    const bootstrap = selfSigned("bootstrap");
+    fs.writeFileSync(path.join(dir, "bootstrap.pem"), bootstrap.cert);
+    fs.writeFileSync(path.join(dir, "bootstrap.key"), bootstrap.key);
+    const { mock, config } = await connect(t, {
+        method: "cert",
+        role: "web-role",
+        bootstrap_cert: path.join(dir, "bootstrap.pem"),
+        bootstrap_key: path.join(dir, "bootstrap.key")
+    }, { tls: selfSigned("Mock Vault", { ipAddresses: ["127.0.0.1"] }) });
+    const logins = () => requestsTo(mock, "/v1/auth/cert/login");
+
+    await getToken(config);
+    assert.deepStrictEqual(logins().map((request) => request.client), ["bootstrap"]);
+    assert.deepStrictEqual(logins()[0].body, { name: "web-role" });
+
+    const installed = selfSigned("installed");
+    fs.writeFileSync(config.tls.cert, installed.cert + installed.key);
+    invalidateToken(config);
+    await getToken(config);
+
+    const expired = selfSigned("expired", { notAfter: Date.now() - HOUR });
+    fs.writeFileSync(config.tls.cert, expired.cert + expired.key);
+    invalidateToken(config);
+    await getToken(config);
+    assert.deepStrictEqual(logins().map((request) => request.client), ["bootstrap", "installed", "bootstrap"]);
+
+    fs.writeFileSync(config.tls.cert, "");
+    const { bootstrap_cert, bootstrap_key, ...withoutBootstrap } = config.vault.auth;
+    const unbootstrapped = { ...config, vault: { ...config.vault, auth: withoutBootstrap } };
+    await assert.rejects(getToken(unbootstrapped), /TLS cert auth needs a valid installed bundle or 'vault.auth.bootstrap_cert'\./);
+    assert.strictEqual(logins().length, 3);
+});
+
+test("the token is reused while fresh, renewed once two thirds of its ttl are gone, and replaced when that fails", async (t) => {
+    const { mock, config } = await connect(t, { method: "approle", role_id: "r", secret_id: "s" });
+    // The mock runs in this process, so its tokens age along.
+    const now = Date.now;
+    let offset = 0;
+    t.mock.method(Date, "now", () => now() + offset);
+    const logins = () => requestsTo(mock, "/v1/auth/approle/login").length;
+    const renewals = () => requestsTo(mock, "/v1/auth/token/renew-self").length;
+
+    assert.strictEqual(await getToken(config), "s.mock1");
+    offset = 0.6 * HOUR;
+    assert.strictEqual(await getToken(config), "s.mock1");
+    assert.deepStrictEqual([logins(), renewals()], [1, 0]);
+
+    // 20 of its 60 minutes left: renewed, for the whole ttl again.
+    offset = 0.7 * HOUR;
+    assert.strictEqual(await getToken(config), "s.mock1");
+    assert.deepStrictEqual([logins(), renewals()], [1, 1]);
+    offset = 1.2 * HOUR;
+    assert.strictEqual(await getToken(config), "s.mock1");
+    assert.deepStrictEqual([logins(), renewals()], [1, 1]);
+
+    // The renewal is refused: log in again.
+    offset = 1.5 * HOUR;
+    mock.failNext(403, ["permission denied"], { path: "/v1/auth/token/renew-self" });
+    assert.strictEqual(await getToken(config), "s.mock2");
+    assert.deepStrictEqual([logins(), renewals()], [2, 2]);
+
+    // Expired: log in again without trying to renew.
+    offset = 2.6 * HOUR;
+    assert.strictEqual(await getToken(config), "s.mock3");
+    assert.deepStrictEqual([logins(), renewals()], [3, 2]);
+
+    // Other auth settings, e.g. after a reload: log in with those.
+    const reloaded = { ...config, vault: { ...config.vault, auth: { ...config.vault.auth, secret_id: "t" } } };
+    assert.strictEqual(await getToken(reloaded), "s.mock4");
+    assert.strictEqual(requestsTo(mock, "/v1/auth/approle/login")[3].body.secret_id, "t");
+    assert.strictEqual(renewals(), 2);
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const logger = require("../src/logger.js");
+const { fakeClock, fakeVault, makeConfig, rawConfig } = require("./helpers.js");
+const validateConfig = require("../src/parse_config.js");
+const { writeCertificate } = require("../src/cert_files.js");
+
+/**
+ * A config with separate 'tls.cert' and 'tls.key' that hold a first certificate.
+ * @param {object} [overrides] - For makeConfig().
+ * @returns {Promise<{config: object, vault: object, dir: string, before: object}>}
+ */
+async function installed(overrides = {}) {
+    const vault = fakeVault(fakeClock());
+    const config = makeConfig(vault.caPem, overrides);
+    const dir = path.dirname(config.tls.ca);
+    config.tls.cert = path.join(dir, "tls.crt");
+    config.tls.key = path.join(dir, "tls.key");
+    writeCertificate(await vault.issueCertificate(config), config, logger);
+    const before = {
+        cert: fs.readFileSync(config.tls.cert, "utf8"),
+        key: fs.readFileSync(config.tls.key, "utf8")
+    };
+    return { config, vault, dir, before };
+}
+
+/**
+ * @param {string} dir
+ * @returns {string[]} The temp files left in 'dir'.
+ */
+function leftovers(dir) {
+    return fs.readdirSync(dir).filter((file) => file.endsWith(".tmp"));
+}
+
+test("a failed key write leaves the installed certificate and key alone", async () => {
+    const { config, vault, dir, before } = await installed();
+    const next = await vault.issueCertificate(config);
+    config.tls.key = path.join(dir, "gone", "tls.key");
+
+    assert.throws(() => writeCertificate(next, config, logger), /ENOENT/);
+    assert.strictEqual(fs.readFileSync(config.tls.cert, "utf8"), before.cert);
+    assert.deepStrictEqual(leftovers(dir), []);
+});
+
+test("a failed output write leaves the installed certificate and key alone", async () => {
+    const { config, vault, dir, before } = await installed();
+    const next = await vault.issueCertificate(config);
+    config.outputs = [{ path: path.join(dir, "gone", "chain.pem"), format: "pem", contents: ["chain"] }];
+
+    assert.throws(() => writeCertificate(next, config, logger), /ENOENT/);
+    assert.strictEqual(fs.readFileSync(config.tls.cert, "utf8"), before.cert);
+    assert.strictEqual(fs.readFileSync(config.tls.key, "utf8"), before.key);
+    assert.deepStrictEqual(leftovers(dir), []);
+});
+
+test("a complete write replaces every file and keeps the previous ones as .bak", async () => {
+    const { config, vault, before } = await installed();
+    const next = await vault.issueCertificate(config);
+
+    writeCertificate(next, config, logger);
+    assert.strictEqual(fs.readFileSync(config.tls.cert, "utf8"), next.certificate + "\n");
+    assert.strictEqual(fs.readFileSync(config.tls.key, "utf8"), next.private_key + "\n");
+    assert.strictEqual(fs.readFileSync(`${config.tls.cert}.bak`, "utf8"), before.cert);
+    assert.strictEqual(fs.readFileSync(`${config.tls.key}.bak`, "utf8"), before.key);
+});
+
+test("a separate key file gets 'tls.key_mode', 0600 unless set", async () => {
+    const vault = fakeVault(fakeClock());
+    const config = rawConfig(vault.caPem);
+    const dir = path.dirname(config.tls.ca);
+    config.tls = { ...config.tls, cert: path.join(dir, "tls.crt"), key: path.join(dir, "tls.key"), mode: "0644" };
+    [config.tls.cert, config.tls.key].forEach((file) => fs.writeFileSync(file, ""));
+    validateConfig(config, { strict: true });
+    writeCertificate(await vault.issueCertificate(config), config, logger);
+    assert.strictEqual(fs.statSync(config.tls.cert).mode & 0o777, 0o644);
+    assert.strictEqual(fs.statSync(config.tls.key).mode & 0o777, 0o600);
+
+    config.tls.key_mode = 0o640;
+    writeCertificate(await vault.issueCertificate(config), config, logger);
+    assert.strictEqual(fs.statSync(config.tls.key).mode & 0o777, 0o640);
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { rawConfig, send, waitFor } = require("./helpers.js");
+const { startMockVault } = require("../src/vault/mock_server.js");
+
+const INDEX = path.join(__dirname, "..", "src", "index.js");
+
+test("the daemon keeps running while every certificate is paused", async (t) => {
+    const vault = await startMockVault();
+    t.after(() => vault.close());
+
+    const config = rawConfig(vault.caPem, { onstart: [{ command: "true" }], onreplace: [{ command: "true" }] });
+    const dir = path.dirname(config.tls.ca);
+    config.vault.address = vault.address;
+    config.control = { socket: path.join(dir, "control.sock") };
+    fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(config));
+
+    const daemon = spawn(process.execPath, [INDEX, "run", path.join(dir, "config.json")], { stdio: "ignore" });
+    const exited = new Promise((resolve) => daemon.on("exit", resolve));
+    t.after(() => {
+        if (daemon.exitCode === null) {
+            daemon.kill("SIGKILL");
+        }
+    });
+
+    await waitFor(() => fs.existsSync(config.control.socket) && fs.statSync(config.tls.cert).size > 0, 10000);
+    const paused = await send(config.control.socket, "pause");
+    assert.strictEqual(paused.ok, true);
+    assert.strictEqual(paused.certificates[0].paused, true);
+
+    // Nothing is scheduled now; the daemon used to exit here.
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    assert.strictEqual(daemon.exitCode, null);
+
+    const resumed = await send(config.control.socket, "resume");
+    assert.strictEqual(resumed.ok, true);
+    assert.strictEqual(resumed.certificates[0].paused, false);
+    assert.strictEqual(daemon.exitCode, null);
+
+    daemon.kill("SIGTERM");
+    assert.strictEqual(await exited, 0);
+});
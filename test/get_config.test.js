@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("./helpers.js");
+const get_config = require("../src/get_config.js");
+
+/**
+ * Writes the files into a fresh directory.
+ * @param {object} files - Relative path => contents, objects as JSON.
+ * @returns {string} The directory.
+ */
+function tree(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "certrotator-config-"));
+    process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.entries(files).forEach(([name, contents]) => {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), typeof contents === "string" ? contents : JSON.stringify(contents));
+    });
+    return dir;
+}
+
+test("YAML and JSON files are both read", () => {
+    const dir = tree({
+        "config.yaml": "vault:\n  address: https://vault:8200\ncert:\n  common_name: www.example.com\n  ttl: 1h\n",
+        "broken.yml": "vault: [unclosed\n",
+        "broken.json": "{\"vault\": "
+    });
+    assert.deepStrictEqual(get_config(path.join(dir, "config.yaml")), {
+        vault: { address: "https://vault:8200" },
+        cert: { common_name: "www.example.com", ttl: "1h" }
+    });
+    assert.throws(() => get_config(path.join(dir, "broken.yml")), /broken\.yml is not valid YAML/);
+    assert.throws(() => get_config(path.join(dir, "broken.json")), /broken\.json is not valid JSON/);
+    assert.throws(() => get_config(path.join(dir, "missing.json")), /Can't read .*missing\.json/);
+});
+
+test("includes are merged in order, then the including file over them", () => {
+    const dir = tree({
+        "base/vault.json": { vault: { address: "https://vault:8200", pki_path: "pki", auth: { method: "approle", role_id: "r", secret_id: "s" } } },
+        "base/certs.yaml": "certificates:\n  - name: web\n    cert: { common_name: www.example.com }\n  - name: api\n    cert: { common_name: api.example.com }\n",
+        "config.json": {
+            include: ["base/vault.json", "base/certs.yaml"],
+            vault: { pki_path: "pki_int", auth: { method: "kubernetes", role: "certrotator" } },
+            certificates: [{ name: "api", cert: { ttl: "2h" } }, { name: "db", cert: { common_name: "db.example.com" } }]
+        }
+    });
+    assert.deepStrictEqual(get_config(path.join(dir, "config.json")), {
+        // 'auth' is replaced as a whole, the rest of 'vault' key by key.
+        vault: { address: "https://vault:8200", pki_path: "pki_int", auth: { method: "kubernetes", role: "certrotator" } },
+        certificates: [
+            { name: "web", cert: { common_name: "www.example.com" } },
+            { name: "api", cert: { common_name: "api.example.com", ttl: "2h" } },
+            { name: "db", cert: { common_name: "db.example.com" } }
+        ]
+    });
+});
+
+test("include loops and includes that aren't objects are refused", () => {
+    const dir = tree({
+        "a.json": { include: "b.json" },
+        "b.json": { include: ["a.json"] },
+        "list.json": ["not", "an", "object"],
+        "c.json": { include: "list.json" },
+        "d.json": { include: [""] }
+    });
+    assert.throws(() => get_config(path.join(dir, "a.json")), /Include loop: .*a\.json -> .*b\.json -> .*a\.json/);
+    assert.throws(() => get_config(path.join(dir, "c.json")), /list\.json, included by .*c\.json, must hold an object/);
+    assert.throws(() => get_config(path.join(dir, "d.json")), /'include' in .*d\.json must be a path or a list of paths/);
+});
+
+test("${ENV} and ${file:} references are resolved, $${...} is kept literally", (t) => {
+    process.env.CERTROTATOR_TEST_ROLE = "web";
+    t.after(() => delete process.env.CERTROTATOR_TEST_ROLE);
+    const dir = tree({
+        "secrets/secret_id": "s3cret\n",
+        "shared/vault.json": { vault: { auth: { method: "approle", role_id: "r", secret_id: "${file:../secrets/secret_id}" } } },
+        "config.json": {
+            include: "shared/vault.json",
+            vault: { pki_role: "${CERTROTATOR_TEST_ROLE}", address: "https://vault:8200" },
+            onreplace: [{ command: "echo $${CERTROTATOR_SERIAL} for ${CERTROTATOR_TEST_ROLE}" }]
+        }
+    });
+    const config = get_config(path.join(dir, "config.json"));
+    // Relative to the file that has the reference, not the one including it.
+    assert.strictEqual(config.vault.auth.secret_id, "s3cret");
+    assert.strictEqual(config.vault.pki_role, "web");
+    assert.strictEqual(config.onreplace[0].command, "echo ${CERTROTATOR_SERIAL} for web");
+});
+
+test("references are resolved after the merge, so overridden ones don't count", () => {
+    delete process.env.CERTROTATOR_TEST_UNSET;
+    const dir = tree({
+        "base.json": { vault: { auth: { method: "token", token_file: "${file:missing}" }, address: "${CERTROTATOR_TEST_UNSET}" } },
+        "config.json": { include: "base.json", vault: { auth: { method: "approle", role_id: "r", secret_id: "s" }, address: "https://vault:8200" } },
+        "unset.json": { include: "base.json", vault: { pki_role: "${bad name}" } }
+    });
+    assert.deepStrictEqual(get_config(path.join(dir, "config.json")).vault, {
+        auth: { method: "approle", role_id: "r", secret_id: "s" },
+        address: "https://vault:8200"
+    });
+    assert.throws(() => get_config(path.join(dir, "unset.json")), (e) => {
+        assert.deepStrictEqual(e.errors, [
+            `'vault.auth.token_file' refers to ${path.join(dir, "missing")}, which can't be read: ENOENT: no such file or directory, open '${path.join(dir, "missing")}'`,
+            "'vault.address' refers to the environment variable CERTROTATOR_TEST_UNSET, which is not set.",
+            "'vault.pki_role' has an invalid reference ${bad name}, expected ${ENV_VAR} or ${file:/path}."
+        ]);
+        return true;
+    });
+});
@@ -0,0 +1,369 @@
+/**
+ * Fakes for the dependencies of a Rotator: a clock that only moves when told
+ * to, a vault that signs with a local CA, in-memory files and a hook runner
+ * that records what it was asked to run. Plus waitFor() and send() for the
+ * tests that run the daemon.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const logger = require("../src/logger.js");
+const validateConfig = require("../src/parse_config.js");
+const { Rotator } = require("../src/rotator.js");
+const { buildCertificate } = require("../src/x509.js");
+const { parseTtl } = require("../src/verify.js");
+const { csrPublicKey } = require("../src/vault/mock_server.js");
+
+logger.silent = true;
+
+// 2030-01-01T00:00:00Z, on a whole second like certificate dates.
+const EPOCH = Date.UTC(2030, 0, 1);
+
+/**
+ * Lets every pending promise callback and I/O callback run.
+ * @returns {Promise<void>}
+ */
+async function flush() {
+    for (let i = 0; i < 10; i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+}
+
+/**
+ * Waits for 'check' to return true, polling every 50ms.
+ * @param {function(): boolean} check
+ * @param {number} timeoutMs
+ * @returns {Promise<void>}
+ */
+async function waitFor(check, timeoutMs) {
+    const until = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > until) {
+            throw new Error("Timed out waiting.");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+}
+
+/**
+ * Sends one request line to a control socket.
+ * @param {string} socketPath
+ * @param {string} request
+ * @returns {Promise<object>} The answer.
+ */
+function send(socketPath, request) {
+    return new Promise((resolve, reject) => {
+        let answer = "";
+        const socket = net.connect(socketPath, () => socket.write(`${request}\n`));
+        socket.setEncoding("utf8");
+        socket.on("data", (chunk) => {
+            answer += chunk;
+        });
+        socket.on("error", reject);
+        socket.on("end", () => resolve(JSON.parse(answer)));
+    });
+}
+
+/**
+ * A clock whose timers fire only from advance().
+ * @param {number} [start] - In ms.
+ * @returns {object} now(), setTimeout(), clearTimeout(), advance(), jump() and pending().
+ */
+function fakeClock(start = EPOCH) {
+    let time = start;
+    let timers = [];
+    let counter = 0;
+
+    return {
+        now: () => time,
+        setTimeout(fn, ms) {
+            const timer = { fn, at: time + Math.max(0, ms), id: counter++ };
+            timers.push(timer);
+            return timer;
+        },
+        clearTimeout(timer) {
+            timers = timers.filter((other) => other !== timer);
+        },
+
+        /**
+         * Moves the time forward, firing every timer that falls due on the way
+         * in order, and lets what they started run before the next one.
+         * @param {number} ms
+         * @returns {Promise<void>}
+         */
+        async advance(ms) {
+            const until = time + ms;
+            await flush();
+            for (;;) {
+                const due = timers
+                    .filter((timer) => timer.at <= until)
+                    .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+                if (!due) {
+                    break;
+                }
+                timers = timers.filter((other) => other !== due);
+                time = due.at;
+                due.fn();
+                await flush();
+            }
+            time = until;
+        },
+
+        /**
+         * Moves the time forward without firing anything.
+         * @param {number} ms
+         */
+        jump(ms) {
+            time += ms;
+        },
+
+        /**
+         * @returns {number[]} The delays of the pending timers from now, soonest first.
+         */
+        pending() {
+            return timers.map((timer) => timer.at - time).sort((a, b) => a - b);
+        }
+    };
+}
+
+/**
+ * A vault that issues real certificates from its own CA, valid from the fake
+ * clock's now for the ttl of the request.
+ * @param {object} clock - See fakeClock().
+ * @returns {object} caPem, issued, calls, failNext(), issueCertificate(), signCertificate().
+ */
+function fakeVault(clock) {
+    const caKey = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    const caPem = buildCertificate({
+        subject: "Test Root CA",
+        issuer: "Test Root CA",
+        publicKey: caKey.publicKey,
+        signingKey: caKey.privateKey,
+        serial: Buffer.from([0x01]),
+        notBefore: new Date(EPOCH - 86400 * 1000),
+        notAfter: new Date(EPOCH + 365 * 86400 * 1000),
+        isCA: true
+    }).trim();
+    let failures = 0;
+    let counter = 0;
+
+    /**
+     * A certificate for the 'cert' request and the public key.
+     * @param {object} config
+     * @param {crypto.KeyObject} publicKey
+     * @returns {object} The certificate data, without the private key.
+     */
+    const certify = (config, publicKey) => {
+        counter++;
+        const notAfter = new Date(clock.now() + parseTtl(config.cert.ttl));
+        const serial = Buffer.from([0x10, counter]);
+        return {
+            certificate: buildCertificate({
+                subject: config.cert.common_name,
+                issuer: "Test Root CA",
+                publicKey,
+                signingKey: caKey.privateKey,
+                serial,
+                notBefore: new Date(clock.now() - 60000),
+                notAfter,
+                dnsNames: [config.cert.common_name]
+            }).trim(),
+            issuing_ca: caPem,
+            ca_chain: [caPem],
+            serial_number: serial.toString("hex").match(/../g).join(":"),
+            expiration: Math.floor(notAfter.getTime() / 1000)
+        };
+    };
+
+    return {
+        caPem,
+        // Every certificate handed out.
+        issued: [],
+        // The CSRs signed.
+        csrs: [],
+        // How often a certificate was asked for.
+        calls: 0,
+
+        /**
+         * Makes the next calls fail.
+         * @param {number} [times] - Infinity to keep failing.
+         */
+        failNext(times = 1) {
+            failures = times;
+        },
+
+        /**
+         * Counts the call and throws if it is to fail.
+         */
+        attempt() {
+            this.calls++;
+            if (failures > 0) {
+                failures--;
+                const error = new Error("Vault is sealed");
+                error.status = 503;
+                throw error;
+            }
+        },
+
+        async issueCertificate(config) {
+            this.attempt();
+            const key = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+            const certData = {
+                ...certify(config, key.publicKey),
+                private_key: key.privateKey.export({ type: "sec1", format: "pem" }).trim()
+            };
+            this.issued.push(certData);
+            return certData;
+        },
+
+        async signCertificate(config, csr) {
+            this.attempt();
+            this.csrs.push(csr);
+            const certData = certify(config, csrPublicKey(csr));
+            this.issued.push(certData);
+            return certData;
+        }
+    };
+}
+
+/**
+ * The filesystem, in memory: records what was written, restored and saved.
+ * @returns {object}
+ */
+function fakeFiles() {
+    let failures = 0;
+    return {
+        // Serials, in the order they were written.
+        written: [],
+        restored: [],
+        // Copies of the state at every save.
+        states: [],
+
+        /**
+         * Makes the next writes fail.
+         * @param {number} [times]
+         */
+        failNext(times = 1) {
+            failures = times;
+        },
+
+        writeCertificate(certData) {
+            if (failures > 0) {
+                failures--;
+                throw new Error("ENOSPC: no space left on device");
+            }
+            this.written.push(certData.serial_number);
+        },
+        restoreCertificate(previous) {
+            this.restored.push(previous.serial_number);
+        },
+        saveState(current) {
+            this.states.push(structuredClone(current));
+        }
+    };
+}
+
+/**
+ * A hook runner that records every attempt instead of running anything.
+ * @param {object} clock - Stamps the attempts.
+ * @returns {function(object, object): Promise<void>} The runner, with 'calls' and fail().
+ */
+function fakeRunner(clock) {
+    const failing = new Set();
+    const runner = async (hook, options) => {
+        runner.calls.push({ command: hook.command, env: options.env, at: clock.now() });
+        if (failing.has(hook.command)) {
+            throw new Error("Command exited with code 1");
+        }
+    };
+    // {command, env, at} of every attempt.
+    runner.calls = [];
+    /**
+     * Makes every attempt of a command fail.
+     * @param {string} command
+     */
+    runner.fail = (command) => failing.add(command);
+    /**
+     * @param {string} command
+     * @returns {object[]} The attempts of one command.
+     */
+    runner.callsOf = (command) => runner.calls.filter((call) => call.command === command);
+    return runner;
+}
+
+/**
+ * A single-certificate config as written, before validation: ttl 1h, a
+ * renewal after 40% of it, retries after 5% of it and replacement once less
+ * than half of it is left.
+ * @param {string} caPem - Written to 'tls.ca', for verification.
+ * @param {object} [overrides] - Top-level sections that replace the defaults.
+ * @returns {object}
+ */
+function rawConfig(caPem, overrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "certrotator-test-"));
+    process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, "ca.pem"), caPem);
+    fs.writeFileSync(path.join(dir, "cert.pem"), "");
+    return {
+        vault: { address: "http://127.0.0.1:8200", pki_path: "pki", pki_role: "web", auth: { method: "approle", role_id: "r", secret_id: "s" } },
+        cert: { common_name: "www.example.com", ttl: "1h" },
+        tls: { ca: path.join(dir, "ca.pem"), cert: path.join(dir, "cert.pem"), key: path.join(dir, "cert.pem") },
+        intervals: { ok: 0.4, error: 0.05, default: 60000, buffer: 0.5 },
+        onstart: [{ command: "onstart" }],
+        onreplace: [{ command: "onreplace" }],
+        ...overrides
+    };
+}
+
+/**
+ * rawConfig(), validated and with the defaults filled in.
+ * @param {string} caPem
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function makeConfig(caPem, overrides = {}) {
+    const config = rawConfig(caPem, overrides);
+    validateConfig(config, { strict: true });
+    return config;
+}
+
+/**
+ * A Rotator wired to fresh fakes.
+ * @param {object} [options]
+ * @param {object} [options.config] - Overrides for makeConfig().
+ * @param {object} [options.current] - The initial state, "start" by default.
+ * @returns {{rotator: Rotator, clock: object, vault: object, files: object, runner: function, config: object, deliveries: string[]}}
+ *     'deliveries' has failNext() to make the next deliveries reject.
+ */
+function setup(options = {}) {
+    const clock = fakeClock();
+    const vault = fakeVault(clock);
+    const files = fakeFiles();
+    const runner = fakeRunner(clock);
+    const config = makeConfig(vault.caPem, options.config);
+    const deliveries = [];
+    let failures = 0;
+    deliveries.failNext = (times = 1) => {
+        failures = times;
+    };
+    const current = options.current || { status: "start", active_cert: null, second_cert: null };
+    const rotator = new Rotator(current, config, {
+        clock,
+        vault,
+        files,
+        runner,
+        deliver: async (bundle) => {
+            if (failures > 0) {
+                failures--;
+                throw new Error("Delivery to 's3' failed after 3 attempts.");
+            }
+            deliveries.push(bundle);
+        }
+    });
+    return { rotator, clock, vault, files, runner, config, deliveries };
+}
+
+module.exports = { EPOCH, flush, waitFor, send, fakeClock, fakeVault, fakeFiles, fakeRunner, rawConfig, makeConfig, setup };
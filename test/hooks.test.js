@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runHookCommands, runCommand, runningCount, killAll } = require("../src/hooks.js");
+const { fakeClock, fakeRunner, makeConfig, fakeVault } = require("./helpers.js");
+
+/**
+ * A validated config with these 'onreplace' commands, and a runner and clock to run them with.
+ * @param {object[]} onreplace
+ */
+function setup(onreplace) {
+    const clock = fakeClock();
+    const config = makeConfig(fakeVault(clock).caPem, { onreplace });
+    const runner = fakeRunner(clock);
+    const run = (context = {}) => runHookCommands(config.onreplace, "onreplace", config, context, { runner, clock });
+    return { clock, config, runner, run };
+}
+
+test("retries back off on the injected clock, up to 'max_delay'", async () => {
+    const { clock, runner, run } = setup([
+        { command: "reload", onfail: { retry_num: 5, retry_every: 1000, backoff: 3, max_delay: 5000 } }
+    ]);
+    runner.fail("reload");
+
+    const rejected = assert.rejects(run(), /\[reload\] failed after 5 attempts/);
+    await clock.advance(60000);
+    await rejected;
+    const attempts = runner.callsOf("reload");
+    assert.deepStrictEqual(attempts.map((call) => call.at - attempts[0].at), [0, 1000, 4000, 9000, 14000]);
+    assert.deepStrictEqual(attempts.map((call) => call.env.CERTROTATOR_ATTEMPT), ["1", "2", "3", "4", "5"]);
+});
+
+test("a command waits for its 'depends_on' and is skipped if one failed", async () => {
+    const { runner, run } = setup([
+        { command: "notify", depends_on: "reload" },
+        { command: "reload", name: "reload", onfail: { retry_num: 1 } },
+        { command: "audit" }
+    ]);
+    runner.fail("reload");
+
+    await assert.rejects(run(), /\[reload\] failed after 1 attempts/);
+    assert.deepStrictEqual(runner.calls.map((call) => call.command).sort(), ["audit", "reload"]);
+});
+
+test("'continue_on_failure' lets the list succeed", async () => {
+    const { runner, run } = setup([
+        { command: "optional", onfail: { retry_num: 1 }, continue_on_failure: true },
+        { command: "reload" }
+    ]);
+    runner.fail("optional");
+
+    await run({ certData: { serial_number: "10:02", expiration: 1900000000 }, previous: { serial_number: "10:01" } });
+    const reload = runner.callsOf("reload")[0];
+    assert.strictEqual(reload.env.CERTROTATOR_HOOK, "onreplace[1]");
+    assert.strictEqual(reload.env.CERTROTATOR_SERIAL, "10:02");
+    assert.strictEqual(reload.env.CERTROTATOR_PREVIOUS_SERIAL, "10:01");
+});
+
+/**
+ * Runs a command and collects what it prints.
+ * @param {string|string[]} command
+ * @param {object} [options] - For runCommand().
+ * @returns {Promise<{stdout: string[], stderr: string[]}>}
+ */
+async function capture(command, options = {}) {
+    const output = { stdout: [], stderr: [] };
+    await runCommand(command, { ...options, onOutput: (stream, line) => output[stream].push(line) });
+    return output;
+}
+
+test("runCommand runs an argv list without a shell and a string through one", async () => {
+    assert.deepStrictEqual((await capture(["printf", "%s|%s\\n", "a b", "$HOME; echo no"])).stdout, ["a b|$HOME; echo no"]);
+    assert.deepStrictEqual((await capture("echo $((1 + 2)) | tr 3 x")).stdout, ["x"]);
+    await assert.rejects(runCommand(["exit"]), /Failed to start command: spawn exit ENOENT/);
+    await assert.rejects(runCommand("exit 3"), /Command exited with code 3/);
+    await assert.rejects(runCommand("kill -USR1 $$"), /Command was killed by SIGUSR1/);
+});
+
+test("runCommand passes 'cwd' and the environment as given", async (t) => {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "certrotator-hooks-")));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const { stdout } = await capture("pwd; echo \"[$CERTROTATOR_SERIAL] [$HOME]\"", { cwd: dir, env: { PATH: process.env.PATH, CERTROTATOR_SERIAL: "10:02" } });
+    assert.deepStrictEqual(stdout, [dir, "[10:02] []"]);
+    await assert.rejects(runCommand("true", { cwd: path.join(dir, "gone") }), /Failed to start command: spawn .* ENOENT/);
+});
+
+test("runCommand runs as 'uid' and 'gid'", { skip: process.getuid() !== 0 && "needs root" }, async () => {
+    const { stdout } = await capture(["id", "-u"], { uid: 65534, gid: 65534, cwd: os.tmpdir() });
+    assert.deepStrictEqual(stdout, ["65534"]);
+    assert.deepStrictEqual((await capture(["id", "-g"], { uid: 65534, gid: 65534, cwd: os.tmpdir() })).stdout, ["65534"]);
+    // gid -1: keep ours.
+    assert.deepStrictEqual((await capture(["id", "-g"], { uid: 65534, gid: -1, cwd: os.tmpdir() })).stdout, [String(process.getgid())]);
+});
+
+test("runCommand settles after the last line of output", async () => {
+    const { stdout, stderr } = await capture("seq 1 20000; echo oops >&2; printf 'no newline'");
+    assert.strictEqual(stdout.length, 20001);
+    assert.strictEqual(stdout[19999], "20000");
+    assert.strictEqual(stdout[20000], "no newline");
+    assert.deepStrictEqual(stderr, ["oops"]);
+
+    // Also what a background process prints shortly after the command exited.
+    assert.deepStrictEqual((await capture("(sleep 0.3; echo late) & echo early")).stdout, ["early", "late"]);
+});
+
+test("runCommand stops reading the output a background process holds open", async () => {
+    const started = Date.now();
+    const { stdout } = await capture("sleep 30 & echo $!");
+    process.kill(Number(stdout[0]));
+    assert.ok(Date.now() - started < 5000);
+});
+
+test("killAll terminates every running command, SIGKILL for those ignoring SIGTERM", async () => {
+    const polite = runCommand("sleep 30");
+    let trapped;
+    const ready = new Promise((resolve) => {
+        trapped = resolve;
+    });
+    const stubborn = runCommand(["sh", "-c", "trap '' TERM; echo ready; sleep 30 & wait"], { onOutput: trapped });
+    await ready;
+    assert.strictEqual(runningCount(), 2);
+
+    const killed = [
+        assert.rejects(polite, /Command was killed by SIGTERM/),
+        assert.rejects(stubborn, /Command was killed by SIGKILL/)
+    ];
+    const started = Date.now();
+    await killAll();
+    assert.strictEqual(runningCount(), 0);
+    await Promise.all(killed);
+    // The grace period before SIGKILL.
+    assert.ok(Date.now() - started >= 4900);
+});
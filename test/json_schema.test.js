@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validate, formatPath } = require("../src/json_schema.js");
+
+const SCHEMA = {
+    type: "object",
+    properties: {
+        name: { type: "string", minLength: 1 },
+        ttl: { type: "string", pattern: "^\\d+[smh]$", examples: ["1h"] },
+        port: { type: "integer", minimum: 1, maximum: 65535 },
+        ratio: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+        level: { enum: ["debug", "info"], default: "info" },
+        version: { const: 1 },
+        hooks: { type: "array", minItems: 1, items: { $ref: "#/definitions/hook" } },
+        retry: { $ref: "#/definitions/retry" },
+        sink: {
+            type: "object",
+            properties: { type: { enum: ["file", "syslog"] }, path: { type: "string" } },
+            if: { properties: { type: { const: "file" } } },
+            then: { required: ["path"] }
+        },
+        tags: { type: "object", additionalProperties: { type: "string" } }
+    },
+    required: ["name"],
+    additionalProperties: false,
+    definitions: {
+        hook: {
+            type: "object",
+            properties: { command: { type: "string" }, timeout: { type: "number", default: 60 } },
+            required: ["command"],
+            additionalProperties: false
+        },
+        retry: {
+            anyOf: [
+                { const: true },
+                { type: "object", properties: { every: { type: "number", minimum: 1000, default: 60000 } }, additionalProperties: false }
+            ],
+            default: {}
+        }
+    }
+};
+
+/**
+ * The messages of validate(), errors and unknown keys apart.
+ * @param {*} value
+ * @param {object} [options]
+ * @returns {{errors: string[], unknown: string[]}}
+ */
+function messages(value, options) {
+    const { errors, unknown } = validate(SCHEMA, value, options);
+    return { errors: errors.map((problem) => problem.message), unknown: unknown.map((problem) => problem.message) };
+}
+
+test("formatPath joins keys with dots and indexes with brackets", () => {
+    assert.strictEqual(formatPath(["hooks", 0, "command"]), "hooks[0].command");
+    assert.strictEqual(formatPath([0, "a"]), "[0].a");
+    assert.strictEqual(formatPath([]), "");
+});
+
+test("a valid value has no problems", () => {
+    const value = { name: "web", ttl: "1h", port: 443, ratio: 1, level: "debug", version: 1, hooks: [{ command: "true" }], retry: true, tags: { a: "b" } };
+    assert.deepStrictEqual(messages(value), { errors: [], unknown: [] });
+});
+
+test("every keyword reports its own message, all at once", () => {
+    const { errors } = messages({
+        name: "",
+        ttl: "1 hour",
+        port: 0,
+        ratio: 0,
+        level: "trace",
+        version: 2,
+        hooks: [],
+        sink: { type: "file" },
+        tags: { a: 1 }
+    });
+    assert.deepStrictEqual(errors, [
+        "'name' must not be empty.",
+        "'ttl' is not in the expected format (e.g. \"1h\"). Got \"1 hour\".",
+        "'port' must be in range [1, 65535]. Got 0.",
+        "'ratio' must be in range (0, 1]. Got 0.",
+        "'level' must be one of: debug, info. Got \"trace\".",
+        "'version' must be 1, got 2.",
+        "'hooks' must not be empty.",
+        "'sink.path' is mandatory.",
+        "'tags.a' must be a string, got an integer."
+    ]);
+    assert.deepStrictEqual(messages({}).errors, ["'name' is mandatory."]);
+    assert.deepStrictEqual(messages([]).errors, ["'the config' must be an object, got an array."]);
+});
+
+test("a wrong type stops the checks of that value", () => {
+    const { errors } = validate(SCHEMA, { name: 5, port: 1.5, hooks: [{ command: ["a"] }] });
+    assert.deepStrictEqual(errors, [
+        { path: "name", keyword: "type", message: "'name' must be a string, got an integer." },
+        { path: "port", keyword: "type", message: "'port' must be an integer, got a number." },
+        { path: "hooks[0].command", keyword: "type", message: "'hooks[0].command' must be a string, got an array." }
+    ]);
+});
+
+test("anyOf reports the branch of the right type, or every allowed type", () => {
+    assert.deepStrictEqual(messages({ name: "web", retry: { every: 10 } }).errors, ["'retry.every' must be >= 1000. Got 10."]);
+    assert.deepStrictEqual(messages({ name: "web", retry: false }).errors, ["'retry' must be true or an object, got a boolean."]);
+
+    const oneOf = { oneOf: [{ type: "number" }, { type: "integer" }] };
+    assert.deepStrictEqual(validate(oneOf, 1).errors.map((problem) => problem.message), ["'the config' matches more than one of the allowed forms."]);
+    assert.deepStrictEqual(validate(oneOf, 1.5).errors, []);
+});
+
+test("unknown keys are reported apart, with the key that was probably meant", () => {
+    const { errors, unknown } = messages({ name: "web", prt: 443, hooks: [{ comand: "true" }], colour: "blue" });
+    assert.deepStrictEqual(errors, ["'hooks[0].command' is mandatory."]);
+    assert.deepStrictEqual(unknown, [
+        "'hooks[0].comand' is not a known setting, did you mean 'command'?",
+        "'prt' is not a known setting, did you mean 'port'?",
+        "'colour' is not a known setting."
+    ]);
+});
+
+test("defaults are filled in, also through $ref and for the branch that fits", () => {
+    const value = { name: "web", hooks: [{ command: "true" }] };
+    assert.deepStrictEqual(validate(SCHEMA, value, { defaults: true }), { errors: [], unknown: [] });
+    assert.deepStrictEqual(value, { name: "web", level: "info", hooks: [{ command: "true", timeout: 60 }], retry: { every: 60000 } });
+
+    // Not without 'defaults', and not into a branch that was only tried.
+    const plain = { name: "web", retry: true };
+    validate(SCHEMA, plain);
+    assert.deepStrictEqual(plain, { name: "web", retry: true });
+    validate(SCHEMA, plain, { defaults: true });
+    assert.strictEqual(plain.retry, true);
+
+    // Each default is a copy.
+    const other = { name: "api" };
+    validate(SCHEMA, other, { defaults: true });
+    other.retry.every = 1000;
+    assert.deepStrictEqual(SCHEMA.definitions.retry.default, {});
+});
+
+test("a definition can be validated on its own, with its path in the messages", () => {
+    const { errors } = validate(SCHEMA, { timeout: "1m" }, { ref: "#/definitions/hook", at: ["onstart", 2] });
+    assert.deepStrictEqual(errors.map((problem) => problem.message), [
+        "'onstart[2].command' is mandatory.",
+        "'onstart[2].timeout' must be a number, got a string."
+    ]);
+    assert.throws(() => validate(SCHEMA, {}, { ref: "#/definitions/nope" }), /Unresolvable \$ref '#\/definitions\/nope'\./);
+    assert.throws(() => validate(SCHEMA, {}, { ref: "other.json#/a" }), /Only local \$refs are supported/);
+});
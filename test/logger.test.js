@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const dgram = require("dgram");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+require("./helpers.js");
+const logger = require("../src/logger.js");
+
+/**
+ * Points the logger at these sinks, and back to the silent console afterwards.
+ * @param {object} t - The test context.
+ * @param {object} logging - The 'logging' section.
+ */
+function logTo(t, logging) {
+    logger.applyConfig(logging);
+    logger.silent = false;
+    t.after(() => {
+        logger.applyConfig();
+        logger.silent = true;
+    });
+}
+
+/**
+ * Waits for 'check' to return a truthy value, polling every 20ms.
+ * @param {function(): *} check
+ * @returns {Promise<*>} What it returned.
+ */
+async function waitFor(check) {
+    const until = Date.now() + 5000;
+    for (;;) {
+        const result = check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > until) {
+            throw new Error("Timed out waiting.");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * @returns {string} A fresh directory for log files.
+ */
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "certrotator-log-"));
+    process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test("file sinks write text or JSON lines at the configured level", async (t) => {
+    const dir = tempDir();
+    const text = path.join(dir, "certrotator.log");
+    const json = path.join(dir, "certrotator.json");
+    logTo(t, { level: "info", format: "text", sinks: [{ type: "file", path: text }, { type: "file", path: json, format: "json" }] });
+
+    logger.debug("Not at this level.");
+    logger.forCertificate("web").info("Certificate fetch successful!", { event: "fetch_succeeded", serial: "10:01" });
+    logger.error("Vault is sealed.");
+
+    const lines = (file) => {
+        const contents = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+        return contents.split("\n").filter(Boolean);
+    };
+    await waitFor(() => lines(text).length === 2 && lines(json).length === 2);
+
+    const [fetched, sealed] = lines(text);
+    assert.match(fetched, /^\[info\] \d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z \(UTC[+-]\d\d:\d\d\): \[web\] Certificate fetch successful!$/);
+    assert.match(sealed, /^\[error\] \S+ \(UTC[+-]\d\d:\d\d\): Vault is sealed\.$/);
+
+    const [first, second] = lines(json).map((line) => JSON.parse(line));
+    assert.deepStrictEqual({ ...first, timestamp: undefined }, {
+        level: "info",
+        message: "Certificate fetch successful!",
+        certificate: "web",
+        event: "fetch_succeeded",
+        serial: "10:01",
+        timestamp: undefined
+    });
+    assert.ok(!Number.isNaN(Date.parse(first.timestamp)));
+    assert.strictEqual(second.level, "error");
+    assert.strictEqual(second.certificate, undefined);
+});
+
+test("syslog over UDP sends one RFC 5424 message per datagram", async (t) => {
+    const server = dgram.createSocket("udp4");
+    const received = [];
+    server.on("message", (message) => received.push(message.toString()));
+    await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+
+    logTo(t, {
+        level: "info",
+        format: "text",
+        sinks: [{ type: "syslog", host: "127.0.0.1", port: server.address().port, facility: "local0", app_name: "certrotator-test" }]
+    });
+    logger.forCertificate("web").info("Certificate installed.", { event: "installed" });
+    logger.error("Vault is sealed.");
+    await waitFor(() => received.length === 2);
+
+    const header = `\\d{4}-\\d\\d-\\d\\dT[\\d:.]+Z ${os.hostname()} certrotator-test ${process.pid} - -`;
+    // local0 (16) * 8 + info (6), then + error (3).
+    assert.match(received[0], new RegExp(`^<134>1 ${header} Certificate installed\\.$`));
+    assert.match(received[1], new RegExp(`^<131>1 ${header} Vault is sealed\\.$`));
+});
+
+test("syslog over TCP frames the messages with newlines", async (t) => {
+    let data = "";
+    const server = net.createServer((socket) => {
+        socket.setEncoding("utf8");
+        socket.on("data", (chunk) => {
+            data += chunk;
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+
+    logTo(t, {
+        level: "info",
+        format: "json",
+        sinks: [{ type: "syslog", host: "127.0.0.1", port: server.address().port, protocol: "tcp" }]
+    });
+    logger.info("First.", { event: "one" });
+    logger.warn("Second.", { event: "two" });
+    const lines = await waitFor(() => {
+        const complete = data.split("\n").slice(0, -1);
+        return complete.length === 2 && complete;
+    });
+
+    // daemon (3) * 8 + info (6) / warn (4); the JSON format is the message.
+    const [first, second] = lines.map((line) => /^<(\d+)>1 \S+ \S+ certrotator \d+ - - (.*)$/.exec(line));
+    assert.strictEqual(first[1], "30");
+    assert.strictEqual(second[1], "28");
+    assert.strictEqual(JSON.parse(first[2]).event, "one");
+    assert.strictEqual(JSON.parse(second[2]).message, "Second.");
+});
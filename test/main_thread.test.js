@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { makeConfig, rawConfig, waitFor } = require("./helpers.js");
+const { startMockVault } = require("../src/vault/mock_server.js");
+const main_thread = require("../src/main_thread.js");
+const hooks = require("../src/hooks.js");
+
+const INDEX = path.join(__dirname, "..", "src", "index.js");
+
+// One per process: a shutdown is for good.
+test("shutdown kills the hooks that outlast 'timeoutMs' and says it was not clean", async (t) => {
+    const vault = await startMockVault();
+    t.after(() => vault.close());
+    const config = makeConfig(vault.caPem, {
+        vault: { address: vault.address, pki_path: "pki", pki_role: "web", auth: { method: "approle", role_id: "r", secret_id: "s" } },
+        onstart: [{ command: "sleep 30", onfail: { retry_num: 3, retry_every: 60000 } }]
+    });
+
+    const first = main_thread.start({ status: "start", active_cert: null, second_cert: null }, config);
+    await waitFor(() => hooks.runningCount() === 1, 10000);
+
+    const started = Date.now();
+    assert.strictEqual(await main_thread.shutdown(500), false);
+    assert.ok(Date.now() - started < 3000);
+    assert.strictEqual(hooks.runningCount(), 0);
+    await first;
+
+    // The state is saved all the same.
+    const state = JSON.parse(fs.readFileSync(`${config.tls.cert}.state.json`, "utf8"));
+    assert.strictEqual(state.status, "start");
+    assert.throws(() => main_thread.pause(), /Shutting down\./);
+});
+
+test("the daemon exits with 1 when the shutdown cuts a retry short", async (t) => {
+    const vault = await startMockVault();
+    t.after(() => vault.close());
+
+    const config = rawConfig(vault.caPem);
+    const dir = path.dirname(config.tls.ca);
+    const marker = path.join(dir, "onstart-ran");
+    config.vault.address = vault.address;
+    config.onstart = [{ command: `touch ${marker}; false`, onfail: { retry_num: 3, retry_every: 60000 } }];
+    fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(config));
+
+    const daemon = spawn(process.execPath, [INDEX, "run", path.join(dir, "config.json")], { stdio: "ignore" });
+    const exited = new Promise((resolve) => daemon.on("exit", resolve));
+    t.after(() => {
+        if (daemon.exitCode === null) {
+            daemon.kill("SIGKILL");
+        }
+    });
+
+    await waitFor(() => fs.existsSync(marker), 10000);
+    // Now in the 60s before the second attempt.
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const started = Date.now();
+    daemon.kill("SIGTERM");
+    assert.strictEqual(await exited, 1);
+    assert.ok(Date.now() - started < 5000);
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+require("./helpers.js");
+const metrics = require("../src/metrics.js");
+const startMetricsServer = require("../src/metrics_server.js");
+
+/**
+ * Sends one request to the metrics server.
+ * @param {http.Server} server
+ * @param {string} urlPath
+ * @param {string} [method]
+ * @returns {Promise<{status: number, headers: object, body: string}>}
+ */
+function request(server, urlPath, method = "GET") {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: "127.0.0.1", port: server.address().port, path: urlPath, method }, (res) => {
+            let body = "";
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => {
+                body += chunk;
+            });
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on("error", reject);
+        req.end();
+    });
+}
+
+/**
+ * A state with an active certificate that expires this many seconds from now.
+ * @param {number} seconds
+ * @returns {object}
+ */
+function activeFor(seconds) {
+    return {
+        status: "ok",
+        active_cert: { serial_number: "10:01", expiration: Math.floor(Date.now() / 1000) + seconds },
+        second_cert: null
+    };
+}
+
+test("render() writes the Prometheus text format", () => {
+    const config = { name: "web" };
+    const current = activeFor(3600);
+    metrics.updateState(config, current);
+    metrics.fetchSucceeded(config);
+    metrics.fetchFailed(config);
+    metrics.fetchFailed(config);
+    metrics.hookAttempted(config, "onreplace[0]", 250, true);
+    metrics.hookAttempted(config, "onreplace[0]", 3000, false);
+    // Label values are escaped.
+    metrics.fetchFailed({ name: "odd \"name\"\\with\nnewline" });
+
+    const lines = metrics.render().split("\n");
+    assert.strictEqual(lines.at(-1), "");
+    // The TYPE line and the series of a family.
+    const family = (name) => lines.filter((line) => line.startsWith(`# TYPE ${name} `) || line.startsWith(`${name}{`));
+
+    assert.deepStrictEqual(family("certrotator_status"), [
+        "# TYPE certrotator_status gauge",
+        "certrotator_status{certificate=\"web\",status=\"start\"} 0",
+        "certrotator_status{certificate=\"web\",status=\"ok\"} 1",
+        "certrotator_status{certificate=\"web\",status=\"error\"} 0"
+    ]);
+    assert.ok(lines.includes("# HELP certrotator_status Current state machine status (1 for the active one)."));
+    assert.ok(lines.includes(`certrotator_certificate_not_after_seconds{certificate="web"} ${current.active_cert.expiration}`));
+    assert.ok(lines.includes("certrotator_certificate_info{certificate=\"web\",serial=\"10:01\"} 1"));
+    assert.ok(lines.some((line) => /^certrotator_last_successful_fetch_timestamp_seconds\{certificate="web"\} \d{10}$/.test(line)));
+    assert.deepStrictEqual(family("certrotator_fetch_failures_total"), [
+        "# TYPE certrotator_fetch_failures_total counter",
+        "certrotator_fetch_failures_total{certificate=\"web\"} 2",
+        "certrotator_fetch_failures_total{certificate=\"odd \\\"name\\\"\\\\with\\nnewline\"} 1"
+    ]);
+    assert.ok(lines.includes("certrotator_hook_failures_total{certificate=\"web\",hook=\"onreplace[0]\"} 1"));
+
+    const labels = "certificate=\"web\",hook=\"onreplace[0]\"";
+    assert.ok(lines.includes("# TYPE certrotator_hook_duration_seconds histogram"));
+    assert.ok(lines.includes(`certrotator_hook_duration_seconds_bucket{${labels},le="0.1"} 0`));
+    assert.ok(lines.includes(`certrotator_hook_duration_seconds_bucket{${labels},le="0.5"} 1`));
+    assert.ok(lines.includes(`certrotator_hook_duration_seconds_bucket{${labels},le="2.5"} 1`));
+    assert.ok(lines.includes(`certrotator_hook_duration_seconds_bucket{${labels},le="5"} 2`));
+    assert.ok(lines.includes(`certrotator_hook_duration_seconds_bucket{${labels},le="+Inf"} 2`));
+    assert.ok(lines.includes(`certrotator_hook_duration_seconds_sum{${labels}} 3.25`));
+    assert.ok(lines.includes(`certrotator_hook_duration_seconds_count{${labels}} 2`));
+
+    // A new serial replaces the info series, forget() drops them all.
+    metrics.updateState(config, { ...current, active_cert: { ...current.active_cert, serial_number: "10:02" } });
+    assert.ok(!metrics.render().includes("serial=\"10:01\""));
+    metrics.forget(config);
+    metrics.forget({ name: "odd \"name\"\\with\nnewline" });
+    assert.ok(!metrics.render().includes("certificate="));
+});
+
+test("the server answers /metrics, /healthz and /readyz with the right status codes", async (t) => {
+    const server = startMetricsServer({ host: "127.0.0.1", port: 0 });
+    t.after(() => server.close());
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    // Nothing running yet: alive, but not ready.
+    assert.strictEqual((await request(server, "/healthz")).status, 200);
+    assert.deepStrictEqual(JSON.parse((await request(server, "/readyz")).body), { ok: false, certificates: {} });
+
+    metrics.updateState({ name: "web" }, { status: "start", active_cert: null, second_cert: null });
+    metrics.updateState({ name: "api" }, activeFor(3600));
+    assert.strictEqual((await request(server, "/healthz")).status, 200);
+    const notReady = await request(server, "/readyz");
+    assert.strictEqual(notReady.status, 503);
+    assert.strictEqual(notReady.headers["content-type"], "application/json");
+    assert.deepStrictEqual(JSON.parse(notReady.body).certificates.web, { status: "start", serial: null, expires_at: null });
+
+    metrics.updateState({ name: "web" }, activeFor(3600));
+    assert.strictEqual((await request(server, "/healthz")).status, 200);
+    assert.strictEqual((await request(server, "/readyz")).status, 200);
+
+    // An expired active certificate: neither alive nor ready.
+    metrics.updateState({ name: "web" }, activeFor(-60));
+    const dead = await request(server, "/healthz");
+    assert.strictEqual(dead.status, 503);
+    assert.strictEqual(JSON.parse(dead.body).ok, false);
+    assert.strictEqual((await request(server, "/readyz")).status, 503);
+
+    const scraped = await request(server, "/metrics");
+    assert.strictEqual(scraped.status, 200);
+    assert.strictEqual(scraped.headers["content-type"], "text/plain; version=0.0.4; charset=utf-8");
+    assert.match(scraped.body, /^certrotator_status\{certificate="api",status="ok"\} 1$/m);
+    assert.strictEqual((await request(server, "/metrics", "HEAD")).status, 200);
+
+    assert.strictEqual((await request(server, "/other")).status, 404);
+    const post = await request(server, "/metrics", "POST");
+    assert.strictEqual(post.status, 405);
+    assert.strictEqual(post.headers.allow, "GET, HEAD");
+});
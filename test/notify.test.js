@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { fakeClock, fakeVault, makeConfig, setup } = require("./helpers.js");
+const notify = require("../src/notify/index.js");
+const { startMockReceiver, startMockSmtp } = require("../src/notify/mock_server.js");
+
+const MINUTE = 60000;
+
+/**
+ * A config with these notifiers, and a certificate to notify about.
+ * @param {object[]} notifiers
+ * @returns {Promise<{config: object, certData: object, previous: object}>}
+ */
+async function withNotifiers(notifiers) {
+    const vault = fakeVault(fakeClock());
+    const config = makeConfig(vault.caPem, { notify: { notifiers } });
+    const previous = await vault.issueCertificate(config);
+    const certData = await vault.issueCertificate(config);
+    return { config, certData, previous };
+}
+
+test("webhook posts the rendered JSON body to the subscribed events only", async (t) => {
+    const receiver = await startMockReceiver();
+    t.after(() => receiver.close());
+    const { config, certData, previous } = await withNotifiers([
+        { type: "webhook", url: `${receiver.address}/hook`, headers: { authorization: "Bearer s3cret" }, events: ["replaced"] },
+        { type: "webhook", url: `${receiver.address}/custom`, method: "PUT", body: { text: "{{event}} {{previous_serial}} => {{serial}}" }, events: ["replaced"] }
+    ]);
+
+    notify.notify(config, "error", { certData, error: "Vault is sealed" });
+    notify.notify(config, "replaced", { certData, previous });
+    await notify.settled(5000);
+
+    assert.strictEqual(receiver.requests.length, 2);
+    const hook = receiver.requests.find((request) => request.path === "/hook");
+    assert.strictEqual(hook.method, "POST");
+    assert.strictEqual(hook.headers.authorization, "Bearer s3cret");
+    assert.strictEqual(hook.json.event, "replaced");
+    assert.strictEqual(hook.json.certificate, "certificate");
+    assert.strictEqual(hook.json.serial, certData.serial_number);
+    assert.strictEqual(hook.json.expires_at, new Date(certData.expiration * 1000).toISOString());
+    assert.match(hook.json.message, /^The certificate was replaced: certificate on .+\. Serial 10:02, expires/);
+
+    const custom = receiver.requests.find((request) => request.path === "/custom");
+    assert.strictEqual(custom.method, "PUT");
+    assert.deepStrictEqual(custom.json, { text: `replaced ${previous.serial_number} => ${certData.serial_number}` });
+});
+
+test("a failing notifier is logged, never thrown", async (t) => {
+    const receiver = await startMockReceiver();
+    t.after(() => receiver.close());
+    const { config, certData } = await withNotifiers([{ type: "webhook", url: `${receiver.address}/hook` }]);
+
+    receiver.failNext(500);
+    notify.notify(config, "expired", { certData });
+    await notify.settled(5000);
+    assert.strictEqual(receiver.requests.length, 1);
+});
+
+test("smtp mails every recipient", async (t) => {
+    const smtp = await startMockSmtp();
+    t.after(() => smtp.close());
+    const { config, certData } = await withNotifiers([{
+        type: "smtp",
+        host: "127.0.0.1",
+        port: smtp.port,
+        starttls: false,
+        from: "certrotator@example.com",
+        to: ["ops@example.com", "security@example.com"],
+        message: "{{message}}\n.{{serial}}"
+    }]);
+
+    notify.notify(config, "fetch_failed", { certData, error: "Vault is sealed." });
+    await notify.settled(5000);
+
+    assert.strictEqual(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.strictEqual(message.from, "certrotator@example.com");
+    assert.deepStrictEqual(message.to, ["ops@example.com", "security@example.com"]);
+    assert.match(message.data, /^From: certrotator@example.com\r\nTo: ops@example.com, security@example.com\r\n/);
+    assert.match(message.data, /\r\nSubject: \[certrotator\] fetch_failed: certificate on .+\r\n/);
+    assert.match(message.data, /\r\n\r\nFetching a certificate failed: certificate on .+\. Error: Vault is sealed\. Serial 10:02/);
+    // The dot-stuffed line comes back as it was.
+    assert.match(message.data, /\r\n\.10:02$/);
+});
+
+test("sns publishes a signed message to the topic", async (t) => {
+    const receiver = await startMockReceiver();
+    t.after(() => receiver.close());
+    const { config, certData } = await withNotifiers([{
+        type: "sns",
+        topic_arn: "arn:aws:sns:eu-west-1:123456789012:certs",
+        endpoint: receiver.address,
+        access_key_id: "AKIDSNS",
+        secret_access_key: "secret",
+        subject: "{{event}} for {{name}}"
+    }]);
+
+    notify.notify(config, "expiring", { certData });
+    await notify.settled(5000);
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.strictEqual(request.method, "POST");
+    assert.strictEqual(request.form.Action, "Publish");
+    assert.strictEqual(request.form.TopicArn, "arn:aws:sns:eu-west-1:123456789012:certs");
+    assert.strictEqual(request.form.Subject, "expiring for certificate");
+    assert.match(request.form.Message, /^The active certificate expires soon: certificate on /);
+    assert.match(request.headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDSNS\/\d{8}\/eu-west-1\/sns\/aws4_request, /);
+});
+
+test("the rate limit drops messages and counts them in the next one", async (t) => {
+    const receiver = await startMockReceiver();
+    t.after(() => receiver.close());
+    const { config, certData } = await withNotifiers([{ type: "webhook", url: `${receiver.address}/hook`, rate_limit: { max: 2, per_ms: 1000 } }]);
+
+    for (let i = 0; i < 4; i++) {
+        notify.notify(config, "error", { certData, error: `failure ${i}` });
+    }
+    await notify.settled(5000);
+    assert.deepStrictEqual(receiver.requests.map((request) => request.json.error), ["failure 0", "failure 1"]);
+
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    notify.notify(config, "recovered", { certData });
+    await notify.settled(5000);
+    assert.strictEqual(receiver.requests.length, 3);
+    assert.match(receiver.requests[2].json.message, /\(2 earlier notification\(s\) were dropped by the rate limit\.\)$/);
+});
+
+test("'expiring' is sent once the active certificate is within 'expiry_warning_ms'", async (t) => {
+    const receiver = await startMockReceiver();
+    t.after(() => receiver.close());
+    const { rotator, clock } = setup({
+        config: { notify: { expiry_warning_ms: 20 * MINUTE, notifiers: [{ type: "webhook", url: `${receiver.address}/hook`, events: ["expiring"] }] } }
+    });
+    const expiring = [];
+    rotator.on("expiring", (payload) => expiring.push(payload));
+    await rotator.start();
+
+    // 30 minutes left of 60.
+    clock.jump(30 * MINUTE);
+    rotator.checkExpiry();
+    await notify.settled(5000);
+    assert.strictEqual(receiver.requests.length, 0);
+
+    // 15 minutes left: warned once per certificate.
+    clock.jump(15 * MINUTE);
+    rotator.checkExpiry();
+    rotator.checkExpiry();
+    await notify.settled(5000);
+    assert.strictEqual(receiver.requests.length, 1);
+    assert.strictEqual(receiver.requests[0].json.event, "expiring");
+    assert.strictEqual(receiver.requests[0].json.serial, rotator.current.active_cert.serial_number);
+    assert.strictEqual(expiring.length, 1);
+});
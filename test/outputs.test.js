@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const tls = require("tls");
+const logger = require("../src/logger.js");
+const { fakeClock, fakeVault, rawConfig } = require("./helpers.js");
+const validateConfig = require("../src/parse_config.js");
+const { writeCertificate } = require("../src/cert_files.js");
+const { resolveOwner } = require("../src/outputs.js");
+
+/**
+ * Writes a certificate with these 'outputs' (paths relative to the config's directory).
+ * @param {object[]} outputs
+ * @returns {Promise<{certData: object, dir: string, config: object}>}
+ */
+async function written(outputs) {
+    const vault = fakeVault(fakeClock());
+    const config = rawConfig(vault.caPem);
+    const dir = path.dirname(config.tls.ca);
+    config.outputs = outputs.map((output) => ({ ...output, path: path.join(dir, output.path) }));
+    validateConfig(config, { strict: true });
+    const certData = await vault.issueCertificate(config);
+    writeCertificate(certData, config, logger);
+    return { certData, dir, config };
+}
+
+/**
+ * The entry of 'name' in /etc/passwd or /etc/group.
+ * @param {string} file
+ * @param {string} name
+ * @returns {string[]} Its fields.
+ */
+function entryOf(file, name) {
+    const line = fs.readFileSync(file, "utf8").split("\n").find((l) => l.startsWith(`${name}:`));
+    return line.split(":");
+}
+
+test("der outputs hold the certificate or the PKCS#8 key", async () => {
+    const { certData, dir } = await written([
+        { path: "cert.der", format: "der", contents: ["cert"] },
+        { path: "key.der", format: "der", contents: ["key"] }
+    ]);
+
+    const cert = new crypto.X509Certificate(fs.readFileSync(path.join(dir, "cert.der")));
+    assert.strictEqual(cert.serialNumber, certData.serial_number.replace(/:/g, "").toUpperCase());
+    assert.strictEqual(cert.raw.equals(new crypto.X509Certificate(certData.certificate).raw), true);
+
+    const key = crypto.createPrivateKey({ key: fs.readFileSync(path.join(dir, "key.der")), format: "der", type: "pkcs8" });
+    assert.strictEqual(cert.checkPrivateKey(key), true);
+    assert.strictEqual(fs.statSync(path.join(dir, "cert.der")).mode & 0o777, 0o644);
+    assert.strictEqual(fs.statSync(path.join(dir, "key.der")).mode & 0o777, 0o600);
+});
+
+test("pkcs12 outputs open with their password, empty or not", async () => {
+    const { dir } = await written([
+        { path: "bundle.p12", format: "pkcs12", contents: ["cert", "key", "chain"], password: "s3cret", alias: "web" },
+        { path: "open.p12", format: "pkcs12", contents: ["fullchain", "key"], password: "" }
+    ]);
+
+    const pfx = fs.readFileSync(path.join(dir, "bundle.p12"));
+    assert.doesNotThrow(() => tls.createSecureContext({ pfx, passphrase: "s3cret" }));
+    assert.throws(() => tls.createSecureContext({ pfx, passphrase: "wrong" }), /mac verify failure/);
+    assert.doesNotThrow(() => tls.createSecureContext({ pfx: fs.readFileSync(path.join(dir, "open.p12")), passphrase: "" }));
+    // The alias is there, as a BMPString.
+    assert.ok(pfx.includes(Buffer.from("web", "utf16le").swap16()));
+    assert.strictEqual(fs.statSync(path.join(dir, "bundle.p12")).mode & 0o777, 0o600);
+});
+
+test("resolveOwner looks names up in /etc/passwd and /etc/group", () => {
+    const [, , uid, gid] = entryOf("/etc/passwd", "root");
+    const [, , daemonGid] = entryOf("/etc/group", "daemon");
+
+    assert.deepStrictEqual(resolveOwner("root"), { uid: Number(uid), gid: Number(gid) });
+    assert.deepStrictEqual(resolveOwner("root:daemon"), { uid: Number(uid), gid: Number(daemonGid) });
+    assert.deepStrictEqual(resolveOwner("root:42"), { uid: Number(uid), gid: 42 });
+    // A numeric uid alone keeps the file's group.
+    assert.deepStrictEqual(resolveOwner("1234"), { uid: 1234, gid: -1 });
+    assert.deepStrictEqual(resolveOwner("1234:5678"), { uid: 1234, gid: 5678 });
+    assert.throws(() => resolveOwner("no-such-user"), /Unknown user 'no-such-user'\./);
+    assert.throws(() => resolveOwner("root:no-such-group"), /Unknown group 'no-such-group'\./);
+});
+
+test("an output 'owner' is applied to the written file", async (t) => {
+    if (process.getuid() !== 0) {
+        t.skip("needs root to chown");
+        return;
+    }
+    const { dir } = await written([{ path: "chain.pem", contents: ["chain"], owner: "root:daemon" }]);
+    const stat = fs.statSync(path.join(dir, "chain.pem"));
+    assert.strictEqual(stat.uid, 0);
+    assert.strictEqual(stat.gid, Number(entryOf("/etc/group", "daemon")[2]));
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { rawConfig } = require("./helpers.js");
+const validateConfig = require("../src/parse_config.js");
+
+const { ConfigError, collectErrors } = validateConfig;
+
+test("a read-only load skips the write permission checks", () => {
+    const config = rawConfig("CA");
+    const dir = path.dirname(config.tls.cert);
+    const gone = path.join(dir, "gone");
+    config.state = { file: path.join(gone, "state.json") };
+    config.control = { socket: path.join(gone, "control.sock") };
+    config.outputs = [{ path: path.join(gone, "cert.der"), format: "der", contents: ["cert"] }];
+
+    assert.throws(() => validateConfig(structuredClone(config)), (e) => {
+        assert.deepStrictEqual(e.errors, [
+            `The directory of 'control.socket' is not writable: ${gone}`,
+            `No write permission to the directory of the state file: ${config.state.file}`,
+            `No write permission to the directory of 'outputs[0].path': ${config.outputs[0].path}`
+        ]);
+        return true;
+    });
+    assert.deepStrictEqual(validateConfig(config, { readOnly: true }), []);
+    assert.ok(!fs.existsSync(gone));
+});
+
+test("'tls.key_mode' defaults to 0600 and must be an octal mode", () => {
+    const config = rawConfig("CA");
+    validateConfig(config);
+    assert.strictEqual(config.tls.key_mode, 0o600);
+
+    const bad = rawConfig("CA");
+    bad.tls.key_mode = "0999";
+    assert.throws(() => validateConfig(bad), (e) => {
+        assert.strictEqual(e.errors.length, 1);
+        assert.match(e.errors[0], /^'tls\.key_mode' is not in the expected format/);
+        return true;
+    });
+});
+
+test("collectErrors keeps the problems of every section and skips the sections that need a failed one", () => {
+    const checks = collectErrors(["vault"], ["'colour' is not a known setting."]);
+    const ran = [];
+    checks.section("auth", ["vault"], () => ran.push("auth"));
+    checks.section("tls", ["tls"], () => {
+        ran.push("tls");
+        throw new Error("'tls.ca' is not readable.");
+    });
+    checks.section("outputs", ["tls"], () => ran.push("outputs"));
+    checks.section("hooks", ["hooks"], () => {
+        ran.push("hooks");
+        throw new ConfigError(["'onstart[0]' is wrong.", "'onreplace[0]' is wrong."]);
+    });
+    checks.fail("state", "'state.file' is not writable.");
+    checks.section("revoke", ["state"], () => ran.push("revoke"));
+    checks.section("notify", ["notify"], () => ran.push("notify"));
+
+    assert.deepStrictEqual(ran, ["tls", "hooks", "notify"]);
+    assert.throws(() => checks.throwIfAny(), (e) => {
+        assert.ok(e instanceof ConfigError);
+        assert.deepStrictEqual(e.errors, ["'tls.ca' is not readable.", "'onstart[0]' is wrong.", "'onreplace[0]' is wrong.", "'state.file' is not writable."]);
+        assert.deepStrictEqual(e.warnings, ["'colour' is not a known setting."]);
+        return true;
+    });
+    assert.doesNotThrow(() => collectErrors([], ["'colour' is not a known setting."]).throwIfAny());
+});
+
+test("an invalid config reports the unknown keys too, which often explain the problems", () => {
+    const config = rawConfig("CA");
+    config.onstart = [{ comand: "systemctl reload nginx" }];
+    const hint = "'onstart[0].comand' is not a known setting, did you mean 'command'?";
+    assert.throws(() => validateConfig(structuredClone(config)), (e) => {
+        assert.ok(e instanceof ConfigError);
+        assert.deepStrictEqual(e.errors, ["'onstart[0]' needs exactly one of 'command', 'signal', 'http' or 'socket'."]);
+        assert.deepStrictEqual(e.warnings, [hint]);
+        assert.strictEqual(e.message, `${e.errors[0]}\nWarning: ${hint}`);
+        return true;
+    });
+
+    // With 'strict' they are problems themselves, and the checks of 'onstart' are skipped.
+    assert.throws(() => validateConfig(config, { strict: true }), (e) => {
+        assert.deepStrictEqual(e.errors, [hint]);
+        assert.deepStrictEqual(e.warnings, []);
+        return true;
+    });
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { rawConfig, send, waitFor } = require("./helpers.js");
+const { startMockVault } = require("../src/vault/mock_server.js");
+
+const INDEX = path.join(__dirname, "..", "src", "index.js");
+
+test("SIGHUP adds, removes and reconfigures certificates, and keeps the old config if the new one is invalid", async (t) => {
+    const vault = await startMockVault();
+    t.after(() => vault.close());
+
+    const base = rawConfig(vault.caPem, { onstart: [{ command: "true" }], onreplace: [{ command: "true" }] });
+    const dir = path.dirname(base.tls.ca);
+    const configPath = path.join(dir, "config.json");
+    base.vault.address = vault.address;
+    base.control = { socket: path.join(dir, "control.sock") };
+    const entry = (name, cert = {}) => {
+        const file = path.join(dir, `${name}.pem`);
+        if (!fs.existsSync(file)) {
+            fs.writeFileSync(file, "");
+        }
+        return { name, cert: { common_name: `${name}.example.com`, ttl: "1h", ...cert }, tls: { cert: file, key: file } };
+    };
+    const write = (certificates) => fs.writeFileSync(configPath, JSON.stringify({ ...base, certificates }));
+    /**
+     * @returns {Promise<object>} name => describe() of every running certificate.
+     */
+    const running = async () => {
+        const { certificates } = await send(base.control.socket, "status");
+        return Object.fromEntries(certificates.map((certificate) => [certificate.name, certificate]));
+    };
+    const installed = (name) => fs.existsSync(path.join(dir, `${name}.pem`)) && fs.statSync(path.join(dir, `${name}.pem`)).size > 0;
+
+    write([entry("web")]);
+    const daemon = spawn(process.execPath, [INDEX, "run", configPath], { stdio: "ignore" });
+    const exited = new Promise((resolve) => daemon.on("exit", resolve));
+    t.after(() => {
+        if (daemon.exitCode === null) {
+            daemon.kill("SIGKILL");
+        }
+    });
+    await waitFor(() => fs.existsSync(base.control.socket) && installed("web"), 10000);
+    await waitFor(() => vault.issued.length === 1, 5000);
+
+    // Added.
+    write([entry("web"), entry("api")]);
+    daemon.kill("SIGHUP");
+    await waitFor(() => installed("api"), 10000);
+    const both = await running();
+    assert.deepStrictEqual(Object.keys(both).sort(), ["api", "web"]);
+    assert.strictEqual(both.api.status, "ok");
+
+    // 'web' removed, 'api' asks for another SAN: it gets a new certificate right away.
+    const apiSerial = both.api.active.serial;
+    write([entry("api", { alt_names: "api2.example.com" })]);
+    daemon.kill("SIGHUP");
+    await waitFor(() => vault.issued.length === 3, 10000);
+    await waitFor(() => fs.readFileSync(path.join(dir, "api.pem"), "utf8").startsWith(vault.issued.at(-1).certificate), 5000);
+    const api = await running();
+    assert.deepStrictEqual(Object.keys(api), ["api"]);
+    assert.notStrictEqual(api.api.active.serial, apiSerial);
+    assert.strictEqual(api.api.active.serial, vault.issued.at(-1).serial_number);
+
+    // Invalid (the name is taken twice): logged and ignored, 'api' keeps running as it was.
+    write([entry("api", { alt_names: "api3.example.com" }), entry("web"), entry("api")]);
+    daemon.kill("SIGHUP");
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    assert.strictEqual(daemon.exitCode, null);
+    assert.deepStrictEqual(await running(), api);
+    assert.strictEqual(vault.issued.length, 3);
+
+    daemon.kill("SIGTERM");
+    assert.strictEqual(await exited, 0);
+});
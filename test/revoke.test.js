@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const logger = require("../src/logger.js");
+const { makeConfig, waitFor } = require("./helpers.js");
+const { startMockVault } = require("../src/vault/mock_server.js");
+const vault = require("../src/vault/index.js");
+const { writeCertificate } = require("../src/cert_files.js");
+const { saveState, restoreState, statePath, requestOf } = require("../src/state.js");
+const { revokeLater, resumeRevocations, vaultSerial } = require("../src/revoke.js");
+
+const REVOKE = "/v1/pki/revoke";
+
+/**
+ * A mock vault and a config that revokes through it, retrying every 20ms
+ * (below the schema's minimum, to keep the tests short).
+ * @param {object} t
+ * @param {object} [revoke] - Overrides for the 'revoke' section.
+ * @returns {Promise<{mock: object, config: object}>}
+ */
+async function connect(t, revoke = {}) {
+    const mock = await startMockVault({ role: "web" });
+    t.after(() => mock.close());
+    const config = makeConfig(mock.caPem, {
+        vault: { address: mock.address, pki_path: "pki", pki_role: "web", auth: { method: "approle", role_id: "r", secret_id: "s" } },
+        revoke: { enabled: true, onfail: { retry_num: 3 }, ...revoke }
+    });
+    config.revoke.onfail.retry_every = 20;
+    return { mock, config };
+}
+
+/**
+ * @param {object} mock
+ * @returns {number} How often the mock was asked to revoke.
+ */
+function attempts(mock) {
+    return mock.requests.filter((request) => request.path === REVOKE).length;
+}
+
+/**
+ * @param {object} config
+ * @returns {object[]} The pending revocations in the state file.
+ */
+function savedPending(config) {
+    return JSON.parse(fs.readFileSync(statePath(config), "utf8")).pending_revocations;
+}
+
+test("vaultSerial turns a serial read from disk into vault's form", () => {
+    assert.strictEqual(vaultSerial("1A2B3C"), "1a:2b:3c");
+    assert.strictEqual(vaultSerial("A2B3C"), "0a:2b:3c");
+    assert.strictEqual(vaultSerial("1a:2b:3c"), "1a:2b:3c");
+});
+
+test("a refused revocation is retried and stays pending, in the state file too, until it succeeds", async (t) => {
+    const { mock, config } = await connect(t);
+    // Long enough to look at the state between two attempts.
+    config.revoke.onfail.retry_every = 500;
+    const certData = await vault.issueCertificate(config);
+    const current = { status: "ok", pending_revocations: [] };
+
+    mock.failNext(503, ["Vault is sealed"], { path: REVOKE, times: 2 });
+    // As read from disk, which vault would not take as is.
+    revokeLater(current, config, { ...certData, serial_number: certData.serial_number.replace(/:/g, "").toUpperCase() }, "replaced");
+    await waitFor(() => attempts(mock) === 2, 5000);
+    assert.strictEqual(current.pending_revocations.length, 1);
+    saveState(current, config);
+    assert.deepStrictEqual(savedPending(config).map((entry) => entry.reason), ["replaced"]);
+
+    await waitFor(() => current.pending_revocations.length === 0, 5000);
+    assert.strictEqual(attempts(mock), 3);
+    assert.deepStrictEqual(mock.revoked, [certData.serial_number]);
+    saveState(current, config);
+    assert.deepStrictEqual(savedPending(config), []);
+});
+
+test("a revocation is dropped once 'revoke.onfail.retry_num' attempts failed", async (t) => {
+    const { mock, config } = await connect(t, { onfail: { retry_num: 2 } });
+    const certData = await vault.issueCertificate(config);
+    const current = { status: "ok" };
+
+    mock.failNext(500, ["internal error"], { path: REVOKE, times: 5 });
+    revokeLater(current, config, certData, "unused");
+    await waitFor(() => current.pending_revocations.length === 0, 5000);
+    assert.strictEqual(attempts(mock), 2);
+    assert.deepStrictEqual(mock.revoked, []);
+});
+
+test("the 'revoke' policy decides what is revoked, and expired certificates never are", async (t) => {
+    const { mock, config } = await connect(t, { unused: false });
+    const certData = await vault.issueCertificate(config);
+    const current = { status: "ok" };
+
+    revokeLater(current, config, certData, "unused");
+    revokeLater(current, { ...config, revoke: { ...config.revoke, enabled: false } }, certData, "replaced");
+    assert.strictEqual(current.pending_revocations, undefined);
+
+    revokeLater(current, config, { ...certData, expiration: Math.floor(Date.now() / 1000) - 1 }, "replaced");
+    await waitFor(() => current.pending_revocations.length === 0, 5000);
+    assert.strictEqual(attempts(mock), 0);
+});
+
+test("revocations left pending by the previous run are restored and resumed", async (t) => {
+    const { mock, config } = await connect(t);
+    const active = { ...(await vault.issueCertificate(config)), request: requestOf(config) };
+    const replaced = await vault.issueCertificate(config);
+    writeCertificate(active, config, logger);
+    const entry = { serial_number: replaced.serial_number, expiration: replaced.expiration, reason: "replaced" };
+    saveState({ status: "ok", active_cert: active, second_cert: null, pending_revocations: [entry], next_at: Date.now() + 60000 }, config);
+
+    const { current } = restoreState(config);
+    assert.deepStrictEqual(current.pending_revocations, [entry]);
+
+    // Not while revoking is off.
+    resumeRevocations(current, { ...config, revoke: { ...config.revoke, enabled: false } });
+    assert.strictEqual(attempts(mock), 0);
+
+    resumeRevocations(current, config);
+    await waitFor(() => current.pending_revocations.length === 0, 5000);
+    assert.deepStrictEqual(mock.revoked, [replaced.serial_number]);
+});
@@ -0,0 +1,318 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+const MINUTE = 60000;
+const TTL = 60 * MINUTE;
+// intervals.ok and intervals.error of the test config, in ms of the 1h ttl.
+const RENEWAL = 0.4 * TTL;
+const RETRY = 0.05 * TTL;
+
+// Three attempts, 1s then 2s apart.
+const FLAKY = { retry_num: 3, retry_every: 1000, backoff: 2 };
+
+test("start installs the first certificate, runs 'onstart' and schedules the renewal", async () => {
+    const { rotator, clock, files, runner } = setup();
+    await rotator.start();
+
+    const { current } = rotator;
+    assert.strictEqual(current.status, "ok");
+    assert.strictEqual(current.active_cert.ttl, TTL);
+    assert.strictEqual(current.second_cert, null);
+    assert.deepStrictEqual(files.written, [current.active_cert.serial_number]);
+    assert.deepStrictEqual(runner.calls.map((call) => call.command), ["onstart"]);
+    assert.strictEqual(runner.calls[0].env.CERTROTATOR_SERIAL, current.active_cert.serial_number);
+    assert.deepStrictEqual(clock.pending(), [RENEWAL]);
+    assert.strictEqual(current.next_at, clock.now() + RENEWAL);
+    assert.strictEqual(files.states.at(-1).status, "ok");
+});
+
+test("start retries after 'intervals.default' while vault fails", async () => {
+    const { rotator, clock, vault, runner } = setup();
+    vault.failNext(2);
+    await rotator.start();
+
+    assert.strictEqual(rotator.current.status, "start");
+    assert.strictEqual(rotator.current.active_cert, null);
+    assert.deepStrictEqual(clock.pending(), [60000]);
+
+    await clock.advance(60000);
+    assert.strictEqual(rotator.current.status, "start");
+    await clock.advance(60000);
+    assert.strictEqual(rotator.current.status, "ok");
+    assert.strictEqual(vault.calls, 3);
+    assert.strictEqual(runner.callsOf("onstart").length, 1);
+});
+
+test("start retries when the install fails", async () => {
+    const { rotator, clock, files } = setup();
+    files.failNext();
+    await rotator.start();
+
+    assert.strictEqual(rotator.current.status, "start");
+    assert.deepStrictEqual(clock.pending(), [60000]);
+    await clock.advance(60000);
+    assert.strictEqual(rotator.current.status, "ok");
+    assert.strictEqual(files.written.length, 1);
+});
+
+test("ok keeps the renewal as the backup until the active one is within the buffer", async () => {
+    const { rotator, clock, vault, files, runner } = setup();
+    await rotator.start();
+    const [first] = vault.issued;
+
+    // 36 minutes left of 60, more than the buffer (30): keep it as the backup.
+    await clock.advance(RENEWAL);
+    const { current } = rotator;
+    assert.strictEqual(current.status, "ok");
+    assert.strictEqual(current.active_cert, first);
+    assert.strictEqual(current.second_cert, vault.issued[1]);
+    assert.deepStrictEqual(files.written, [first.serial_number]);
+    assert.strictEqual(runner.callsOf("onreplace").length, 0);
+    assert.deepStrictEqual(clock.pending(), [RENEWAL]);
+
+    // 12 minutes left: the next one replaces it.
+    await clock.advance(RENEWAL);
+    const third = vault.issued[2];
+    assert.strictEqual(current.status, "ok");
+    assert.strictEqual(current.active_cert, third);
+    assert.strictEqual(current.second_cert, null);
+    assert.deepStrictEqual(files.written, [first.serial_number, third.serial_number]);
+
+    const [onreplace] = runner.callsOf("onreplace");
+    assert.strictEqual(onreplace.env.CERTROTATOR_SERIAL, third.serial_number);
+    assert.strictEqual(onreplace.env.CERTROTATOR_PREVIOUS_SERIAL, first.serial_number);
+    assert.strictEqual(current.failed_replacements, 0);
+});
+
+test("a failed delivery puts the previous certificate back on disk", async () => {
+    const { rotator, clock, vault, files, runner, deliveries } = setup();
+    await rotator.start();
+    await clock.advance(RENEWAL);
+    const [first, backup] = vault.issued;
+
+    // The replacement is written, then its delivery fails.
+    deliveries.failNext();
+    await clock.advance(RENEWAL);
+    const failed = vault.issued[2];
+    const { current } = rotator;
+    assert.deepStrictEqual(files.written, [first.serial_number, failed.serial_number]);
+    assert.deepStrictEqual(files.restored, [first.serial_number]);
+    assert.strictEqual(current.status, "error");
+    assert.strictEqual(current.active_cert, first);
+    assert.strictEqual(current.second_cert, failed);
+    assert.notStrictEqual(current.second_cert, backup);
+    assert.strictEqual(runner.callsOf("onreplace").length, 0);
+    assert.deepStrictEqual(clock.pending(), [RETRY]);
+});
+
+test("a failed renewal goes to error and recovers on the retry", async () => {
+    const { rotator, clock, vault } = setup();
+    await rotator.start();
+    const [first] = vault.issued;
+
+    vault.failNext();
+    await clock.advance(RENEWAL);
+    assert.strictEqual(rotator.current.status, "error");
+    assert.strictEqual(rotator.current.active_cert, first);
+    assert.deepStrictEqual(clock.pending(), [RETRY]);
+
+    await clock.advance(RETRY);
+    assert.strictEqual(rotator.current.status, "ok");
+    assert.strictEqual(rotator.current.active_cert, first);
+    assert.strictEqual(rotator.current.second_cert, vault.issued[1]);
+    assert.deepStrictEqual(clock.pending(), [RENEWAL]);
+});
+
+test("error swaps to the backup once the active one is within the buffer and vault is down", async () => {
+    const { rotator, clock, vault, files, runner } = setup();
+    await rotator.start();
+    await clock.advance(RENEWAL);
+    const [first, backup] = vault.issued;
+
+    // The renewal at 48 minutes fails; 9 minutes are left at the first retry.
+    vault.failNext(Infinity);
+    await clock.advance(RENEWAL);
+    assert.strictEqual(rotator.current.status, "error");
+    assert.strictEqual(rotator.current.active_cert, first);
+
+    await clock.advance(RETRY);
+    const { current } = rotator;
+    assert.strictEqual(current.status, "error");
+    assert.strictEqual(current.active_cert, backup);
+    assert.strictEqual(current.second_cert, null);
+    assert.deepStrictEqual(files.written, [first.serial_number, backup.serial_number]);
+    assert.strictEqual(runner.callsOf("onreplace")[0].env.CERTROTATOR_PREVIOUS_SERIAL, first.serial_number);
+    assert.deepStrictEqual(clock.pending(), [RETRY]);
+});
+
+test("error aborts once the active certificate has expired, without asking vault", async () => {
+    const { rotator, clock, vault } = setup();
+    await rotator.start();
+
+    vault.failNext(Infinity);
+    clock.jump(TTL + MINUTE);
+    await rotator.step();
+    assert.strictEqual(rotator.current.status, "error");
+    const calls = vault.calls;
+
+    await assert.rejects(rotator.step(), /Last certificate has expired/);
+    assert.strictEqual(vault.calls, calls);
+});
+
+test("an exhausted 'onreplace' rolls back and retries from error", async () => {
+    const { rotator, clock, vault, files, runner } = setup({
+        config: { onreplace: [{ command: "onreplace", onfail: FLAKY }] }
+    });
+    await rotator.start();
+    await clock.advance(RENEWAL);
+    const [first] = vault.issued;
+    runner.fail("onreplace");
+
+    await clock.advance(RENEWAL + 10000);
+    const failed = vault.issued[2];
+    const attempts = runner.callsOf("onreplace");
+    assert.deepStrictEqual(attempts.map((call) => call.at - attempts[0].at), [0, 1000, 3000]);
+    assert.deepStrictEqual(files.restored, [first.serial_number]);
+
+    const { current } = rotator;
+    assert.strictEqual(current.status, "error");
+    assert.strictEqual(current.active_cert, first);
+    assert.strictEqual(current.second_cert, failed);
+    assert.strictEqual(current.failed_replacements, 1);
+    // The retry is due one error interval after the rollback.
+    assert.deepStrictEqual(clock.pending(), [RETRY - 7000]);
+});
+
+test("an exhausted 'onreplace' is fatal without rollback", async () => {
+    const { rotator, clock, files, runner } = setup({
+        config: { onreplace: [{ command: "onreplace", onfail: FLAKY }], rollback: { enabled: false } }
+    });
+    await rotator.start();
+    runner.fail("onreplace");
+    clock.jump(RENEWAL + RENEWAL);
+
+    const rejected = assert.rejects(rotator.step(), /failed after 3 attempts/);
+    await clock.advance(10000);
+    await rejected;
+    assert.strictEqual(runner.callsOf("onreplace").length, 3);
+    assert.deepStrictEqual(files.restored, []);
+});
+
+test("rollbacks give up after 'rollback.give_up_after' failed replacements", async () => {
+    const { rotator, clock, runner } = setup({
+        config: { onreplace: [{ command: "onreplace", onfail: { retry_num: 1 } }], rollback: { give_up_after: 2 } }
+    });
+    await rotator.start();
+    runner.fail("onreplace");
+    clock.jump(RENEWAL + RENEWAL);
+
+    await rotator.step();
+    assert.strictEqual(rotator.current.failed_replacements, 1);
+    await assert.rejects(rotator.step(), /failed after 1 attempts/);
+    assert.strictEqual(rotator.current.failed_replacements, 2);
+});
+
+test("an exhausted 'onstart' is fatal", async () => {
+    const { rotator, clock, runner } = setup({
+        config: { onstart: [{ command: "onstart", onfail: FLAKY }] }
+    });
+    runner.fail("onstart");
+
+    const rejected = assert.rejects(rotator.start(), /failed after 3 attempts/);
+    await clock.advance(10000);
+    await rejected;
+    assert.strictEqual(runner.callsOf("onstart").length, 3);
+    assert.deepStrictEqual(clock.pending(), []);
+});
+
+test("an unknown status is fatal", async () => {
+    const { rotator } = setup({ current: { status: "bogus", active_cert: null, second_cert: null } });
+    await assert.rejects(rotator.step(), /Unknown status: bogus/);
+});
+
+test("pause holds the renewal and resume runs it once due", async () => {
+    const { rotator, clock, vault } = setup();
+    await rotator.start();
+
+    rotator.pause();
+    assert.deepStrictEqual(clock.pending(), []);
+    await clock.advance(RENEWAL + MINUTE);
+    assert.strictEqual(vault.calls, 1);
+
+    rotator.resume();
+    await clock.advance(0);
+    assert.strictEqual(vault.calls, 2);
+    assert.strictEqual(rotator.current.second_cert, vault.issued[1]);
+    assert.deepStrictEqual(clock.pending(), [RENEWAL]);
+});
+
+test("rotateNow replaces the active certificate right away", async () => {
+    const { rotator, clock, vault, runner } = setup();
+    await rotator.start();
+
+    const status = await rotator.rotateNow();
+    assert.strictEqual(rotator.current.active_cert, vault.issued[1]);
+    assert.strictEqual(status.active.serial, vault.issued[1].serial_number);
+    assert.strictEqual(rotator.current.replace_now, undefined);
+    assert.strictEqual(runner.callsOf("onreplace").length, 1);
+    assert.deepStrictEqual(clock.pending(), [RENEWAL]);
+});
+
+test("rotateNow reports a rotation that didn't go through", async () => {
+    const { rotator, vault } = setup();
+    await rotator.start();
+
+    vault.failNext();
+    await assert.rejects(rotator.rotateNow(), /didn't go through, the status is "error"/);
+    // Still asked for, the retry replaces it.
+    assert.strictEqual(rotator.current.replace_now, "requested");
+});
+
+test("swapToBackup installs the backup and keeps the renewal schedule", async () => {
+    const { rotator, clock, vault, runner } = setup();
+    await rotator.start();
+    await clock.advance(RENEWAL);
+    const backup = vault.issued[1];
+
+    await rotator.swapToBackup();
+    assert.strictEqual(rotator.current.active_cert, backup);
+    assert.strictEqual(rotator.current.second_cert, null);
+    assert.strictEqual(runner.callsOf("onreplace").length, 1);
+    assert.deepStrictEqual(clock.pending(), [RENEWAL]);
+
+    await assert.rejects(rotator.swapToBackup(), /no backup certificate/);
+});
+
+test("a changed certificate request replaces the active one on reload", async () => {
+    const { rotator, clock, vault, config } = setup();
+    await rotator.start();
+    await clock.advance(RENEWAL);
+
+    rotator.reconfigure({ ...config, cert: { ...config.cert, common_name: "www.example.com", ttl: "2h" } });
+    assert.strictEqual(rotator.current.second_cert, null);
+    await clock.advance(0);
+
+    const reissued = vault.issued[2];
+    assert.strictEqual(rotator.current.active_cert, reissued);
+    assert.strictEqual(reissued.expiration * 1000 - clock.now(), 2 * TTL);
+    assert.deepStrictEqual(clock.pending(), [2 * RENEWAL]);
+});
+
+test("a rollback in 'issue --once' schedules nothing and doesn't say it does", async () => {
+    const { rotator, clock, files, runner } = setup({
+        config: { onreplace: [{ command: "onreplace", onfail: { retry_num: 1 } }] }
+    });
+    const events = [];
+    const record = (message, meta) => events.push(meta && meta.event);
+    Object.defineProperty(rotator, "log", { value: { debug: record, info: record, warn: record, error: record } });
+
+    await rotator.issueOnce();
+    runner.fail("onreplace");
+    await assert.rejects(rotator.issueOnce(), /previous certificate was restored/);
+    assert.deepStrictEqual(files.restored, [files.written[0]]);
+    assert.ok(events.includes("rollback_completed"));
+    assert.ok(!events.includes("transition_scheduled"));
+    assert.ok(!events.includes("retry_scheduled"));
+    assert.deepStrictEqual(clock.pending(), []);
+});
@@ -0,0 +1,189 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { fakeClock, fakeFiles, fakeRunner, makeConfig } = require("./helpers.js");
+const { startMockVault } = require("../src/vault/mock_server.js");
+const vault = require("../src/vault/index.js");
+const httpRequest = require("../src/http_request.js");
+const { Rotator } = require("../src/rotator.js");
+
+const ISSUE = "/v1/pki/issue/web";
+
+/**
+ * A mock vault and a config that talks to it.
+ * @param {object} t - The test context, closes the mock afterwards.
+ * @param {object} [vaultOverrides] - For the 'vault' section.
+ * @returns {Promise<{mock: object, config: object}>}
+ */
+async function connect(t, vaultOverrides = {}) {
+    const mock = await startMockVault({ role: "web" });
+    t.after(() => mock.close());
+    const config = makeConfig(mock.caPem, {
+        vault: {
+            address: mock.address,
+            pki_path: "pki",
+            pki_role: "web",
+            auth: { method: "approle", role_id: "r", secret_id: "s" },
+            ...vaultOverrides
+        }
+    });
+    return { mock, config };
+}
+
+/**
+ * A Rotator that talks to vault through the real client, with fakes for the rest.
+ * The clock starts at the real time, which the certificates of the mock follow.
+ * @param {object} config
+ * @returns {{rotator: Rotator, clock: object, files: object, runner: function}}
+ */
+function rotatorFor(config) {
+    const clock = fakeClock(Math.floor(Date.now() / 1000) * 1000);
+    const files = fakeFiles();
+    const runner = fakeRunner(clock);
+    const rotator = new Rotator({ status: "start", active_cert: null, second_cert: null }, config, {
+        clock,
+        files,
+        runner,
+        deliver: async () => {}
+    });
+    return { rotator, clock, files, runner };
+}
+
+/**
+ * @param {object} mock
+ * @returns {number} How often the mock was logged in to.
+ */
+function logins(mock) {
+    return mock.requests.filter((request) => /\/login$/.test(request.path)).length;
+}
+
+test("vault replies map to the matching error classes", async (t) => {
+    const { mock, config } = await connect(t);
+    const cases = [
+        [400, vault.VaultInvalidRequestError],
+        [404, vault.VaultNotFoundError],
+        [429, vault.VaultRateLimitError],
+        [500, vault.VaultServerError],
+        [503, vault.VaultUnavailableError]
+    ];
+    for (const [status, ErrorClass] of cases) {
+        mock.failNext(status, [`failure ${status}`], { path: ISSUE });
+        await assert.rejects(vault.issueCertificate(config), (e) => {
+            assert.ok(e instanceof ErrorClass, `${status} => ${e.name}`);
+            assert.strictEqual(e.status, status);
+            assert.deepStrictEqual(e.errors, [`failure ${status}`]);
+            assert.strictEqual(e.path, "pki/issue/web");
+            assert.match(e.message, new RegExp(`POST /v1/pki/issue/web failed with status ${status}: failure ${status}`));
+            return true;
+        });
+    }
+
+    mock.failNext(400, ["invalid role ID"], { path: "/v1/auth/approle/login" });
+    const other = makeConfig(mock.caPem, { vault: { ...config.vault, auth: { method: "approle", role_id: "x", secret_id: "s" } } });
+    await assert.rejects(vault.issueCertificate(other), vault.VaultInvalidRequestError);
+});
+
+test("an unreachable vault is a connection error", async (t) => {
+    const { mock, config } = await connect(t);
+    await mock.close();
+    await assert.rejects(vault.issueCertificate(config), (e) => e instanceof vault.VaultConnectionError && e.status === undefined);
+});
+
+test("a revoked token is dropped and the login retried once", async (t) => {
+    const { mock, config } = await connect(t);
+    await vault.issueCertificate(config);
+    await vault.issueCertificate(config);
+    assert.strictEqual(logins(mock), 1);
+
+    mock.revokeTokens();
+    const certData = await vault.issueCertificate(config);
+    assert.strictEqual(certData.serial_number, mock.issued.at(-1).serial_number);
+    assert.strictEqual(logins(mock), 2);
+
+    // Refused again right after the new login: that is a real permission problem.
+    mock.revokeTokens();
+    mock.failNext(403, ["permission denied"], { path: ISSUE, times: 2 });
+    await assert.rejects(vault.issueCertificate(config), vault.VaultPermissionError);
+    assert.strictEqual(logins(mock), 3);
+});
+
+test("a slow vault times out after 'vault.timeout_ms'", async (t) => {
+    const { mock, config } = await connect(t, { timeout_ms: 1000 });
+    await vault.issueCertificate(config);
+
+    mock.setDelay(3000);
+    const started = Date.now();
+    await assert.rejects(vault.issueCertificate(config), (e) => e instanceof vault.VaultTimeoutError && /timed out after 1000 ms/.test(e.message));
+    assert.ok(Date.now() - started < 2000);
+});
+
+test("the timeout covers the whole reply, not just idle periods", async (t) => {
+    // Sends a byte every 100ms, never idle long enough for an idle timeout.
+    const server = http.createServer((req, res) => {
+        res.writeHead(200);
+        const timer = setInterval(() => res.write("."), 100);
+        res.on("close", () => clearInterval(timer));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const started = Date.now();
+    await assert.rejects(httpRequest(`http://127.0.0.1:${server.address().port}/`, { timeout: 500 }), (e) => e.code === "ETIMEDOUT");
+    assert.ok(Date.now() - started < 1000);
+});
+
+test("issueOnce issues, then replaces and revokes a certificate through the vault client", async (t) => {
+    const { mock, config } = await connect(t);
+    config.revoke.enabled = true;
+    const { rotator, files, runner } = rotatorFor(config);
+
+    await rotator.issueOnce();
+    const [first] = mock.issued;
+    assert.strictEqual(rotator.current.status, "ok");
+    assert.strictEqual(rotator.current.active_cert.serial_number, first.serial_number);
+    assert.strictEqual(rotator.current.active_cert.certificate, first.certificate);
+    assert.deepStrictEqual(runner.calls.map((call) => call.command), ["onstart"]);
+
+    await rotator.issueOnce();
+    const second = mock.issued[1];
+    assert.strictEqual(rotator.current.active_cert.serial_number, second.serial_number);
+    assert.deepStrictEqual(files.written, [first.serial_number, second.serial_number]);
+    assert.deepStrictEqual(runner.calls.map((call) => call.command), ["onstart", "onreplace"]);
+    assert.strictEqual(runner.calls[1].env.CERTROTATOR_SERIAL, second.serial_number);
+
+    // The replaced one is revoked in the background.
+    for (let i = 0; i < 100 && mock.revoked.length === 0; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.deepStrictEqual(mock.revoked, [first.serial_number]);
+    assert.deepStrictEqual(rotator.current.pending_revocations, []);
+    assert.strictEqual(logins(mock), 1);
+});
+
+test("a fetch that vault refuses is retried after 'intervals.default'", async (t) => {
+    const { mock, config } = await connect(t);
+    const { rotator, clock, files, runner } = rotatorFor(config);
+    const failed = [];
+    rotator.on("fetch_failed", (payload) => failed.push(payload.error));
+
+    mock.failNext(503, ["Vault is sealed"], { path: ISSUE });
+    await rotator.start();
+    assert.strictEqual(rotator.current.status, "start");
+    assert.strictEqual(rotator.current.active_cert, null);
+    assert.strictEqual(mock.issued.length, 0);
+    assert.strictEqual(failed.length, 1);
+    assert.match(failed[0], /POST \/v1\/pki\/issue\/web failed with status 503: Vault is sealed/);
+    assert.deepStrictEqual(clock.pending(), [60000]);
+
+    await clock.advance(60000);
+    await rotator.running;
+    assert.strictEqual(rotator.current.status, "ok");
+    assert.strictEqual(rotator.current.active_cert.serial_number, mock.issued[0].serial_number);
+    assert.deepStrictEqual(files.written, [mock.issued[0].serial_number]);
+    assert.strictEqual(runner.callsOf("onstart").length, 1);
+    assert.strictEqual(mock.requests.filter((request) => request.path === ISSUE).length, 2);
+    rotator.stop();
+});
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { EPOCH, makeConfig } = require("./helpers.js");
+const { buildCertificate } = require("../src/x509.js");
+const { verifyCertificate } = require("../src/verify.js");
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * @returns {crypto.KeyPairKeyObjectResult}
+ */
+function keyPair() {
+    return crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+}
+
+/**
+ * A root, an intermediate below it and a way to issue leaves from the intermediate.
+ * @returns {{rootPem: string, intermediate: function(Date): string, issue: function(object=): object}}
+ *     intermediate() signs the intermediate again, with another notAfter.
+ */
+function pki() {
+    const rootKey = keyPair();
+    const rootPem = buildCertificate({
+        subject: "Test Root CA",
+        issuer: "Test Root CA",
+        publicKey: rootKey.publicKey,
+        signingKey: rootKey.privateKey,
+        serial: Buffer.from([0x01]),
+        notBefore: new Date(EPOCH - 365 * DAY),
+        notAfter: new Date(EPOCH + 365 * DAY),
+        isCA: true
+    });
+    const intermediateKey = keyPair();
+    const intermediate = (notAfter) => buildCertificate({
+        subject: "Test Intermediate CA",
+        issuer: "Test Root CA",
+        publicKey: intermediateKey.publicKey,
+        signingKey: rootKey.privateKey,
+        serial: Buffer.from([0x02]),
+        notBefore: new Date(EPOCH - 365 * DAY),
+        notAfter,
+        isCA: true
+    });
+    const intermediatePem = intermediate(new Date(EPOCH + 365 * DAY));
+
+    /**
+     * A leaf for www.example.com, valid for an hour from EPOCH.
+     * @param {object} [overrides] - For buildCertificate().
+     * @returns {object} The certificate data, as vault returns it.
+     */
+    const issue = (overrides = {}) => {
+        const key = keyPair();
+        const options = {
+            subject: "www.example.com",
+            issuer: "Test Intermediate CA",
+            publicKey: key.publicKey,
+            signingKey: intermediateKey.privateKey,
+            serial: Buffer.from([0x10, 0x01]),
+            notBefore: new Date(EPOCH - 30000),
+            notAfter: new Date(EPOCH + HOUR),
+            dnsNames: ["www.example.com", "api.example.com"],
+            ipAddresses: ["10.0.0.1", "::1"],
+            uris: ["spiffe://example.com/web"],
+            ...overrides
+        };
+        return {
+            certificate: buildCertificate(options),
+            private_key: key.privateKey.export({ type: "pkcs8", format: "pem" }),
+            issuing_ca: intermediatePem,
+            ca_chain: [intermediatePem],
+            expiration: Math.floor(options.notAfter.getTime() / 1000)
+        };
+    };
+    return { rootPem, intermediate, issue };
+}
+
+/**
+ * A config trusting 'rootPem' that asks for www.example.com with these SANs, for 1h.
+ * @param {string} rootPem
+ * @param {object} [cert] - Overrides for 'cert'.
+ * @returns {object}
+ */
+function configFor(rootPem, cert = {}) {
+    return makeConfig(rootPem, {
+        cert: { common_name: "www.example.com", ttl: "1h", alt_names: "api.example.com", ip_sans: "0:0:0:0:0:0:0:1", uri_sans: "spiffe://example.com/web", ...cert }
+    });
+}
+
+test("the key pair check takes the matching key and refuses another one", () => {
+    const { rootPem, issue } = pki();
+    const config = configFor(rootPem);
+    const certData = issue();
+    assert.doesNotThrow(() => verifyCertificate(certData, config, EPOCH));
+
+    const other = keyPair().privateKey.export({ type: "pkcs8", format: "pem" });
+    assert.throws(() => verifyCertificate({ ...certData, private_key: other }, config, EPOCH), /^Error: The private key does not match the certificate\.$/);
+    assert.throws(() => verifyCertificate({ ...certData, private_key: "garbage" }, config, EPOCH), /The private key can't be parsed/);
+});
+
+test("the validity window must hold now, within the clock skew and the ttl", () => {
+    const { rootPem, issue } = pki();
+    const config = configFor(rootPem);
+    // Issued by a vault 4 minutes ahead: within 'max_clock_skew'.
+    assert.doesNotThrow(() => verifyCertificate(issue({ notBefore: new Date(EPOCH + 4 * MINUTE), notAfter: new Date(EPOCH + HOUR) }), config, EPOCH));
+
+    assert.throws(() => verifyCertificate(issue({ notBefore: new Date(EPOCH + 10 * MINUTE) }), config, EPOCH),
+        /The certificate is not valid before /);
+    assert.throws(() => verifyCertificate(issue(), config, EPOCH + HOUR), /The certificate expired at /);
+    assert.throws(() => verifyCertificate(issue({ notAfter: new Date(EPOCH + 2 * HOUR) }), config, EPOCH),
+        /The certificate is valid for longer than the requested ttl '1h'\./);
+    assert.throws(() => verifyCertificate({ ...issue(), expiration: EPOCH / 1000 + 2 * 3600 }, config, EPOCH),
+        /The reported expiration \(\d+\) does not match the certificate/);
+});
+
+test("the names must be the requested CN and SANs", () => {
+    const { rootPem, issue } = pki();
+    // Names compare case-insensitively, IPs in their canonical form.
+    assert.doesNotThrow(() => verifyCertificate(issue(), configFor(rootPem, { common_name: "WWW.example.com", alt_names: ["API.example.com"] }), EPOCH));
+
+    assert.throws(() => verifyCertificate(issue({ subject: "evil.example.com" }), configFor(rootPem), EPOCH),
+        /The certificate CN 'evil.example.com' does not match the requested 'www.example.com'\./);
+    assert.throws(() => verifyCertificate(issue({ dnsNames: ["www.example.com"] }), configFor(rootPem), EPOCH),
+        /The requested SAN 'api.example.com' is missing from the certificate\./);
+    assert.throws(() => verifyCertificate(issue({ ipAddresses: ["10.0.0.1"] }), configFor(rootPem), EPOCH),
+        /The requested IP SAN '0:0:0:0:0:0:0:1' is missing from the certificate\./);
+    assert.throws(() => verifyCertificate(issue({ uris: [] }), configFor(rootPem), EPOCH),
+        /The requested URI SAN 'spiffe:\/\/example.com\/web' is missing from the certificate\./);
+
+    const unchecked = configFor(rootPem);
+    unchecked.verify.names = false;
+    assert.doesNotThrow(() => verifyCertificate(issue({ subject: "evil.example.com", dnsNames: [] }), unchecked, EPOCH));
+});
+
+test("the chain must lead to the trusted CA through valid intermediates", () => {
+    const { rootPem, intermediate, issue } = pki();
+    const config = configFor(rootPem);
+    assert.doesNotThrow(() => verifyCertificate(issue(), config, EPOCH));
+
+    assert.throws(() => verifyCertificate({ ...issue(), ca_chain: [], issuing_ca: undefined }, config, EPOCH),
+        /No issuer found for 'CN=www.example.com' in the chain or the trusted CA file\./);
+    const expired = intermediate(new Date(EPOCH - DAY));
+    assert.throws(() => verifyCertificate({ ...issue(), ca_chain: [expired] }, config, EPOCH),
+        /The intermediate 'CN=Test Intermediate CA' has expired\./);
+    // Another PKI with the same names.
+    const other = pki();
+    assert.throws(() => verifyCertificate(other.issue(), config, EPOCH),
+        /No issuer found for 'CN=Test Intermediate CA' in the chain or the trusted CA file\./);
+});